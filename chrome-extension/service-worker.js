@@ -11,6 +11,54 @@ try {
   console.error('Failed to import learning-engine:', e.name, e.message);
 }
 
+try {
+  importScripts('src/background/providers.js');
+} catch (e) {
+  console.error('Failed to import providers:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/prompt-templates.js');
+} catch (e) {
+  console.error('Failed to import prompt-templates:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/structured-definition.js');
+} catch (e) {
+  console.error('Failed to import structured-definition:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/phrases.js');
+} catch (e) {
+  console.error('Failed to import phrases:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/definition-cache.js');
+} catch (e) {
+  console.error('Failed to import definition-cache:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/storage-migrations.js');
+} catch (e) {
+  console.error('Failed to import storage-migrations:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/word-repository.js');
+} catch (e) {
+  console.error('Failed to import word-repository:', e.name, e.message);
+}
+
+try {
+  importScripts('src/background/scheduler-optimizer.js');
+} catch (e) {
+  console.error('Failed to import scheduler-optimizer:', e.name, e.message);
+}
+
 try {
   importScripts('src/background/background.js');
 } catch (e) {
@@ -1,7 +1,7 @@
 // src/background/background.js
 
 // Initialize extension on install
-browser.runtime.onInstalled.addListener((details) => {
+browser.runtime.onInstalled.addListener(async (details) => {
   // Create context menu
   browser.contextMenus.create({
     id: "smartdefine-word",
@@ -12,6 +12,9 @@ browser.runtime.onInstalled.addListener((details) => {
   // Initialize learning engine background tasks
   initializeLearningEngine();
   
+  // Seed defaults on install, migrate existing data on update (never overwrites user data)
+  await runStorageMigrations(details.reason);
+  
   // Handle first installation
   if (details.reason === 'install') {
     // Set first-run flag
@@ -20,38 +23,11 @@ browser.runtime.onInstalled.addListener((details) => {
     });
     console.log('SmartDefine: First installation detected, will show pin instructions on first use');
   }
-  
-  // Initialize default settings
-  browser.storage.local.set({
-    selectedProvider: "Together",
-    prompt: "Explain the word 'X_WORD_X' using EXACTLY this format with these exact headers. Do not skip any section:\n\n**Word Type:**\n[Its part of speech]\n\n**Current Form:**\n[Describe the grammatical form of the given word]\n\n**Other Forms:**\n- form1: example\n- form2: example\n\n**Meaning:**\n[Clear definition of the word]\n\n**Respelling:**\n[Simplified phonetics like (en-KOM-pass-ing), not IPA]\n\n**Synonyms:**\n- word1 (pronunciation)\n- word2 (pronunciation)\n- word3 (pronunciation)\n\n**Antonyms:**\n- word1 (pronunciation)\n- word2 (pronunciation)\n- word3 (pronunciation)\n\n**Examples:**\n- Example sentence 1\n- Example sentence 2\n- Example sentence 3\n\n**Collocations:**\n- common phrase 1\n- common phrase 2\n- common phrase 3\n\n**Ways to remember:**\n- Memory aid or mnemonic device",
-    providers: {
-      Together: {
-        baseUrl: "https://api.together.xyz",
-        model: "meta-llama/Llama-3-70b-chat-hf",
-        apiKey: "",
-        enabled: false
-      },
-      OpenRouter: {
-        baseUrl: "https://openrouter.ai/api/v1",
-        model: "google/gemini-flash-1.5",
-        apiKey: "",
-        enabled: false
-      }
-    },
-    learningSettings: {
-      saveToWordList: true,
-      flashcardSystem: true,
-      quizMode: true,
-      spacedRepetition: true,
-      showSaveButton: true,
-      autoSave: false,
-      dailyGoal: 10,
-      reviewReminders: true,
-      contextAwareDefinitions: true
-    },
-    wordLists: {}
-  });
+});
+
+// Finish any storage migration that failed during the last update
+browser.runtime.onStartup.addListener(() => {
+  runStorageMigrations('startup');
 });
 
 // Handle context menu clicks
@@ -68,6 +44,35 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+// Handle the keyboard shortcut (manifest "commands", changeable at chrome://extensions/shortcuts)
+browser.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== "define-selection") return;
+
+  const activeTab = tab || (await browser.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!activeTab) return;
+
+  const selectionText = await getTabSelection(activeTab.id);
+  if (!selectionText) {
+    console.log('SmartDefine: shortcut pressed without a selection');
+    return;
+  }
+  await sendMessageToContentScript(activeTab.id, selectionText);
+});
+
+// Selected text in any frame of a tab - unlike the context menu, a shortcut isn't handed the selection
+async function getTabSelection(tabId) {
+  try {
+    const results = await browser.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      func: () => window.getSelection().toString()
+    });
+    return results.map(result => (result.result || '').trim()).find(Boolean) || '';
+  } catch (error) {
+    console.warn('SmartDefine: could not read the selection:', error.message);
+    return '';
+  }
+}
+
 // Enhanced message sending with improved error handling
 async function sendMessageToContentScript(tabId, selectionText, retryCount = 0) {
   const maxRetries = 2;
@@ -122,17 +127,24 @@ async function sendMessageToContentScript(tabId, selectionText, retryCount = 0)
   }
 }
 
-// Function to call different LLM APIs with fallback when one fails
-async function callLLMAPI(selectedText, context, settings) {
-  const { selectedProvider, prompt, providers } = settings;
-
-  if (!providers || Object.keys(providers).length === 0) {
-    throw new Error('Provider configuration not found');
-  }
+// Build the definition prompt for a lookup. promptTemplate is what the cache keys on:
+// the template with everything but the word filled in, so level/language changes miss.
+// settings.phraseType marks a phrasal verb, idiom or collocation found by detectPhrase.
+function buildDefinitionPrompt(selectedText, context, settings) {
+  // Structured mode asks for JSON instead of the user's markdown prompt
+  const structuredMode = settings.definitionMode === 'structured';
+  const phraseType = settings.phraseType || null;
+  const template = phraseType ? getPhrasePromptTemplate(phraseType) : resolvePromptTemplate(settings);
+  const promptValues = buildPromptValues(selectedText, context, settings.learnerProfile);
+  const promptTemplate = structuredMode ?
+    (phraseType ? `${STRUCTURED_DEFINITION_VERSION}:${phraseType}` : STRUCTURED_DEFINITION_VERSION) :
+    renderPromptTemplate(template.prompt, { ...promptValues, word: undefined });
 
-  // Build the prompt once
-  let finalPrompt = prompt.replace(/X_WORD_X/g, selectedText);
-  if (context) {
+  let prompt = structuredMode ?
+    buildStructuredDefinitionPrompt(selectedText, phraseType) :
+    renderPromptTemplate(template.prompt, promptValues);
+  // Templates that place X_SENTENCE_X themselves don't get the generic context block
+  if (context && (structuredMode || !promptUsesPlaceholder(template.prompt, 'X_SENTENCE_X'))) {
     let contextInfo = "\n\nCONTEXT INFORMATION:";
     if (context.fullSentence) {
       contextInfo += `\nThe word appears in this sentence: "${context.fullSentence}"`;
@@ -141,9 +153,48 @@ async function callLLMAPI(selectedText, context, settings) {
       contextInfo += `\nSurrounding text: "...${context.before} [${selectedText}] ${context.after}..."`;
     }
     contextInfo += "\n\nPlease provide a definition that is appropriate for this specific context. Consider how the word is being used in this particular situation.";
-    finalPrompt += contextInfo;
+    prompt += contextInfo;
   }
 
+  return { prompt, promptTemplate, template, structuredMode };
+}
+
+// Ask one provider for a definition. Returns { text, structured }.
+// Options: onText streams partial text, onUsage receives token counts, signal aborts.
+async function requestDefinitionFromProvider(adapter, name, config, definitionPrompt, options = {}) {
+  const { prompt, structuredMode } = definitionPrompt;
+  const { signal, onUsage } = options;
+
+  if (structuredMode) {
+    // Partial JSON isn't worth rendering, so structured mode doesn't stream
+    const structured = await requestStructuredDefinition(adapter, name, prompt, config, { signal, onUsage });
+    return { text: renderStructuredDefinitionMarkdown(structured), structured };
+  }
+
+  if (options.onText && adapter.supportsStreaming) {
+    const text = await streamProviderAdapter(adapter, name, prompt, config, options.onText, { signal });
+    return { text, structured: null };
+  }
+
+  const text = await callProviderAdapter(adapter, name, prompt, config, { signal, onUsage });
+  return { text, structured: null };
+}
+
+// Function to call different LLM APIs with fallback when one fails.
+// Options: onText(provider, text) receives partial text from providers that support streaming,
+// signal aborts the request, bypassCache skips cached explanations (the fresh one is still stored).
+async function callLLMAPI(selectedText, context, settings, options = {}) {
+  const { selectedProvider, providers } = settings;
+  const cacheSettings = await definitionCache.getSettings();
+
+  if (!providers || Object.keys(providers).length === 0) {
+    throw new Error('Provider configuration not found');
+  }
+
+  // Build the prompt once
+  const definitionPrompt = buildDefinitionPrompt(selectedText, context, settings);
+  const { promptTemplate, template } = definitionPrompt;
+
   // Determine provider order (selected provider first, then others)
   const providerOrder = [];
   if (selectedProvider && providers[selectedProvider]) {
@@ -154,6 +205,7 @@ async function callLLMAPI(selectedText, context, settings) {
   }
 
   let lastError = null;
+  const providerErrors = [];
   for (const name of providerOrder) {
     const config = providers[name];
     if (!config || !config.enabled) {
@@ -163,109 +215,310 @@ async function callLLMAPI(selectedText, context, settings) {
       continue;
     }
 
-    if (!config.apiKey || config.apiKey.trim() === '') {
+    const adapter = getProviderAdapter(name, config);
+    if (!adapter) {
+      console.log(`Skipping provider ${name}: no adapter registered`);
+      lastError = new ProviderError(name, `Unsupported provider: ${name}`, { code: 'config' });
+      continue;
+    }
+
+    if (adapter.requiresApiKey && (!config.apiKey || config.apiKey.trim() === '')) {
 
       console.log(`Skipping provider ${name}: API key missing`);
-      lastError = new Error(`API key not configured for ${name}`);
+      lastError = new ProviderError(name, `API key not configured for ${name}`, { code: 'config' });
+      providerErrors.push(lastError);
       continue;
     }
 
+    const cacheKey = definitionCache.buildLLMKey(selectedText, promptTemplate, name, config.model, context, cacheSettings);
+    if (!options.bypassCache) {
+      const cached = await definitionCache.get(cacheKey);
+      if (cached) {
+        console.log(`Using cached explanation from ${name}`);
+        // Structured entries are stored as { text, structured }
+        if (cached.value && typeof cached.value === 'object') {
+          return { provider: name, text: cached.value.text, structured: cached.value.structured, cached: true, templateId: template.id };
+        }
+        return { provider: name, text: cached.value, cached: true, templateId: template.id };
+      }
+    }
+
     try {
       console.log('Trying provider:', name);
-      let result;
-      switch (name) {
-        case 'Together':
-          result = await callTogetherAPI(finalPrompt, config.baseUrl, config.model, config.apiKey);
-          break;
-        case 'OpenRouter':
-          result = await callOpenRouterAPI(finalPrompt, config.baseUrl, config.model, config.apiKey);
-          break;
-        default:
-          lastError = new Error(`Unsupported provider: ${name}`);
-          continue;
-      }
+      const { text: result, structured } = await requestDefinitionFromProvider(adapter, name, config, definitionPrompt, {
+        signal: options.signal,
+        onText: options.onText ? (text) => options.onText(name, text) : null
+      });
       console.log(`Provider ${name} succeeded`);
 
       console.log('LLM raw response:', result);
-      return { provider: name, text: result };
+      await cacheDefinition(cacheKey, selectedText, name, config, result, structured);
+      return { provider: name, text: result, structured, cached: false, templateId: template.id };
     } catch (err) {
+      // Don't fall through to the next provider when the user cancelled
+      if (err.code === 'cancelled') throw err;
       lastError = err;
+      providerErrors.push(err);
       console.warn(`${name} provider failed:`, err.message);
     }
   }
 
-  throw lastError || new Error('All providers failed');
+  // Report the first real failure (usually the selected provider) with every attempt attached
+  const primaryError = providerErrors[0] || lastError || new Error('All providers failed');
+  primaryError.providerErrors = providerErrors.map(serializeProviderError);
+  throw primaryError;
 }
 
-
-// Together.ai API call
-async function callTogetherAPI(prompt, baseUrl, model, apiKey) {
-  const response = await fetch(`${baseUrl}/v1/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: model,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      max_tokens: 1000,
-      temperature: 0.7
-    })
+// Structured entries are stored as { text, structured }, markdown ones as the text
+function cacheDefinition(cacheKey, selectedText, name, config, text, structured) {
+  return definitionCache.set(cacheKey, structured ? { text, structured } : text, {
+    kind: 'llm',
+    word: selectedText,
+    provider: name,
+    model: config.model
   });
+}
+
+// Enabled providers that have what they need to be called (adapter, API key)
+function getUsableProviders(providers, names = null) {
+  return (names || Object.keys(providers || {}))
+    .filter(name => {
+      const config = providers[name];
+      if (!config || !config.enabled) return false;
+      const adapter = getProviderAdapter(name, config);
+      if (!adapter) return false;
+      return !adapter.requiresApiKey || (config.apiKey && config.apiKey.trim() !== '');
+    });
+}
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(`Together API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+// Send the same prompt to several providers in parallel for the comparison view.
+// Each result is { provider, model, text, structured, latencyMs, usage } or { provider, model, error, latencyMs };
+// onResult is called as each provider finishes. Fresh answers are cached but the cache isn't read,
+// so latency and token counts are real.
+async function compareLLMProviders(selectedText, context, settings, options = {}) {
+  const { providers } = settings;
+  const names = getUsableProviders(providers, options.providers);
+  if (names.length < 2) {
+    throw new Error('Enable at least two providers to compare explanations');
   }
 
-  const data = await response.json();
-  
-  if (data.choices && data.choices[0] && data.choices[0].message) {
-    return data.choices[0].message.content;
-  } else {
-    throw new Error('Invalid response from Together API');
-  }
-}
-
-// OpenRouter API call
-async function callOpenRouterAPI(prompt, baseUrl, model, apiKey) {
-  const response = await fetch(`${baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-      'HTTP-Referer': 'https://smartdefine-extension.com',
-      'X-Title': 'SmartDefine Extension'
-    },
-    body: JSON.stringify({
-      model: model,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      max_tokens: 1000,
-      temperature: 0.7
-    })
-  });
+  const cacheSettings = await definitionCache.getSettings();
+  const definitionPrompt = buildDefinitionPrompt(selectedText, context, settings);
+
+  return Promise.all(names.map(async (name) => {
+    const config = providers[name];
+    const adapter = getProviderAdapter(name, config);
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: true };
+    const started = Date.now();
+    let result;
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(`OpenRouter API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+    try {
+      const { text, structured } = await requestDefinitionFromProvider(adapter, name, config, definitionPrompt, {
+        signal: options.signal,
+        // Structured mode may make a repair call, so counts are summed
+        onUsage: (callUsage) => {
+          usage.promptTokens += callUsage.promptTokens || 0;
+          usage.completionTokens += callUsage.completionTokens || 0;
+          usage.totalTokens += callUsage.totalTokens || 0;
+          usage.estimated = false;
+        }
+      });
+
+      // Providers that don't report usage get a rough 4-characters-per-token estimate
+      if (usage.estimated) {
+        usage.promptTokens = Math.ceil(definitionPrompt.prompt.length / 4);
+        usage.completionTokens = Math.ceil(text.length / 4);
+        usage.totalTokens = usage.promptTokens + usage.completionTokens;
+      }
+
+      const cacheKey = definitionCache.buildLLMKey(selectedText, definitionPrompt.promptTemplate, name, config.model, context, cacheSettings);
+      await cacheDefinition(cacheKey, selectedText, name, config, text, structured);
+      result = { provider: name, model: config.model, text, structured, latencyMs: Date.now() - started, usage };
+    } catch (error) {
+      if (error.code === 'cancelled') throw error;
+      console.warn(`${name} provider failed during comparison:`, error.message);
+      result = { provider: name, model: config.model, error: serializeProviderError(error), latencyMs: Date.now() - started };
+    }
+
+    if (options.onResult) options.onResult(result);
+    return result;
+  }));
+}
+
+// Plain object version of a provider failure that can be posted to content scripts
+function serializeProviderError(error) {
+  const serialized = error instanceof ProviderError ?
+    error.toJSON() :
+    { provider: null, message: error.message, status: null, code: 'unknown', retryable: false };
+  if (error.providerErrors) {
+    serialized.attempts = error.providerErrors;
   }
+  return serialized;
+}
 
-  const data = await response.json();
-  
-  if (data.choices && data.choices[0] && data.choices[0].message) {
-    return data.choices[0].message.content;
-  } else {
-    throw new Error('Invalid response from OpenRouter API');
+// === PHRASES ===
+
+/**
+ * Find a phrasal verb, idiom or collocation in a multi-word selection: the bundled list first,
+ * then, when the learner turned it on, a quick check with the first usable provider.
+ * Resolves { text, type, matched, source } or null to look up a single word instead.
+ */
+async function detectPhrase(text) {
+  const storage = await browser.storage.local.get(['learningSettings', 'selectedProvider', 'providers']);
+  const learningSettings = { ...DEFAULT_PHRASE_SETTINGS, ...(storage.learningSettings || {}) };
+  if (!learningSettings.phraseDetection) return null;
+
+  const bundled = findBundledPhrase(text);
+  if (bundled || !learningSettings.phraseLLMCheck) return bundled;
+
+  const words = tokenizePhraseText(text);
+  if (words.length < 2 || words.length > MAX_PHRASE_WORDS) return null;
+
+  const providers = storage.providers || {};
+  const name = getUsableProviders(providers)
+    .sort((a, b) => (b === storage.selectedProvider) - (a === storage.selectedProvider))[0];
+  if (!name) return null;
+
+  try {
+    const reply = await callProviderAdapter(getProviderAdapter(name, providers[name]), name, buildPhraseCheckPrompt(words.join(' ')), providers[name]);
+    const phrase = parsePhraseCheckReply(reply);
+    return phrase ? { ...phrase, matched: words.join(' '), source: name } : null;
+  } catch (error) {
+    // Not being able to check only means the first word is looked up, as before
+    console.warn(`${name} provider failed to check for a phrase:`, error.message);
+    return null;
+  }
+}
+
+// === PROVIDER DIAGNOSTICS ===
+
+// Model lists are cached per provider so the settings dropdown doesn't refetch every time
+const MODEL_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function cacheProviderModels(name, config, models) {
+  const storage = await browser.storage.local.get(['providerModels']);
+  const providerModels = storage.providerModels || {};
+  providerModels[name] = { baseUrl: config.baseUrl, models, fetchedAt: Date.now() };
+  await browser.storage.local.set({ providerModels });
+}
+
+// Returns { models, fetchedAt, cached }; refresh skips the stored list
+async function getProviderModels(name, config, { refresh = false } = {}) {
+  const adapter = getProviderAdapter(name, config);
+  if (!adapter) {
+    throw new ProviderError(name, `Unsupported provider: ${name}`, { code: 'config' });
+  }
+
+  if (!refresh) {
+    const storage = await browser.storage.local.get(['providerModels']);
+    const entry = (storage.providerModels || {})[name];
+    // A different base URL means a different server, so its list doesn't apply
+    if (entry && entry.baseUrl === config.baseUrl && Date.now() - entry.fetchedAt < MODEL_LIST_TTL_MS) {
+      return { models: entry.models, fetchedAt: entry.fetchedAt, cached: true };
+    }
+  }
+
+  const models = await listProviderModels(adapter, name, config);
+  await cacheProviderModels(name, config, models);
+  return { models, fetchedAt: Date.now(), cached: false };
+}
+
+async function runProviderTest(name, config) {
+  const adapter = getProviderAdapter(name, config);
+  if (!adapter) {
+    return { ok: false, latencyMs: null, models: null, error: { provider: name, message: `Unsupported provider: ${name}`, code: 'config' } };
+  }
+
+  const result = await testProviderConnection(adapter, name, config);
+  if (result.models) {
+    await cacheProviderModels(name, config, result.models);
   }
+  return result;
 }
 
+// === STREAMING ===
+
+// Post to a port that the content script may already have closed
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    console.log('Stream port closed:', error.message);
+  }
+}
+
+// Content scripts open a "smartdefine-stream" port to receive explanations as they are generated
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'smartdefine-stream') return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener(async (message) => {
+    if (message.command === 'cancel') {
+      controller.abort();
+      return;
+    }
+
+    if (message.command === 'compareLLMAPI') {
+      try {
+        const results = await compareLLMProviders(message.text, message.context, message.settings, {
+          signal: controller.signal,
+          providers: message.providers,
+          onResult: (result) => postToPort(port, { type: 'compareResult', result })
+        });
+        postToPort(port, { type: 'compareDone', results });
+      } catch (error) {
+        if (controller.signal.aborted) {
+          postToPort(port, { type: 'cancelled' });
+          return;
+        }
+        postToPort(port, { type: 'error', error: error.message, providerError: serializeProviderError(error) });
+      }
+      return;
+    }
+
+    if (message.command !== 'streamLLMAPI') return;
+
+    try {
+      const response = await callLLMAPI(message.text, message.context, message.settings, {
+        signal: controller.signal,
+        bypassCache: !!message.bypassCache,
+        onText: (provider, text) => postToPort(port, { type: 'partial', provider, text })
+      });
+      postToPort(port, {
+        type: 'done',
+        provider: response.provider,
+        text: response.text,
+        structured: response.structured || null,
+        cached: response.cached,
+        templateId: response.templateId
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        postToPort(port, { type: 'cancelled' });
+        return;
+      }
+
+      // Same dictionary fallback as the callLLMAPI message; the classified
+      // provider error travels along so the modal can say what went wrong
+      console.warn('LLM API failed, trying dictionary fallback:', error.message);
+      const providerError = serializeProviderError(error);
+      try {
+        const dictionaryResponse = await callFreeDictionaryAPI(message.text);
+        postToPort(port, { type: 'done', provider: 'FreeDictionary', text: dictionaryResponse, providerError });
+      } catch (dictError) {
+        postToPort(port, {
+          type: 'error',
+          error: `Both LLM and dictionary APIs failed. LLM: ${error.message}, Dictionary: ${dictError.message}`,
+          providerError
+        });
+      }
+    }
+  });
+});
+
+
 // === LEARNING ENGINE INTEGRATION ===
 
 // Global learning engine instance
@@ -322,21 +575,361 @@ async function setupBackgroundTasks() {
   await updateOverdueBadge();
 }
 
+// Apply a practice result to the stored word and append it to the review log in one transaction
+async function recordWordReview(wordId, reviewResult) {
+  if (!wordId) {
+    throw new Error('recordReview needs a wordId');
+  }
+
+  const storage = await browser.storage.local.get(['learningSettings']);
+  const learningSettings = storage.learningSettings || {};
+  const scheduler = createScheduler(learningSettings);
+
+  // Quiz and typing answers are graded here from correctness and response time
+  const review = {
+    rating: reviewToRating(reviewResult),
+    responseTime: typeof reviewResult.responseTime === 'number' ? reviewResult.responseTime : null,
+    mode: reviewResult.mode || null
+  };
+
+  const now = new Date();
+
+  // Reviews already due around the new date, so the interval can move to a quieter day
+  let dueDates = null;
+  if (learningSettings.loadBalancing !== false) {
+    const current = await wordRepository.getWord(wordId);
+    const range = current && getFuzzRange(applyReview(current, review, scheduler, now).interval);
+    if (range) {
+      dueDates = await wordRepository.getDueDates(addDays(startOfDay(now), range.min), addDays(startOfDay(now), range.max + 1));
+    }
+  }
+
+  const word = await wordRepository.recordReview(wordId, existing => {
+    const scheduled = applyReview(existing, review, scheduler, now);
+    let updated = dueDates ? balanceInterval(scheduled, dueDates, now) : scheduled;
+    // Logged so replaying the review keeps the move
+    const balanced = updated.interval - scheduled.interval;
+    updated = detectLeech(updated, learningSettings, now);
+    return {
+      word: updated,
+      entry: {
+        word: existing.word,
+        reviewedAt: now.toISOString(),
+        ...review,
+        scheduler: scheduler.id,
+        ...(balanced ? { balanced } : {}),
+        before: getScheduleSnapshot(existing),
+        after: getScheduleSnapshot(updated)
+      }
+    };
+  });
+
+  if (isLeech(word) && word.leech.taggedAt === now.toISOString()) {
+    console.log(`SmartDefine: "${word.word}" is a leech after ${word.lapses} lapses${word.suspended ? ', suspended' : ''}`);
+  }
+
+  await updateOverdueBadge();
+  return word;
+}
+
+// Today's review queue: due words within what is left of the daily new/review limits,
+// in the configured order
+async function getReviewQueue(reviewType = 'all', limit = Infinity) {
+  const storage = await browser.storage.local.get(['learningSettings', 'learningPause']);
+  // Nothing is due while learning is paused; resuming moves the due dates instead
+  if (storage.learningPause) return [];
+  const settings = { ...DEFAULT_QUEUE_SETTINGS, ...(storage.learningSettings || {}) };
+  const now = new Date();
+
+  const [wordLists, todaysReviews] = await Promise.all([
+    wordRepository.getWordLists(),
+    wordRepository.getReviewsSince(startOfDay(now))
+  ]);
+  const studied = countStudiedToday(todaysReviews);
+
+  return learningEngine.getWordsForReview(wordLists, reviewType, limit, {
+    queueOrder: settings.queueOrder,
+    newLimit: Math.max(0, settings.newCardsPerDay - studied.newCards),
+    reviewLimit: Math.max(0, settings.reviewsPerDay - studied.reviews)
+  });
+}
+
+// Length of today's review queue, counted from the nextReview index without loading every word
+async function countReviewQueue() {
+  const storage = await browser.storage.local.get(['learningSettings']);
+  const settings = { ...DEFAULT_QUEUE_SETTINGS, ...(storage.learningSettings || {}) };
+  const now = new Date();
+
+  const [due, todaysReviews] = await Promise.all([
+    wordRepository.countDueByKind(now),
+    wordRepository.getReviewsSince(startOfDay(now))
+  ]);
+  const studied = countStudiedToday(todaysReviews);
+  return Math.min(due.newCards, Math.max(0, settings.newCardsPerDay - studied.newCards)) +
+    Math.min(due.reviews, Math.max(0, settings.reviewsPerDay - studied.reviews));
+}
+
+// Projected daily reviews. options.newCardsPerDay / reviewsPerDay / dailyGoal override the
+// saved settings for what-if simulations; nothing is changed. The daily goal doesn't limit
+// the simulation, the UI compares each day's workload with it.
+async function getReviewForecast(options = {}) {
+  const storage = await browser.storage.local.get(['learningSettings']);
+  const learningSettings = storage.learningSettings || {};
+  const settings = { ...DEFAULT_QUEUE_SETTINGS, ...learningSettings };
+  const limits = {
+    newCardsPerDay: typeof options.newCardsPerDay === 'number' ? options.newCardsPerDay : settings.newCardsPerDay,
+    reviewsPerDay: typeof options.reviewsPerDay === 'number' ? options.reviewsPerDay : settings.reviewsPerDay,
+    dailyGoal: typeof options.dailyGoal === 'number' ? options.dailyGoal : (settings.dailyGoal || 10)
+  };
+  const now = new Date();
+
+  const [wordLists, todaysReviews] = await Promise.all([
+    wordRepository.getWordLists(),
+    wordRepository.getReviewsSince(startOfDay(now))
+  ]);
+
+  const forecast = learningEngine.getReviewForecast(wordLists, {
+    newCardsPerDay: limits.newCardsPerDay,
+    reviewsPerDay: limits.reviewsPerDay,
+    days: options.days,
+    learningSettings,
+    studiedToday: countStudiedToday(todaysReviews),
+    now
+  });
+  return { forecast, limits };
+}
+
+// Start a word over; logged like a review so replaying the log keeps the reset
+async function resetWordSchedule(wordId) {
+  const now = new Date();
+  const word = await wordRepository.recordReview(wordId, existing => {
+    const updated = resetWordProgress(existing, now);
+    return {
+      word: updated,
+      entry: {
+        word: existing.word,
+        reviewedAt: now.toISOString(),
+        reset: true,
+        before: getScheduleSnapshot(existing),
+        after: getScheduleSnapshot(updated)
+      }
+    };
+  });
+
+  await updateOverdueBadge();
+  return word;
+}
+
+// Ask the providers (selected one first) for a simpler explanation and mnemonic, saved on the word
+async function generateMemoryAid(wordId) {
+  const word = await wordRepository.getWord(wordId);
+  if (!word) {
+    throw new Error(`Word ${wordId} not found`);
+  }
+
+  const settings = await browser.storage.local.get(['selectedProvider', 'providers', 'learnerProfile']);
+  const providers = settings.providers || {};
+  const names = getUsableProviders(providers)
+    .sort((a, b) => (b === settings.selectedProvider) - (a === settings.selectedProvider));
+  if (names.length === 0) {
+    throw new Error('Enable an AI provider in Settings to generate memory aids');
+  }
+
+  const prompt = buildMemoryAidPrompt(word.word, word.explanation, settings.learnerProfile);
+  let lastError = null;
+  for (const name of names) {
+    try {
+      const text = await callProviderAdapter(getProviderAdapter(name, providers[name]), name, prompt, providers[name]);
+      return wordRepository.updateWord(wordId, {
+        memoryAid: { text, provider: name, createdAt: new Date().toISOString() }
+      });
+    } catch (error) {
+      lastError = error;
+      console.warn(`${name} provider failed to generate a memory aid:`, error.message);
+    }
+  }
+  throw lastError;
+}
+
+// A log entry for a schedule change that isn't a review, so replaying the log keeps it
+function createScheduleChangeEntry(word, updated, now, change) {
+  return {
+    word: word.word,
+    reviewedAt: now.toISOString(),
+    ...change,
+    before: getScheduleSnapshot(word),
+    after: getScheduleSnapshot(updated)
+  };
+}
+
+// Recompute every logged word's schedule by replaying the review log through the current scheduler
+async function rebuildSchedules() {
+  const storage = await browser.storage.local.get(['learningSettings']);
+  const learningSettings = storage.learningSettings || {};
+  const scheduler = createScheduler(learningSettings);
+
+  const result = await wordRepository.replayReviews((word, reviews) =>
+    detectLeech(replayReviewLog(word, reviews, scheduler), learningSettings));
+  console.log(`SmartDefine: rebuilt ${result.words} schedules from ${result.reviews} logged reviews (${scheduler.id})`);
+
+  await updateOverdueBadge();
+  return { ...result, scheduler: scheduler.id };
+}
+
+// === SCHEDULER OPTIMIZER ===
+
+// Fit FSRS weights to this user's reviews. Nothing changes until the result is applied.
+async function optimizeSchedulerParameters() {
+  const [words, reviews, storage] = await Promise.all([
+    wordRepository.getAllWords(),
+    wordRepository.getReviews(),
+    browser.storage.local.get(['learningSettings'])
+  ]);
+  const currentWeights = (storage.learningSettings || {}).fsrsWeights || FSRS_DEFAULT_WEIGHTS;
+
+  const sequences = collectReviewSequences(words, reviews);
+  const baseline = evaluateFsrsWeights(sequences, currentWeights);
+  if (baseline.samples < MIN_OPTIMIZER_SAMPLES) {
+    throw new Error(`Not enough review history yet: ${baseline.samples} repeat reviews, at least ${MIN_OPTIMIZER_SAMPLES} needed`);
+  }
+
+  const fitted = optimizeFsrsWeights(sequences, currentWeights);
+  const optimization = {
+    weights: fitted.weights,
+    before: fitted.before,
+    after: fitted.after,
+    words: sequences.length,
+    fittedAt: new Date().toISOString(),
+    applied: false,
+    previousWeights: null
+  };
+  await browser.storage.local.set({ schedulerOptimization: optimization });
+  console.log(`SmartDefine: fitted FSRS parameters on ${fitted.before.samples} reviews, log loss ${fitted.before.logLoss.toFixed(4)} -> ${fitted.after.logLoss.toFixed(4)}`);
+  return optimization;
+}
+
+// Scheduler the saved learning settings select; only FSRS uses fitted parameters
+async function getSavedSchedulerId() {
+  const storage = await browser.storage.local.get(['learningSettings']);
+  return createScheduler(storage.learningSettings || {}).id;
+}
+
+// Use the fitted weights for FSRS, remembering the ones they replace
+async function applySchedulerParameters() {
+  const storage = await browser.storage.local.get(['learningSettings', 'schedulerOptimization']);
+  const optimization = storage.schedulerOptimization;
+  if (!optimization) {
+    throw new Error('Run the optimizer first');
+  }
+  if (optimization.applied) return optimization;
+
+  const learningSettings = storage.learningSettings || {};
+  if (createScheduler(learningSettings).id !== 'fsrs') {
+    throw new Error('The fitted parameters are for FSRS. Select the FSRS scheduler and save settings first.');
+  }
+  const applied = {
+    ...optimization,
+    applied: true,
+    appliedAt: new Date().toISOString(),
+    previousWeights: learningSettings.fsrsWeights || null
+  };
+  await browser.storage.local.set({
+    learningSettings: { ...learningSettings, fsrsWeights: optimization.weights },
+    schedulerOptimization: applied
+  });
+  return applied;
+}
+
+// Go back to the weights used before the last apply (the defaults if there were none)
+async function revertSchedulerParameters() {
+  const storage = await browser.storage.local.get(['learningSettings', 'schedulerOptimization']);
+  const optimization = storage.schedulerOptimization;
+  if (!optimization || !optimization.applied) {
+    throw new Error('No fitted parameters are applied');
+  }
+
+  const learningSettings = { ...(storage.learningSettings || {}), fsrsWeights: optimization.previousWeights };
+  if (!learningSettings.fsrsWeights) {
+    delete learningSettings.fsrsWeights;
+  }
+  const reverted = { ...optimization, applied: false, appliedAt: null };
+  await browser.storage.local.set({ learningSettings, schedulerOptimization: reverted });
+  return reverted;
+}
+
+// === PAUSE AND BACKLOG ===
+
+// Stop reminders and the badge; due dates are shifted by the pause length on resume
+async function pauseLearning() {
+  const storage = await browser.storage.local.get(['learningPause']);
+  if (storage.learningPause) return storage.learningPause;
+
+  const learningPause = { pausedAt: new Date().toISOString() };
+  await browser.storage.local.set({ learningPause });
+  await updateOverdueBadge();
+  console.log('SmartDefine: learning paused');
+  return learningPause;
+}
+
+async function resumeLearning() {
+  const storage = await browser.storage.local.get(['learningPause']);
+  if (!storage.learningPause) {
+    throw new Error('Learning is not paused');
+  }
+
+  const now = new Date();
+  const pausedAt = new Date(storage.learningPause.pausedAt);
+  const days = Math.max(0, daysBetween(pausedAt, now));
+  const shift = { shift: days, pausedAt: pausedAt.toISOString() };
+  const shifted = days > 0
+    ? await wordRepository.recordScheduleChanges(words => words
+      .filter(word => isFrozenByPause(word, pausedAt))
+      .map(word => {
+        const updated = shiftWordSchedule(word, days);
+        return { word: updated, entry: createScheduleChangeEntry(word, updated, now, shift) };
+      }))
+    : 0;
+
+  await browser.storage.local.remove('learningPause');
+  await updateOverdueBadge();
+  console.log(`SmartDefine: learning resumed, moved ${shifted} reviews ${days} days later`);
+  return { days, shifted };
+}
+
+// Spread every overdue word over the next `days` days
+async function rescheduleBacklog(days) {
+  if (!(days >= 1 && days <= 365)) {
+    throw new Error('Spread the backlog over 1 to 365 days');
+  }
+
+  const now = new Date();
+  const rescheduled = await wordRepository.recordScheduleChanges(words => {
+    const original = new Map(words.map(word => [word.id, word]));
+    return spreadOverdueWords(words, days, now).map(updated => ({
+      word: updated,
+      entry: createScheduleChangeEntry(original.get(updated.id), updated, now, { spread: true })
+    }));
+  });
+  await updateOverdueBadge();
+  console.log(`SmartDefine: spread ${rescheduled} overdue words over ${days} days`);
+  return rescheduled;
+}
+
 // Send review reminder notification
 async function sendReviewReminder() {
   try {
-    const storage = await browser.storage.local.get(['wordLists', 'learningSettings']);
+    const storage = await browser.storage.local.get(['learningSettings', 'learningPause']);
     const settings = storage.learningSettings || {};
     
-    if (!settings.reviewReminders) return;
+    if (!settings.reviewReminders || storage.learningPause) return;
     
-    const dueWords = await learningEngine.getWordsForReview(storage.wordLists || {});
+    const dueCount = await countReviewQueue();
     
-    if (dueWords.length > 0) {
+    if (dueCount > 0) {
       browser.notifications.create({
         type: 'basic',
         title: 'SmartDefine - Review Time!',
-        message: `You have ${dueWords.length} words ready for review. Keep your learning streak going!`
+        message: `You have ${dueCount} words ready for review. Keep your learning streak going!`
       });
     }
   } catch (error) {
@@ -347,24 +940,22 @@ async function sendReviewReminder() {
 // Update browser badge with overdue word count
 async function updateOverdueBadge() {
   try {
-    const storage = await browser.storage.local.get(['wordLists', 'learningSettings']);
+    const storage = await browser.storage.local.get(['learningSettings', 'learningPause']);
     const settings = storage.learningSettings || {};
     
-    if (!settings.reviewReminders) {
+    if (!settings.reviewReminders || storage.learningPause) {
       (browser.action || browser.browserAction).setBadgeText({ text: '' });
       return;
     }
     
-    if (learningEngine && storage.wordLists) {
-      const dueWords = await learningEngine.getWordsForReview(storage.wordLists);
-      const overdueCount = dueWords.length;
-      
-      if (overdueCount > 0) {
-        (browser.action || browser.browserAction).setBadgeText({ text: overdueCount.toString() });
-        (browser.action || browser.browserAction).setBadgeBackgroundColor({ color: '#FF5722' });
-      } else {
-        (browser.action || browser.browserAction).setBadgeText({ text: '' });
-      }
+    // Only what today's limits let through, so a batch of new words doesn't flood the badge
+    const overdueCount = await countReviewQueue();
+    
+    if (overdueCount > 0) {
+      (browser.action || browser.browserAction).setBadgeText({ text: overdueCount.toString() });
+      (browser.action || browser.browserAction).setBadgeBackgroundColor({ color: '#FF5722' });
+    } else {
+      (browser.action || browser.browserAction).setBadgeText({ text: '' });
     }
   } catch (error) {
     console.error('Error updating overdue badge:', error);
@@ -397,6 +988,74 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
     }
     
+    if (message.command === "detectPhrase") {
+      const phrase = await detectPhrase(message.text);
+      sendResponse({ success: true, phrase });
+      return;
+    }
+
+    if (message.command === "getProviderAdapters") {
+      sendResponse({ success: true, adapters: describeProviderAdapters() });
+      return;
+    }
+
+    if (message.command === "testProviderConnection") {
+      const result = await runProviderTest(message.provider, message.config);
+      sendResponse({ success: true, result });
+      return;
+    }
+
+    if (message.command === "getProviderModels") {
+      try {
+        const response = await getProviderModels(message.provider, message.config, { refresh: !!message.refresh });
+        sendResponse({ success: true, ...response });
+      } catch (error) {
+        sendResponse({ success: false, error: serializeProviderError(error) });
+      }
+      return;
+    }
+
+    if (message.command === "getPromptTemplates") {
+      const storage = await browser.storage.local.get(['promptTemplates', 'activePromptTemplate', 'prompt']);
+      const templates = getPromptTemplates(storage.promptTemplates);
+      const active = resolvePromptTemplate(storage);
+      sendResponse({
+        success: true,
+        templates: templates.map(({ id, name }) => ({ id, name })),
+        activeId: active.id
+      });
+      return;
+    }
+
+    // Definition cache commands
+    if (message.command === "getCachedLookup") {
+      const entry = await definitionCache.get(definitionCache.buildLookupKey(message.kind, message.word));
+      sendResponse({ success: true, value: entry ? entry.value : null });
+      return;
+    }
+
+    if (message.command === "setCachedLookup") {
+      await definitionCache.set(definitionCache.buildLookupKey(message.kind, message.word), message.value, {
+        kind: message.kind,
+        word: message.word
+      });
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (message.command === "getCacheStats") {
+      const stats = await definitionCache.getStats();
+      const settings = await definitionCache.getSettings();
+      sendResponse({ success: true, stats, settings });
+      return;
+    }
+
+    if (message.command === "clearCache") {
+      await definitionCache.clear(message.kind || null);
+      sendResponse({ success: true });
+      return;
+    }
+
     if (message.command === "callFreeDictionaryAPI") {
       const response = await callFreeDictionaryAPI(message.text);
       sendResponse(response);
@@ -411,30 +1070,198 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return;
     }
     
+    // Word repository commands
+    if (message.command === "getWordLists") {
+      const wordLists = await wordRepository.getWordLists();
+      sendResponse({ success: true, wordLists });
+      return;
+    }
+
+    if (message.command === "getWordCategories") {
+      const categories = await wordRepository.getCategories();
+      sendResponse({ success: true, categories });
+      return;
+    }
+
+    if (message.command === "getWordCount") {
+      const count = await wordRepository.countWords();
+      sendResponse({ success: true, count });
+      return;
+    }
+
+    if (message.command === "getWord") {
+      const word = await wordRepository.getWord(message.id);
+      sendResponse({ success: true, word: word || null });
+      return;
+    }
+
+    // Just what page highlighting matches on; explanations are fetched per word on hover
+    if (message.command === "getHighlightWords") {
+      const words = (await wordRepository.getAllWords())
+        .filter(word => !word.isPhrase)
+        .map(({ id, word, baseForm, nextReview, suspended }) => ({ id, word, baseForm, nextReview, suspended: !!suspended }));
+      sendResponse({ success: true, words });
+      return;
+    }
+
+    if (message.command === "createWordCategory") {
+      const name = (message.name || '').trim();
+      if (!name) {
+        sendResponse({ success: false, error: 'Category name is required' });
+        return;
+      }
+      const created = await wordRepository.createCategory(name);
+      sendResponse({ success: true, created });
+      return;
+    }
+
+    if (message.command === "saveWord") {
+      const { word, status } = await wordRepository.saveWord(message.category, message.word);
+      await updateOverdueBadge();
+      sendResponse({ success: true, word, status });
+      return;
+    }
+
+    if (message.command === "deleteWord") {
+      const deleted = await wordRepository.deleteWord(message.id);
+      await updateOverdueBadge();
+      sendResponse({ success: true, deleted });
+      return;
+    }
+
+    // Leech remediation
+    if (message.command === "setWordNote") {
+      const word = await wordRepository.updateWord(message.id, { note: (message.note || '').trim() });
+      sendResponse({ success: true, word });
+      return;
+    }
+
+    if (message.command === "setWordSuspended") {
+      const word = await wordRepository.updateWord(message.id, { suspended: !!message.suspended });
+      await updateOverdueBadge();
+      sendResponse({ success: true, word });
+      return;
+    }
+
+    if (message.command === "resetWordProgress") {
+      const word = await resetWordSchedule(message.id);
+      sendResponse({ success: true, word });
+      return;
+    }
+
+    if (message.command === "generateMemoryAid") {
+      const word = await generateMemoryAid(message.id);
+      sendResponse({ success: true, word });
+      return;
+    }
+
     // Learning engine commands
-    if (message.command === "processWordReview" && learningEngine) {
-      const updatedWordData = await learningEngine.processReview(
-        message.wordData, 
-        message.reviewResult
-      );
-      sendResponse({ success: true, wordData: updatedWordData });
+    if (message.command === "recordReview" && learningEngine) {
+      const word = await recordWordReview(message.wordId, message.reviewResult || {});
+      sendResponse({
+        success: true,
+        word,
+        schedule: {
+          nextReview: word.nextReview,
+          interval: word.interval,
+          easeFactor: word.easeFactor,
+          difficulty: word.difficulty,
+          reviewCount: word.reviewCount,
+          rating: word.performanceHistory[word.performanceHistory.length - 1].rating
+        }
+      });
       return;
     }
     
     if (message.command === "getWordsForReview" && learningEngine) {
-      const storage = await browser.storage.local.get(['wordLists']);
-      const dueWords = await learningEngine.getWordsForReview(
-        storage.wordLists || {},
-        message.reviewType || 'all',
-        message.limit || 20
-      );
-      sendResponse({ success: true, words: dueWords });
+      const storage = await browser.storage.local.get(['learningPause']);
+      const dueWords = await getReviewQueue(message.reviewType || 'all', message.limit || 20);
+      sendResponse({ success: true, words: dueWords, paused: !!storage.learningPause });
       return;
     }
     
+    if (message.command === "getReviewLogSummary") {
+      // Progress resets and schedule moves are logged too but aren't reviews
+      const reviews = (await wordRepository.getReviews(message.wordId || null)).filter(isReviewEntry);
+      sendResponse({
+        success: true,
+        total: reviews.length,
+        words: new Set(reviews.map(entry => entry.wordId)).size,
+        firstReviewAt: reviews.length > 0 ? reviews[0].reviewedAt : null
+      });
+      return;
+    }
+
+    if (message.command === "getSchedulerOptimization") {
+      const storage = await browser.storage.local.get(['schedulerOptimization']);
+      sendResponse({ success: true, optimization: storage.schedulerOptimization || null, scheduler: await getSavedSchedulerId() });
+      return;
+    }
+
+    if (message.command === "optimizeScheduler") {
+      try {
+        const optimization = await optimizeSchedulerParameters();
+        sendResponse({ success: true, optimization, scheduler: await getSavedSchedulerId() });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      return;
+    }
+
+    if (message.command === "applySchedulerParameters") {
+      const optimization = await applySchedulerParameters();
+      sendResponse({ success: true, optimization, scheduler: await getSavedSchedulerId() });
+      return;
+    }
+
+    if (message.command === "revertSchedulerParameters") {
+      const optimization = await revertSchedulerParameters();
+      sendResponse({ success: true, optimization, scheduler: await getSavedSchedulerId() });
+      return;
+    }
+
+    if (message.command === "getPauseStatus") {
+      const storage = await browser.storage.local.get(['learningPause']);
+      sendResponse({
+        success: true,
+        pausedAt: storage.learningPause ? storage.learningPause.pausedAt : null,
+        overdue: await wordRepository.countDueWords()
+      });
+      return;
+    }
+
+    if (message.command === "pauseLearning") {
+      const { pausedAt } = await pauseLearning();
+      sendResponse({ success: true, pausedAt });
+      return;
+    }
+
+    if (message.command === "resumeLearning") {
+      const result = await resumeLearning();
+      sendResponse({ success: true, ...result });
+      return;
+    }
+
+    if (message.command === "rescheduleBacklog") {
+      const rescheduled = await rescheduleBacklog(parseInt(message.days));
+      sendResponse({ success: true, rescheduled });
+      return;
+    }
+
+    if (message.command === "rebuildSchedules") {
+      const result = await rebuildSchedules();
+      sendResponse({ success: true, ...result });
+      return;
+    }
+
+    if (message.command === "getReviewForecast" && learningEngine) {
+      const { forecast, limits } = await getReviewForecast(message.options || {});
+      sendResponse({ success: true, forecast, limits });
+      return;
+    }
+
     if (message.command === "getStudyStats" && learningEngine) {
-      const storage = await browser.storage.local.get(['wordLists']);
-      const stats = learningEngine.getStudyStats(storage.wordLists || {});
+      const stats = learningEngine.getStudyStats(await wordRepository.getWordLists());
       sendResponse({ success: true, stats });
       return;
     }
@@ -460,72 +1287,13 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Basic Learning Engine with Spaced Repetition
 class BasicLearningEngine {
-  async processReview(wordData, reviewResult) {
-    const { isCorrect, responseTime = 5000, confidenceLevel = 0.5 } = reviewResult;
-    
-    // Update review metrics
-    const reviewCount = (wordData.reviewCount || 0) + 1;
-    const currentEase = wordData.easeFactor || 2.5;
-    const currentInterval = wordData.interval || 1;
-    
-    // Calculate new ease factor (SM-2 algorithm simplified)
-    let newEaseFactor = currentEase;
-    if (isCorrect) {
-      newEaseFactor = Math.min(currentEase + 0.1, 3.0);
-    } else {
-      newEaseFactor = Math.max(currentEase - 0.2, 1.3);
-    }
-    
-    // Adjust based on confidence
-    if (confidenceLevel < 0.5) {
-      newEaseFactor = Math.max(newEaseFactor - 0.1, 1.3);
-    } else if (confidenceLevel > 0.8) {
-      newEaseFactor = Math.min(newEaseFactor + 0.05, 3.0);
-    }
-    
-    // Calculate new interval
-    let newInterval;
-    if (isCorrect) {
-      if (currentInterval === 1) {
-        newInterval = 6;
-      } else {
-        newInterval = Math.round(currentInterval * newEaseFactor);
-      }
-    } else {
-      newInterval = 1; // Reset for incorrect answers
-    }
-    
-    // Cap maximum interval
-    newInterval = Math.min(newInterval, 365);
-    
-    // Determine difficulty level
-    let difficulty = wordData.difficulty || 'new';
-    if (reviewCount >= 2 && difficulty === 'new') {
-      difficulty = 'learning';
-    } else if (reviewCount >= 5 && newEaseFactor >= 2.5 && difficulty === 'learning') {
-      difficulty = 'mastered';
-    } else if (difficulty === 'mastered' && newEaseFactor < 2.0) {
-      difficulty = 'learning';
-    }
-    
-    // Calculate next review date
-    const nextReview = new Date();
-    nextReview.setDate(nextReview.getDate() + newInterval);
-    
-    return {
-      ...wordData,
-      reviewCount,
-      lastReviewed: new Date().toISOString(),
-      difficulty,
-      easeFactor: Math.round(newEaseFactor * 100) / 100,
-      interval: newInterval,
-      nextReview: nextReview.toISOString(),
-      averageResponseTime: Math.round((wordData.averageResponseTime || responseTime) * 0.8 + responseTime * 0.2),
-      confidenceScore: Math.round((wordData.confidenceScore || confidenceLevel) * 0.8 + confidenceLevel * 0.2)
-    };
+  // The scheduler (SM-2 or FSRS, see learning-engine.js) comes from learningSettings
+  async processReview(wordData, reviewResult, learningSettings = {}) {
+    return createScheduler(learningSettings).scheduleReview(wordData, reviewResult, new Date());
   }
   
-  async getWordsForReview(wordLists, reviewType = 'all', limit = 20) {
+  // options: { queueOrder, newLimit, reviewLimit } - see buildReviewQueue
+  async getWordsForReview(wordLists, reviewType = 'all', limit = 20, options = {}) {
     const now = new Date();
     const dueWords = [];
     
@@ -542,7 +1310,7 @@ class BasicLearningEngine {
         
         const isDue = nextReviewDate <= now;
         
-        if (isDue && this.shouldIncludeInReview(word, reviewType)) {
+        if (isDue && !word.suspended && this.shouldIncludeInReview(word, reviewType)) {
           const overdueDays = Math.max(0, (now - nextReviewDate) / (1000 * 60 * 60 * 24));
           dueWords.push({
             ...word,
@@ -553,10 +1321,12 @@ class BasicLearningEngine {
       });
     });
     
-    // Sort by priority (overdue words first)
-    dueWords.sort((a, b) => b.priority - a.priority);
-    
-    return dueWords.slice(0, limit);
+    return buildReviewQueue(dueWords, options).slice(0, limit);
+  }
+  
+  // Daily review counts projected from the words' schedules (see forecastReviews)
+  getReviewForecast(wordLists, options = {}) {
+    return forecastReviews([].concat(...Object.values(wordLists)), options);
   }
   
   shouldIncludeInReview(word, reviewType) {
@@ -569,6 +1339,8 @@ class BasicLearningEngine {
         return word.difficulty === 'mastered';
       case 'difficult':
         return (word.easeFactor || 2.5) < 2.0;
+      case 'leech':
+        return isLeech(word);
       case 'all':
       default:
         return true;
@@ -599,6 +1371,9 @@ class BasicLearningEngine {
       priority += 25;
     }
     
+    // Frequent lapses and leeches
+    priority += getLeechPriority(word);
+    
     return priority;
   }
   
@@ -611,6 +1386,8 @@ class BasicLearningEngine {
     let learningWords = 0;
     let masteredWords = 0;
     let overdueWords = 0;
+    let leechWords = 0;
+    let suspendedWords = 0;
     let todayReviews = 0;
     
     Object.values(wordLists).forEach(category => {
@@ -629,8 +1406,15 @@ class BasicLearningEngine {
             break;
         }
         
+        if (isLeech(word)) {
+          leechWords++;
+        }
+        if (word.suspended) {
+          suspendedWords++;
+        }
+        
         const nextReviewDate = new Date(word.nextReview || now);
-        if (nextReviewDate <= now) {
+        if (nextReviewDate <= now && !word.suspended) {
           overdueWords++;
         }
         
@@ -649,6 +1433,8 @@ class BasicLearningEngine {
       learningWords,
       masteredWords,
       overdueWords,
+      leechWords,
+      suspendedWords,
       todayReviews
     };
   }
@@ -664,6 +1450,13 @@ async function callFreeDictionaryAPI(word) {
   try {
     console.log('Calling free dictionary API for word:', word);
     const cleanWord = word.toLowerCase().trim();
+    const cacheKey = definitionCache.buildLookupKey('dictionary', cleanWord);
+    const cached = await definitionCache.get(cacheKey);
+    if (cached) {
+      console.log('Using cached dictionary response for:', cleanWord);
+      return cached.value;
+    }
+
     const url = `https://api.dictionaryapi.dev/api/v2/entries/en/${cleanWord}`;
     console.log('Dictionary API URL:', url);
     
@@ -686,6 +1479,7 @@ async function callFreeDictionaryAPI(word) {
     
     const formattedResponse = formatDictionaryResponse(data[0], word);
     console.log('Formatted dictionary response:', formattedResponse);
+    await definitionCache.set(cacheKey, formattedResponse, { kind: 'dictionary', word: cleanWord });
     return formattedResponse;
   } catch (error) {
     console.error('Dictionary API error:', error);
@@ -0,0 +1,252 @@
+// src/background/definition-cache.js
+// IndexedDB-backed cache for LLM explanations and dictionary/morphology lookups
+
+const DEFAULT_CACHE_SETTINGS = {
+  enabled: true,
+  maxEntries: 1000,
+  keyByContext: true,
+  ttlDays: {
+    llm: 30,
+    dictionary: 90,
+    morphology: 90
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small non-cryptographic hash (FNV-1a) for prompt templates and context sentences
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function normalizeCacheWord(word) {
+  return (word || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+class DefinitionCache {
+  constructor() {
+    this.dbName = 'smartdefine-cache';
+    this.storeName = 'entries';
+    this.dbPromise = null;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('lastAccessed', 'lastAccessed');
+          store.createIndex('expiresAt', 'expiresAt');
+          store.createIndex('kind', 'kind');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run fn(store) in a transaction and resolve with its result once committed
+  async withStore(mode, fn) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const store = transaction.objectStore(this.storeName);
+      let result;
+
+      Promise.resolve(fn(store)).then(value => { result = value; }, reject);
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async getSettings() {
+    const storage = await browser.storage.local.get(['cacheSettings']);
+    const saved = storage.cacheSettings || {};
+    return {
+      ...DEFAULT_CACHE_SETTINGS,
+      ...saved,
+      ttlDays: { ...DEFAULT_CACHE_SETTINGS.ttlDays, ...(saved.ttlDays || {}) }
+    };
+  }
+
+  // Key for an LLM explanation: word + prompt template + provider/model (+ context sentence)
+  buildLLMKey(word, promptTemplate, provider, model, context, settings) {
+    const parts = ['llm', normalizeCacheWord(word), hashString(promptTemplate || ''), provider, model || ''];
+    if (settings.keyByContext && context && context.fullSentence) {
+      parts.push(hashString(context.fullSentence.trim()));
+    }
+    return parts.join('|');
+  }
+
+  buildLookupKey(kind, word) {
+    return `${kind}|${normalizeCacheWord(word)}`;
+  }
+
+  // Returns the cached entry or null; refreshes its LRU timestamp on hit
+  async get(key) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) return null;
+
+      const now = Date.now();
+      return await this.withStore('readwrite', store => new Promise((resolve, reject) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const entry = request.result;
+          if (!entry) {
+            resolve(null);
+          } else if (entry.expiresAt <= now) {
+            store.delete(key);
+            resolve(null);
+          } else {
+            entry.lastAccessed = now;
+            entry.hits = (entry.hits || 0) + 1;
+            store.put(entry);
+            resolve(entry);
+          }
+        };
+        request.onerror = () => reject(request.error);
+      }));
+    } catch (error) {
+      console.warn('Definition cache read failed:', error);
+      return null;
+    }
+  }
+
+  // Store a value; meta carries kind, word, provider and model for the settings panel
+  async set(key, value, meta = {}) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) return;
+
+      const kind = meta.kind || 'llm';
+      const ttlDays = settings.ttlDays[kind] || DEFAULT_CACHE_SETTINGS.ttlDays.llm;
+      const now = Date.now();
+
+      await this.withStore('readwrite', store => {
+        store.put({
+          key,
+          kind,
+          word: normalizeCacheWord(meta.word),
+          provider: meta.provider || null,
+          model: meta.model || null,
+          value,
+          createdAt: now,
+          lastAccessed: now,
+          expiresAt: now + ttlDays * DAY_MS,
+          hits: 0
+        });
+      });
+
+      await this.prune(settings.maxEntries);
+    } catch (error) {
+      console.warn('Definition cache write failed:', error);
+    }
+  }
+
+  // Drop expired entries, then evict least recently used ones above the cap
+  async prune(maxEntries) {
+    const now = Date.now();
+    await this.withStore('readwrite', store => new Promise((resolve, reject) => {
+      const expiredRequest = store.index('expiresAt').openCursor(IDBKeyRange.upperBound(now));
+      expiredRequest.onsuccess = () => {
+        const cursor = expiredRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+          return;
+        }
+
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+          let excess = countRequest.result - maxEntries;
+          if (excess <= 0) {
+            resolve();
+            return;
+          }
+
+          const lruRequest = store.index('lastAccessed').openCursor();
+          lruRequest.onsuccess = () => {
+            const lruCursor = lruRequest.result;
+            if (lruCursor && excess > 0) {
+              lruCursor.delete();
+              excess--;
+              lruCursor.continue();
+            } else {
+              resolve();
+            }
+          };
+          lruRequest.onerror = () => reject(lruRequest.error);
+        };
+        countRequest.onerror = () => reject(countRequest.error);
+      };
+      expiredRequest.onerror = () => reject(expiredRequest.error);
+    }));
+  }
+
+  // Clear everything, or only one kind of entry
+  async clear(kind = null) {
+    await this.withStore('readwrite', store => new Promise((resolve, reject) => {
+      if (!kind) {
+        const request = store.clear();
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        return;
+      }
+
+      const request = store.index('kind').openCursor(IDBKeyRange.only(kind));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  // Counts and approximate size per kind for the settings panel
+  async getStats() {
+    const entries = await this.withStore('readonly', store => new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+
+    const stats = { total: entries.length, approximateBytes: 0, hits: 0, byKind: {} };
+    for (const entry of entries) {
+      const kindStats = stats.byKind[entry.kind] || { count: 0, hits: 0 };
+      kindStats.count++;
+      kindStats.hits += entry.hits || 0;
+      stats.byKind[entry.kind] = kindStats;
+      stats.hits += entry.hits || 0;
+      stats.approximateBytes += JSON.stringify(entry.value).length * 2;
+    }
+    return stats;
+  }
+}
+
+const definitionCache = new DefinitionCache();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DefinitionCache, DEFAULT_CACHE_SETTINGS, hashString };
+}
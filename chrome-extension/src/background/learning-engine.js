@@ -58,7 +58,7 @@ class LearningEngine {
         const nextReviewDate = new Date(word.nextReview);
         const isDue = nextReviewDate <= now;
         
-        if (isDue && this.shouldIncludeInReview(word, reviewType)) {
+        if (isDue && !word.suspended && this.shouldIncludeInReview(word, reviewType)) {
           dueWords.push({
             ...word,
             category,
@@ -85,6 +85,8 @@ class LearningEngine {
         return word.difficulty === 'mastered';
       case 'difficult':
         return word.easeFactor < 2.0;
+      case 'leech':
+        return isLeech(word);
       case 'all':
       default:
         return true;
@@ -119,9 +121,17 @@ class LearningEngine {
       priority += 25;
     }
     
+    // Words that keep being forgotten
+    priority += getLeechPriority(word);
+    
     return priority;
   }
 
+  // Projected daily reviews from current schedules and limits; see forecastReviews
+  getReviewForecast(wordLists, options = {}) {
+    return forecastReviews([].concat(...Object.values(wordLists)), options);
+  }
+
   // Generate personalized study recommendations
   async generateStudyRecommendations(wordLists, userSettings) {
     const stats = this.algorithms.performanceTracker.getStudyStats(wordLists);
@@ -296,13 +306,13 @@ class ReviewScheduler {
   }
   
   async sendReviewReminder() {
-    const storage = await browser.storage.local.get(['wordLists', 'learningSettings']);
+    const storage = await browser.storage.local.get(['learningSettings']);
     const settings = storage.learningSettings || {};
     
     if (!settings.reviewReminders) return;
     
     const engine = new LearningEngine();
-    const dueWords = await engine.getWordsForReview(storage.wordLists || {});
+    const dueWords = await engine.getWordsForReview(await wordRepository.getWordLists());
     
     if (dueWords.length > 0) {
       browser.notifications.create({
@@ -314,20 +324,7 @@ class ReviewScheduler {
   }
   
   async checkOverdueWords() {
-    const storage = await browser.storage.local.get(['wordLists']);
-    const wordLists = storage.wordLists || {};
-    
-    let overdueCount = 0;
-    const now = new Date();
-    
-    Object.values(wordLists).forEach(category => {
-      category.forEach(word => {
-        const nextReviewDate = new Date(word.nextReview);
-        if (nextReviewDate < now) {
-          overdueCount++;
-        }
-      });
-    });
+    const overdueCount = await wordRepository.countDueWords();
     
     // Badge count for overdue words
     if (overdueCount > 0) {
@@ -477,9 +474,709 @@ class PerformanceTracker {
   }
 }
 
+// === REVIEW SCHEDULERS ===
+// A scheduler turns a stored word plus one review into the word's next schedule.
+// Every implementation provides:
+//   id                                  - stored on the word as `scheduler`
+//   scheduleReview(word, review, now)   - the updated word record (pure, synchronous)
+//   fromWord(word)                      - the word's state in this scheduler's terms; words last
+//                                         scheduled by another algorithm are converted here, so
+//                                         switching keeps every nextReview as it is
+// review is { rating, isCorrect, responseTime, mode } from a practice session; see reviewToRating.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const SCHEDULER_ALGORITHMS = {
+  sm2: 'SM-2 (classic)',
+  fsrs: 'FSRS'
+};
+
+const DEFAULT_SCHEDULER_SETTINGS = {
+  scheduler: 'sm2',
+  targetRetention: 0.9
+};
+
+// Ease factor (SM-2) and difficulty (FSRS, 1-10) describe the same thing on opposite scales
+function easeToFsrsDifficulty(easeFactor) {
+  return Math.min(10, Math.max(1, 5 + (2.5 - (easeFactor || 2.5)) * (5 / 1.2)));
+}
+
+function fsrsDifficultyToEase(difficulty) {
+  return Math.round(Math.min(3.0, Math.max(1.3, 2.5 - (difficulty - 5) * (1.2 / 5))) * 100) / 100;
+}
+
+// Graded answers; the rating is what schedulers and the review history store
+const REVIEW_GRADES = [
+  { rating: 1, id: 'again', label: 'Again' },
+  { rating: 2, id: 'hard', label: 'Hard' },
+  { rating: 3, id: 'good', label: 'Good' },
+  { rating: 4, id: 'easy', label: 'Easy' }
+];
+
+// Answer times (ms) below `easy` grade a correct answer Easy, above `hard` grade it Hard
+const GRADE_RESPONSE_TIMES = {
+  quiz: { easy: 4000, hard: 15000 },
+  typing: { easy: 8000, hard: 25000 }
+};
+
+// Stand-in confidence for the running average when a review only carries a grade
+const GRADE_CONFIDENCE = { 1: 0.2, 2: 0.5, 3: 0.8, 4: 1 };
+
+function getReviewGrade(rating) {
+  return REVIEW_GRADES.find(grade => grade.rating === rating) || null;
+}
+
+// Grade for modes that only know whether the answer was right, from how long it took
+function gradeFromAnswer(isCorrect, responseTime, mode) {
+  if (!isCorrect) return 1;
+  const thresholds = GRADE_RESPONSE_TIMES[mode] || GRADE_RESPONSE_TIMES.quiz;
+  if (typeof responseTime !== 'number') return 3;
+  if (responseTime <= thresholds.easy) return 4;
+  if (responseTime >= thresholds.hard) return 2;
+  return 3;
+}
+
+// An explicit rating wins; older callers that sent a confidence float keep their meaning
+function reviewToRating(review) {
+  if (getReviewGrade(review.rating)) return review.rating;
+  if (typeof review.confidenceLevel === 'number') {
+    if (!review.isCorrect) return 1;
+    if (review.confidenceLevel > 0.8) return 4;
+    if (review.confidenceLevel < 0.5) return 2;
+    return 3;
+  }
+  return gradeFromAnswer(review.isCorrect, review.responseTime, review.mode);
+}
+
+function addDays(now, days) {
+  const date = new Date(now.getTime());
+  date.setDate(date.getDate() + days);
+  return date.toISOString();
+}
+
+// Running averages every scheduler keeps on the word
+function updateReviewAverages(word, review) {
+  const responseTime = typeof review.responseTime === 'number' ? review.responseTime : 5000;
+  const confidenceLevel = typeof review.confidenceLevel === 'number'
+    ? review.confidenceLevel
+    : GRADE_CONFIDENCE[reviewToRating(review)];
+  return {
+    averageResponseTime: Math.round((word.averageResponseTime || responseTime) * 0.8 + responseTime * 0.2),
+    confidenceScore: Math.round(((word.confidenceScore || confidenceLevel) * 0.8 + confidenceLevel * 0.2) * 100) / 100
+  };
+}
+
+// Simplified SM-2 with fixed 1/6-day first steps - the original SmartDefine schedule
+class SM2Scheduler {
+  constructor(options = {}) {
+    this.id = 'sm2';
+    this.maximumInterval = options.maximumInterval || 365;
+  }
+
+  fromWord(word) {
+    if (word.scheduler === 'fsrs' && word.fsrs) {
+      return {
+        easeFactor: fsrsDifficultyToEase(word.fsrs.difficulty),
+        interval: Math.max(1, Math.round(word.interval || word.fsrs.stability))
+      };
+    }
+    return { easeFactor: word.easeFactor || 2.5, interval: word.interval || 1 };
+  }
+
+  scheduleReview(word, review, now = new Date()) {
+    const rating = reviewToRating(review);
+    const state = this.fromWord(word);
+    const reviewCount = (word.reviewCount || 0) + 1;
+
+    // Again -0.2, Hard unchanged, Good +0.1, Easy +0.15
+    const easeChange = { 1: -0.2, 2: 0, 3: 0.1, 4: 0.15 }[rating];
+    const easeFactor = Math.min(3.0, Math.max(1.3, state.easeFactor + easeChange));
+
+    let interval;
+    if (rating === 1) {
+      interval = 1; // Start over after a forgotten word
+    } else if (rating === 2) {
+      interval = state.interval === 1 ? 3 : Math.max(state.interval + 1, Math.round(state.interval * 1.2));
+    } else {
+      interval = state.interval === 1 ? 6 : Math.round(state.interval * easeFactor);
+      if (rating === 4) {
+        interval = Math.round(interval * 1.3);
+      }
+    }
+    interval = Math.min(interval, this.maximumInterval);
+
+    let difficulty = word.difficulty || 'new';
+    if (reviewCount >= 2 && difficulty === 'new') {
+      difficulty = 'learning';
+    } else if (reviewCount >= 5 && easeFactor >= 2.5 && difficulty === 'learning') {
+      difficulty = 'mastered';
+    } else if (difficulty === 'mastered' && easeFactor < 2.0) {
+      difficulty = 'learning';
+    }
+
+    return {
+      ...word,
+      ...updateReviewAverages(word, review),
+      scheduler: this.id,
+      fsrs: null,
+      reviewCount,
+      lastReviewed: now.toISOString(),
+      difficulty,
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      interval,
+      nextReview: addDays(now, interval)
+    };
+  }
+}
+
+// FSRS-4.5 default parameters (fitted on a large public review dataset)
+const FSRS_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81; // Makes retrievability 90% when elapsed days equal stability
+
+// Free Spaced Repetition Scheduler: models each word's memory with
+// stability (days until recall drops to 90%), difficulty (1-10) and retrievability
+class FSRSScheduler {
+  constructor(options = {}) {
+    this.id = 'fsrs';
+    this.weights = Array.isArray(options.weights) && options.weights.length === FSRS_DEFAULT_WEIGHTS.length
+      ? options.weights
+      : FSRS_DEFAULT_WEIGHTS;
+    this.targetRetention = Math.min(0.99, Math.max(0.7, options.targetRetention || DEFAULT_SCHEDULER_SETTINGS.targetRetention));
+    this.maximumInterval = options.maximumInterval || 36500;
+  }
+
+  // Probability of recalling the word after elapsedDays
+  retrievability(elapsedDays, stability) {
+    return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+  }
+
+  nextInterval(stability) {
+    const days = stability / FSRS_FACTOR * (Math.pow(this.targetRetention, 1 / FSRS_DECAY) - 1);
+    return Math.min(this.maximumInterval, Math.max(1, Math.round(days)));
+  }
+
+  initialStability(rating) {
+    return Math.max(0.1, this.weights[rating - 1]);
+  }
+
+  initialDifficulty(rating) {
+    return Math.min(10, Math.max(1, this.weights[4] - (rating - 3) * this.weights[5]));
+  }
+
+  nextDifficulty(difficulty, rating) {
+    const w = this.weights;
+    const changed = difficulty - w[6] * (rating - 3);
+    // Mean reversion towards the difficulty of a first "good" answer
+    const reverted = w[7] * this.initialDifficulty(3) + (1 - w[7]) * changed;
+    return Math.min(10, Math.max(1, reverted));
+  }
+
+  recallStability(difficulty, stability, retrievability, rating) {
+    const w = this.weights;
+    const hardPenalty = rating === 2 ? w[15] : 1;
+    const easyBonus = rating === 4 ? w[16] : 1;
+    return stability * (1 + Math.exp(w[8]) * (11 - difficulty) * Math.pow(stability, -w[9]) *
+      (Math.exp(w[10] * (1 - retrievability)) - 1) * hardPenalty * easyBonus);
+  }
+
+  forgetStability(difficulty, stability, retrievability) {
+    const w = this.weights;
+    const forgotten = w[11] * Math.pow(difficulty, -w[12]) * (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp(w[14] * (1 - retrievability));
+    return Math.min(forgotten, stability);
+  }
+
+  // Memory state for a word; SM-2 words are converted from their interval and ease factor
+  fromWord(word) {
+    if (word.scheduler === 'fsrs' && word.fsrs) {
+      return { ...word.fsrs };
+    }
+    if (!word.reviewCount || !word.lastReviewed) {
+      return null; // Never reviewed - the first rating sets the initial state
+    }
+    return {
+      // At 90% retention an interval of N days corresponds to a stability of N days
+      stability: Math.max(0.1, word.interval || 1),
+      difficulty: easeToFsrsDifficulty(word.easeFactor),
+      retrievability: null,
+      lastReview: word.lastReviewed
+    };
+  }
+
+  // Current chance of recall, or null for a word that was never reviewed
+  getRetrievability(word, now = new Date()) {
+    const state = this.fromWord(word);
+    if (!state) return null;
+    const elapsedDays = Math.max(0, (now - new Date(state.lastReview)) / MS_PER_DAY);
+    return this.retrievability(elapsedDays, state.stability);
+  }
+
+  scheduleReview(word, review, now = new Date()) {
+    const rating = reviewToRating(review);
+    const state = this.fromWord(word);
+    const reviewCount = (word.reviewCount || 0) + 1;
+
+    let stability;
+    let difficulty;
+    let retrievability = null;
+    if (!state) {
+      stability = this.initialStability(rating);
+      difficulty = this.initialDifficulty(rating);
+    } else {
+      const elapsedDays = Math.max(0, (now - new Date(state.lastReview)) / MS_PER_DAY);
+      retrievability = this.retrievability(elapsedDays, state.stability);
+      difficulty = this.nextDifficulty(state.difficulty, rating);
+      stability = rating === 1
+        ? this.forgetStability(state.difficulty, state.stability, retrievability)
+        : this.recallStability(state.difficulty, state.stability, retrievability, rating);
+    }
+
+    const interval = rating === 1 ? 1 : this.nextInterval(stability);
+
+    // Keep the new/learning/mastered levels the word list and filters rely on
+    let level = word.difficulty || 'new';
+    if (level === 'new' && reviewCount >= 2) {
+      level = 'learning';
+    } else if (level === 'learning' && stability >= 21) {
+      level = 'mastered';
+    } else if (level === 'mastered' && rating === 1) {
+      level = 'learning';
+    }
+
+    return {
+      ...word,
+      ...updateReviewAverages(word, review),
+      scheduler: this.id,
+      fsrs: {
+        stability: Math.round(stability * 100) / 100,
+        difficulty: Math.round(difficulty * 100) / 100,
+        retrievability: retrievability === null ? null : Math.round(retrievability * 1000) / 1000,
+        lastReview: now.toISOString()
+      },
+      reviewCount,
+      lastReviewed: now.toISOString(),
+      difficulty: level,
+      easeFactor: fsrsDifficultyToEase(difficulty),
+      interval,
+      nextReview: addDays(now, interval)
+    };
+  }
+}
+
+// Scheduler for the algorithm chosen in learningSettings
+function createScheduler(learningSettings = {}) {
+  const settings = { ...DEFAULT_SCHEDULER_SETTINGS, ...learningSettings };
+  if (settings.scheduler === 'fsrs') {
+    return new FSRSScheduler({ targetRetention: settings.targetRetention, weights: settings.fsrsWeights });
+  }
+  return new SM2Scheduler();
+}
+
+// === REVIEW LOG ===
+
+// Reviews kept on each word for display; the full history lives in the review log
+const REVIEW_HISTORY_LIMIT = 20;
+
+// Word fields a scheduler owns, saved before and after every logged review
+const SCHEDULE_FIELDS = ['nextReview', 'interval', 'easeFactor', 'difficulty', 'reviewCount', 'lastReviewed', 'scheduler', 'fsrs', 'lapses'];
+
+// The log also records resets and schedule moves; only entries with a rating are reviews
+function isReviewEntry(entry) {
+  return !!entry.rating;
+}
+
+function getScheduleSnapshot(word) {
+  const snapshot = {};
+  SCHEDULE_FIELDS.forEach(field => {
+    snapshot[field] = word[field] === undefined ? null : word[field];
+  });
+  return snapshot;
+}
+
+// Schedule one graded review and add it to the word's recent history.
+// review is { rating, responseTime, mode } with the rating already resolved.
+function applyReview(word, review, scheduler, now = new Date()) {
+  const scheduled = scheduler.scheduleReview(word, review, now);
+  const entry = {
+    date: now.toISOString(),
+    correct: review.rating > 1,
+    rating: review.rating,
+    responseTime: review.responseTime || null,
+    mode: review.mode || null,
+    interval: scheduled.interval,
+    easeFactor: scheduled.easeFactor
+  };
+  // A lapse is forgetting a word that had been reviewed before
+  const lapsed = review.rating === 1 && (word.reviewCount || 0) > 0;
+  return {
+    ...scheduled,
+    lapses: (word.lapses || 0) + (lapsed ? 1 : 0),
+    performanceHistory: [...(word.performanceHistory || []), entry].slice(-REVIEW_HISTORY_LIMIT)
+  };
+}
+
+/**
+ * Re-run a word's log entries (oldest first) through a scheduler. Replay starts from
+ * the schedule saved before the first logged entry and keeps the history from before
+ * it, so reviews made before the log existed still count. Load balancing, pause shifts
+ * and backlog spreading are logged too and applied again.
+ */
+function replayReviewLog(word, reviews, scheduler) {
+  const firstLoggedAt = reviews[0].reviewedAt;
+  const earlierHistory = (word.performanceHistory || []).filter(entry => entry.date < firstLoggedAt);
+  let replayed = { ...word, ...reviews[0].before, performanceHistory: earlierHistory };
+
+  reviews.forEach(entry => {
+    const now = new Date(entry.reviewedAt);
+    if (entry.reset) {
+      replayed = resetWordProgress(replayed, now);
+      return;
+    }
+    if (entry.shift) {
+      if (isFrozenByPause(replayed, new Date(entry.pausedAt))) {
+        replayed = shiftWordSchedule(replayed, entry.shift);
+      }
+      return;
+    }
+    if (entry.spread) {
+      // Only a word that is overdue under the replayed schedule too was part of the backlog
+      if (replayed.nextReview && new Date(replayed.nextReview) < now) {
+        replayed = { ...replayed, nextReview: entry.after.nextReview };
+      }
+      return;
+    }
+    replayed = applyReview(replayed, {
+      rating: entry.rating,
+      responseTime: entry.responseTime,
+      mode: entry.mode
+    }, scheduler, now);
+    if (entry.balanced) {
+      replayed = reapplyBalancedInterval(replayed, entry.balanced, now);
+    }
+  });
+  return replayed;
+}
+
+// === LEECHES ===
+// A leech is a word that keeps being forgotten. Once its lapses reach the threshold it is
+// tagged (word.leech) and, if the user chose so, suspended: suspended words are never due.
+
+const LEECH_ACTIONS = {
+  tag: 'Tag only',
+  suspend: 'Tag and suspend'
+};
+
+const DEFAULT_LEECH_SETTINGS = {
+  leechThreshold: 8,
+  leechAction: 'tag'
+};
+
+function isLeech(word) {
+  return !!word.leech;
+}
+
+// Tag a word whose lapses reached the threshold; returns the word unchanged otherwise
+function detectLeech(word, learningSettings = {}, now = new Date()) {
+  const settings = { ...DEFAULT_LEECH_SETTINGS, ...learningSettings };
+  const lapses = word.lapses || 0;
+  if (isLeech(word) || lapses < settings.leechThreshold) return word;
+
+  return {
+    ...word,
+    leech: { taggedAt: now.toISOString(), lapses },
+    suspended: settings.leechAction === 'suspend' ? true : !!word.suspended
+  };
+}
+
+// Extra review priority for words that lapse often, most of all for leeches
+function getLeechPriority(word) {
+  return Math.min(word.lapses || 0, 10) * 5 + (isLeech(word) ? 40 : 0);
+}
+
+// Start a word over as new: schedule, lapses and leech tag are cleared, notes and memory aids kept
+function resetWordProgress(word, now = new Date()) {
+  return {
+    ...word,
+    reviewCount: 0,
+    difficulty: 'new',
+    easeFactor: 2.5,
+    interval: 1,
+    nextReview: now.toISOString(),
+    lastReviewed: null,
+    scheduler: null,
+    fsrs: null,
+    lapses: 0,
+    leech: null,
+    suspended: false,
+    streak: 0,
+    performanceHistory: []
+  };
+}
+
+// === DAILY LIMITS AND LOAD BALANCING ===
+// Each day's queue takes at most newCardsPerDay never-reviewed words and reviewsPerDay
+// other due words, so a big reading session doesn't all come due at once. Computed
+// intervals are fuzzed a little, towards the least busy day, to keep reviews spread out.
+
+const QUEUE_ORDERS = {
+  priority: 'Most urgent first',
+  overdue: 'Most overdue first',
+  random: 'Random',
+  category: 'By category'
+};
+
+const DEFAULT_QUEUE_SETTINGS = {
+  newCardsPerDay: 20,
+  reviewsPerDay: 200,
+  queueOrder: 'priority',
+  loadBalancing: true
+};
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Calendar days from `from` to `to` in local time
+function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / MS_PER_DAY);
+}
+
+// Words introduced and reviewed today, from today's review log entries
+function countStudiedToday(entries) {
+  const newWords = new Set();
+  const reviewedWords = new Set();
+  entries.forEach(entry => {
+    if (!isReviewEntry(entry)) return;
+    if (entry.before && !entry.before.reviewCount) {
+      newWords.add(entry.wordId);
+    } else if (!newWords.has(entry.wordId)) {
+      reviewedWords.add(entry.wordId);
+    }
+  });
+  return { newCards: newWords.size, reviews: reviewedWords.size };
+}
+
+function shuffleWords(words, random = Math.random) {
+  const shuffled = [...words];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Order due words (each with a `priority`) and apply what is left of today's limits.
+ * options: { queueOrder, newLimit, reviewLimit }; limits default to no limit.
+ */
+function buildReviewQueue(dueWords, options = {}) {
+  const { queueOrder = 'priority', newLimit = Infinity, reviewLimit = Infinity } = options;
+  const byPriority = (a, b) => b.priority - a.priority;
+
+  let ordered;
+  switch (queueOrder) {
+    case 'overdue':
+      ordered = [...dueWords].sort((a, b) => new Date(a.nextReview || 0) - new Date(b.nextReview || 0));
+      break;
+    case 'random':
+      ordered = shuffleWords(dueWords);
+      break;
+    case 'category':
+      ordered = [...dueWords].sort((a, b) => a.category.localeCompare(b.category) || byPriority(a, b));
+      break;
+    case 'priority':
+    default:
+      ordered = [...dueWords].sort(byPriority);
+  }
+
+  let newCount = 0;
+  let reviewCount = 0;
+  return ordered.filter(word => {
+    if (!word.reviewCount) {
+      return newCount++ < newLimit;
+    }
+    return reviewCount++ < reviewLimit;
+  });
+}
+
+// Days an interval may move by; short intervals are left alone
+function getFuzzRange(interval) {
+  if (interval < 3) return null;
+  const factor = interval < 7 ? 0.15 : interval < 20 ? 0.1 : 0.05;
+  const spread = Math.max(1, Math.round(interval * factor));
+  return { min: Math.max(2, interval - spread), max: interval + spread };
+}
+
+/**
+ * Move a freshly scheduled word to the day in its fuzz range with the fewest reviews
+ * already due; ties are broken at random. dueDates are the nextReview values of other
+ * words in that range. The review log keeps how many days the word moved.
+ */
+function balanceInterval(word, dueDates, now = new Date(), random = Math.random) {
+  const range = getFuzzRange(word.interval);
+  if (!range) return word;
+
+  const load = {};
+  dueDates.forEach(date => {
+    const days = daysBetween(now, new Date(date));
+    load[days] = (load[days] || 0) + 1;
+  });
+
+  let quietest = [];
+  let lowest = Infinity;
+  for (let days = range.min; days <= range.max; days++) {
+    const count = load[days] || 0;
+    if (count < lowest) {
+      quietest = [days];
+      lowest = count;
+    } else if (count === lowest) {
+      quietest.push(days);
+    }
+  }
+
+  const interval = quietest[Math.floor(random() * quietest.length)];
+  return { ...word, interval, nextReview: addDays(now, interval) };
+}
+
+// Move a replayed review by the days load balancing moved it, if that still fits its fuzz range
+function reapplyBalancedInterval(word, days, now) {
+  const range = getFuzzRange(word.interval);
+  const interval = word.interval + days;
+  if (!range || interval < range.min || interval > range.max) return word;
+  return { ...word, interval, nextReview: addDays(now, interval) };
+}
+
+// === WORKLOAD FORECAST ===
+// Projects the daily review queue by simulating each day: due words are reviewed within
+// the daily limits (most overdue first) and rescheduled by the current scheduler. A
+// fixed-seed share of (1 - target retention) of the answers is graded Again and the rest
+// Good, so the same collection always gives the same forecast.
+
+const FORECAST_DAYS = { min: 7, max: 90, default: 30 };
+
+// Small deterministic generator (mulberry32) for repeatable simulations
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Daily review counts for the next `days` days. Returns one
+ * { date, reviews, newCards, backlog } per day, where backlog is the number of due
+ * words left for later because the limits were reached.
+ * options: { days, newCardsPerDay, reviewsPerDay, learningSettings, studiedToday, now }
+ */
+function forecastReviews(words, options = {}) {
+  const {
+    newCardsPerDay = DEFAULT_QUEUE_SETTINGS.newCardsPerDay,
+    reviewsPerDay = DEFAULT_QUEUE_SETTINGS.reviewsPerDay,
+    learningSettings = {},
+    studiedToday = { newCards: 0, reviews: 0 },
+    now = new Date()
+  } = options;
+  const days = Math.min(FORECAST_DAYS.max, Math.max(FORECAST_DAYS.min, options.days || FORECAST_DAYS.default));
+  const scheduler = createScheduler(learningSettings);
+  const retention = learningSettings.targetRetention || DEFAULT_SCHEDULER_SETTINGS.targetRetention;
+  const random = createSeededRandom(1);
+  const today = startOfDay(now);
+
+  // Days from today each word comes due; overdue words are due today
+  const pending = words
+    .filter(word => !word.suspended)
+    .map(word => ({ word, due: Math.max(0, daysBetween(now, new Date(word.nextReview || now))) }));
+
+  const forecast = [];
+  for (let day = 0; day < days; day++) {
+    const reviewDate = new Date(addDays(today, day));
+    let newLeft = newCardsPerDay - (day === 0 ? studiedToday.newCards : 0);
+    let reviewsLeft = reviewsPerDay - (day === 0 ? studiedToday.reviews : 0);
+    let newCards = 0;
+    let reviews = 0;
+    let backlog = 0;
+
+    pending
+      .filter(item => item.due <= day)
+      .sort((a, b) => a.due - b.due)
+      .forEach(item => {
+        const isNew = !item.word.reviewCount;
+        if (isNew ? newLeft <= 0 : reviewsLeft <= 0) {
+          backlog++;
+          return;
+        }
+        if (isNew) {
+          newLeft--;
+          newCards++;
+        } else {
+          reviewsLeft--;
+          reviews++;
+        }
+
+        const rating = random() < retention ? 3 : 1;
+        item.word = scheduler.scheduleReview(item.word, { rating }, reviewDate);
+        item.due = day + Math.max(1, daysBetween(reviewDate, new Date(item.word.nextReview)));
+      });
+
+    forecast.push({ date: reviewDate.toISOString(), reviews, newCards, backlog });
+  }
+  return forecast;
+}
+
+// === PAUSE AND BACKLOG ===
+// While learning is paused nothing nags and nothing is served for review; on resume every
+// scheduled review moves forward by the length of the pause, so due dates keep their order.
+// A backlog of overdue words can also be spread over the coming days.
+
+// Scheduled and not suspended, and neither saved nor reviewed since the pause began
+function isFrozenByPause(word, pausedAt) {
+  if (!word.nextReview || word.suspended) return false;
+  if (word.dateAdded && new Date(word.dateAdded) >= pausedAt) return false;
+  return !word.lastReviewed || new Date(word.lastReviewed) < pausedAt;
+}
+
+// Move a word's next review `days` days later
+function shiftWordSchedule(word, days) {
+  if (!word.nextReview || days <= 0) return word;
+  return { ...word, nextReview: addDays(new Date(word.nextReview), days) };
+}
+
+/**
+ * Spread overdue words evenly over `days` days starting today, most overdue first.
+ * Returns the rescheduled words; words that aren't overdue are left out.
+ */
+function spreadOverdueWords(words, days, now = new Date()) {
+  const overdue = words
+    .filter(word => !word.suspended && word.nextReview && new Date(word.nextReview) < now)
+    .sort((a, b) => new Date(a.nextReview) - new Date(b.nextReview));
+  const span = Math.max(1, days);
+
+  return overdue.map((word, index) => ({
+    ...word,
+    nextReview: addDays(now, Math.floor(index * span / overdue.length))
+  }));
+}
+
 // Export the learning engine
 if (typeof module !== 'undefined') {
-  module.exports = { LearningEngine };
+  module.exports = {
+    LearningEngine, SM2Scheduler, FSRSScheduler, createScheduler, SCHEDULER_ALGORITHMS,
+    REVIEW_GRADES, gradeFromAnswer, reviewToRating,
+    isReviewEntry, getScheduleSnapshot, applyReview, replayReviewLog,
+    LEECH_ACTIONS, DEFAULT_LEECH_SETTINGS, isLeech, detectLeech, resetWordProgress,
+    QUEUE_ORDERS, DEFAULT_QUEUE_SETTINGS, countStudiedToday, buildReviewQueue, getFuzzRange, balanceInterval,
+    reapplyBalancedInterval,
+    FORECAST_DAYS, forecastReviews,
+    isFrozenByPause, shiftWordSchedule, spreadOverdueWords
+  };
 } else if (typeof window !== 'undefined') {
   // Browser environment
   window.LearningEngine = LearningEngine;
@@ -0,0 +1,205 @@
+// src/background/phrases.js
+// Multi-word lookups: a bundled list of phrasal verbs, idioms and collocations and
+// matching a selection against it, so "take for granted" isn't looked up as "take".
+
+const PHRASE_TYPES = ['phrasal verb', 'idiom', 'collocation'];
+
+const DEFAULT_PHRASE_SETTINGS = {
+  phraseDetection: true,
+  phraseLLMCheck: false
+};
+
+// The AI check only looks at short selections; longer ones are sentences, not phrases
+const MAX_PHRASE_WORDS = 6;
+
+// Dictionary forms. "someone"/"something" stand for an object of up to three words (or none,
+// so "take for granted" still matches); "one's"/"someone's" stand for a possessive like "my" or "Anna's".
+const BUNDLED_PHRASES = {
+  'phrasal verb': [
+    'back something up', 'blow up', 'break down', 'break up', 'bring something up',
+    'call something off', 'carry on', 'catch up', 'check something out', 'come across',
+    'come up with', 'cut down on', 'deal with', 'do without', 'drop out', 'end up',
+    'figure something out', 'fill something in', 'find out', 'get along', 'get by',
+    'get over', 'get rid of', 'give in', 'give up', 'go on', 'go through', 'grow up',
+    'hang out', 'hold on', 'keep up with', 'let someone down', 'look after', 'look forward to',
+    'look something up', 'look up to', 'make something up', 'make up for', 'pass out',
+    'pick something up', 'point something out', 'put something off', 'put up with',
+    'run into', 'run out of', 'set something up', 'settle down', 'show off', 'stand out',
+    'take after', 'take off', 'take something over', 'turn something down', 'turn out',
+    'turn up', 'wear off', 'work something out'
+  ],
+  idiom: [
+    'a blessing in disguise', 'a piece of cake', 'against the clock', 'at the drop of a hat',
+    'beat around the bush', 'bite the bullet', 'break the ice', 'by and large',
+    'call it a day', 'cost an arm and a leg', 'cut corners', 'get out of hand',
+    'hit the nail on the head', 'hit the sack', 'in a nutshell', 'in lieu of',
+    'in the long run', 'it goes without saying', 'keep an eye on', 'kill two birds with one stone',
+    'kick the bucket', 'let the cat out of the bag', 'miss the boat', 'no strings attached',
+    'off the top of one\'s head', 'on the ball', 'on the fence', 'once in a blue moon',
+    'pull someone\'s leg', 'rule of thumb', 'see eye to eye', 'sit on the fence',
+    'spill the beans', 'take something for granted', 'take something with a grain of salt',
+    'the last straw', 'through thick and thin', 'under the weather', 'up in the air',
+    'with flying colors', 'when pigs fly', 'in the same boat', 'keep one\'s word',
+    'lose one\'s temper', 'make ends meet', 'play it by ear', 'jump the gun',
+    'the ball is in one\'s court', 'a far cry from', 'in the nick of time'
+  ],
+  collocation: [
+    'as a matter of fact', 'by means of', 'come to terms with', 'draw a conclusion',
+    'for the time being', 'in accordance with', 'in spite of', 'in terms of',
+    'in the light of', 'make a decision', 'make an effort', 'make progress',
+    'on behalf of', 'on the other hand', 'pay attention to', 'take advantage of',
+    'take into account', 'take part in', 'take place', 'with regard to',
+    'bear in mind', 'fall short of', 'catch someone\'s eye', 'raise awareness',
+    'meet a deadline', 'run a risk', 'strike a balance', 'reach an agreement'
+  ]
+};
+
+const PHRASE_SLOT_WORDS = ['someone', 'something'];
+const PHRASE_POSSESSIVE_WORDS = ["one's", "someone's"];
+const POSSESSIVE_WORDS = ['my', 'your', 'his', 'her', 'its', 'our', 'their', "one's"];
+const MAX_SLOT_WORDS = 3;
+
+// Irregular verb forms seen in the phrase list, mapped to their dictionary form
+const IRREGULAR_PHRASE_FORMS = {
+  broke: 'break', broken: 'break', brought: 'bring', came: 'come', caught: 'catch',
+  did: 'do', does: 'do', done: 'do', drew: 'draw', drawn: 'draw', fell: 'fall', fallen: 'fall',
+  found: 'find', gave: 'give', given: 'give', got: 'get', gotten: 'get', went: 'go', gone: 'go',
+  goes: 'go', grew: 'grow', grown: 'grow', held: 'hold', hung: 'hang', kept: 'keep', lost: 'lose',
+  made: 'make', met: 'meet', paid: 'pay', ran: 'run', saw: 'see', seen: 'see', shown: 'show',
+  sat: 'sit', stood: 'stand', struck: 'strike', took: 'take', taken: 'take', wore: 'wear',
+  worn: 'wear', blew: 'blow', blown: 'blow', bit: 'bite', bitten: 'bite', spilt: 'spill',
+  was: 'is', were: 'is'
+};
+
+// Lowercased words of a selection, with curly apostrophes straightened and punctuation dropped
+function tokenizePhraseText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^a-z'\s-]/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/^['-]+|['-]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Possible dictionary forms of one word: "taking" -> take, "cuts" -> cut, "tried" -> try
+function getPhraseWordForms(token) {
+  const forms = new Set([token]);
+  if (IRREGULAR_PHRASE_FORMS[token]) forms.add(IRREGULAR_PHRASE_FORMS[token]);
+
+  const stems = [];
+  if (token.endsWith('ies') || token.endsWith('ied')) stems.push(token.slice(0, -3) + 'y');
+  if (token.endsWith('es')) stems.push(token.slice(0, -2));
+  if (token.endsWith('s') && !token.endsWith('ss')) stems.push(token.slice(0, -1));
+  if (token.endsWith('ed')) stems.push(token.slice(0, -2), token.slice(0, -1));
+  if (token.endsWith('ing')) stems.push(token.slice(0, -3), token.slice(0, -3) + 'e');
+  stems.forEach(stem => {
+    if (stem.length < 2) return;
+    forms.add(stem);
+    // Doubled final consonant: "cutting" -> cut, "dropped" -> drop
+    if (/([b-df-hj-np-tv-z])\1$/.test(stem)) forms.add(stem.slice(0, -1));
+  });
+  return forms;
+}
+
+function isPossessiveToken(token) {
+  return POSSESSIVE_WORDS.includes(token) || /'s?$/.test(token);
+}
+
+/**
+ * Match phrase words against selection tokens starting at `start`.
+ * Returns the index just past the match, or -1. Slots try the shortest fill first.
+ */
+function matchPhraseWords(phraseWords, tokens, start, forms) {
+  const step = (p, t) => {
+    if (p === phraseWords.length) return t;
+    const word = phraseWords[p];
+
+    if (PHRASE_SLOT_WORDS.includes(word)) {
+      for (let fill = 0; fill <= MAX_SLOT_WORDS && t + fill <= tokens.length; fill++) {
+        const end = step(p + 1, t + fill);
+        if (end !== -1) return end;
+      }
+      return -1;
+    }
+    if (t >= tokens.length) return -1;
+    if (PHRASE_POSSESSIVE_WORDS.includes(word)) {
+      return isPossessiveToken(tokens[t]) ? step(p + 1, t + 1) : -1;
+    }
+    return forms[t].has(word) ? step(p + 1, t + 1) : -1;
+  };
+  return step(0, start);
+}
+
+/**
+ * Find the bundled phrase in a selection. A phrase covering the whole selection wins;
+ * otherwise the one with the most fixed words, earliest first. Returns
+ * { text, type, matched, source } where text is the dictionary form and matched the
+ * words as they appear on the page, or null when the selection holds no known phrase.
+ */
+function findBundledPhrase(selection) {
+  const tokens = tokenizePhraseText(selection);
+  if (tokens.length < 2) return null;
+  const forms = tokens.map(getPhraseWordForms);
+
+  let best = null;
+  PHRASE_TYPES.forEach(type => {
+    BUNDLED_PHRASES[type].forEach(phrase => {
+      const phraseWords = phrase.split(' ');
+      const fixedWords = phraseWords
+        .filter(word => !PHRASE_SLOT_WORDS.includes(word) && !PHRASE_POSSESSIVE_WORDS.includes(word)).length;
+      if (fixedWords < 2) return;
+
+      for (let start = 0; start < tokens.length; start++) {
+        const end = matchPhraseWords(phraseWords, tokens, start, forms);
+        if (end === -1) continue;
+        const candidate = {
+          text: phrase,
+          type,
+          matched: tokens.slice(start, end).join(' '),
+          source: 'bundled',
+          whole: start === 0 && end === tokens.length,
+          fixedWords,
+          start
+        };
+        if (!best || isBetterPhraseMatch(candidate, best)) best = candidate;
+        break;
+      }
+    });
+  });
+
+  if (!best) return null;
+  const { text, type, matched, source } = best;
+  return { text, type, matched, source };
+}
+
+function isBetterPhraseMatch(candidate, best) {
+  if (candidate.whole !== best.whole) return candidate.whole;
+  if (candidate.fixedWords !== best.fixedWords) return candidate.fixedWords > best.fixedWords;
+  return candidate.start < best.start;
+}
+
+// Read the AI phrase check reply: { isPhrase, phrase, type } or null when it isn't usable
+function parsePhraseCheckReply(text) {
+  const reply = parseStructuredJSON(text);
+  if (!reply || reply.isPhrase !== true || typeof reply.phrase !== 'string') return null;
+
+  const type = String(reply.type || '').toLowerCase();
+  const phrase = reply.phrase.trim().toLowerCase();
+  if (!PHRASE_TYPES.includes(type) || tokenizePhraseText(phrase).length < 2) return null;
+  return { text: phrase, type };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PHRASE_TYPES,
+    DEFAULT_PHRASE_SETTINGS,
+    MAX_PHRASE_WORDS,
+    BUNDLED_PHRASES,
+    tokenizePhraseText,
+    getPhraseWordForms,
+    findBundledPhrase,
+    parsePhraseCheckReply
+  };
+}
@@ -0,0 +1,224 @@
+// src/background/prompt-templates.js
+// Named prompt templates, their placeholders and JSON import/export.
+// Loaded by the service worker and by the settings page (for the live preview).
+
+const DEFAULT_PROMPT_TEMPLATE_ID = 'learner';
+
+const PROMPT_PLACEHOLDERS = [
+  { token: 'X_WORD_X', key: 'word', description: 'The selected word (required)' },
+  { token: 'X_SENTENCE_X', key: 'sentence', description: 'Sentence the word appears in' },
+  { token: 'X_PAGE_TITLE_X', key: 'pageTitle', description: 'Title of the page' },
+  { token: 'X_LEVEL_X', key: 'level', description: 'Your English level, e.g. B1' },
+  { token: 'X_NATIVE_LANG_X', key: 'nativeLanguage', description: 'Your native language' }
+];
+
+const LEARNER_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const DEFAULT_LEARNER_PROFILE = {
+  level: 'B1',
+  nativeLanguage: ''
+};
+
+const PROMPT_TEMPLATES_EXPORT_FORMAT = 'smartdefine-prompt-templates';
+
+// Every built-in keeps the **Header:** layout so the modal, word lists and practice can parse it
+const BUILT_IN_PROMPT_TEMPLATES = [
+  {
+    id: 'learner',
+    name: 'Learner-friendly',
+    builtIn: true,
+    prompt: "Explain the word 'X_WORD_X' using EXACTLY this format with these exact headers. Do not skip any section:\n\n**Word Type:**\n[Its part of speech]\n\n**Current Form:**\n[Describe the grammatical form of the given word]\n\n**Other Forms:**\n- form1: example\n- form2: example\n\n**Meaning:**\n[Clear definition of the word]\n\n**Respelling:**\n[Simplified phonetics like (en-KOM-pass-ing), not IPA]\n\n**Synonyms:**\n- word1 (pronunciation)\n- word2 (pronunciation)\n- word3 (pronunciation)\n\n**Antonyms:**\n- word1 (pronunciation)\n- word2 (pronunciation)\n- word3 (pronunciation)\n\n**Examples:**\n- Example sentence 1\n- Example sentence 2\n- Example sentence 3\n\n**Collocations:**\n- common phrase 1\n- common phrase 2\n- common phrase 3\n\n**Ways to remember:**\n- Memory aid or mnemonic device"
+  },
+  {
+    id: 'academic',
+    name: 'Academic',
+    builtIn: true,
+    prompt: "Explain the word 'X_WORD_X' for a student reading academic texts at CEFR level X_LEVEL_X. Use EXACTLY this format with these exact headers:\n\n**Word Type:**\n[Its part of speech]\n\n**Current Form:**\n[Describe the grammatical form of the given word]\n\n**Meaning:**\n[Precise definition as used in academic writing, noting the field if it is discipline-specific]\n\n**Respelling:**\n[Simplified phonetics like (en-KOM-pass-ing), not IPA]\n\n**Register:**\n[Formal/neutral, and a less formal alternative if one exists]\n\n**Synonyms:**\n- word1 (pronunciation)\n- word2 (pronunciation)\n- word3 (pronunciation)\n\n**Examples:**\n- Example sentence in the style of a research paper\n- Example sentence in the style of a textbook\n- Example sentence in the style of a lecture\n\n**Collocations:**\n- common academic phrase 1\n- common academic phrase 2\n- common academic phrase 3"
+  },
+  {
+    id: 'etymology',
+    name: 'Etymology-focused',
+    builtIn: true,
+    prompt: "Explain the word 'X_WORD_X' with a focus on where it comes from. Use EXACTLY this format with these exact headers:\n\n**Word Type:**\n[Its part of speech]\n\n**Meaning:**\n[Clear definition of the word]\n\n**Respelling:**\n[Simplified phonetics like (en-KOM-pass-ing), not IPA]\n\n**Origin:**\n[Source language, original form and literal meaning]\n\n**Word Parts:**\n- prefix/root/suffix: meaning\n\n**Related Words:**\n- related word 1 (shared root)\n- related word 2 (shared root)\n- related word 3 (shared root)\n\n**Examples:**\n- Example sentence 1\n- Example sentence 2\n\n**Ways to remember:**\n- Memory aid built on the word's origin"
+  },
+  {
+    id: 'business',
+    name: 'Business English',
+    builtIn: true,
+    prompt: "Explain the word 'X_WORD_X' for a X_LEVEL_X learner whose native language is X_NATIVE_LANG_X and who uses English at work. Use EXACTLY this format with these exact headers:\n\n**Word Type:**\n[Its part of speech]\n\n**Meaning:**\n[Clear definition, focusing on how the word is used in business]\n\n**Respelling:**\n[Simplified phonetics like (en-KOM-pass-ing), not IPA]\n\n**Translation:**\n[Closest X_NATIVE_LANG_X equivalent and any false friends to watch for]\n\n**Examples:**\n- Example from an email\n- Example from a meeting\n- Example from a report\n\n**Collocations:**\n- common business phrase 1\n- common business phrase 2\n- common business phrase 3\n\n**Synonyms:**\n- word1 (pronunciation)\n- word2 (pronunciation)"
+  }
+];
+
+// Built-ins followed by the user's own templates
+function getPromptTemplates(customTemplates = []) {
+  const custom = (Array.isArray(customTemplates) ? customTemplates : [])
+    .filter(template => validatePromptTemplate(template).length === 0)
+    .map(template => ({ id: template.id, name: template.name, prompt: template.prompt, builtIn: false }));
+  return [...BUILT_IN_PROMPT_TEMPLATES, ...custom];
+}
+
+function findPromptTemplate(templates, id) {
+  return templates.find(template => template.id === id) || null;
+}
+
+/**
+ * Pick the template for a lookup: the one chosen in the modal, then the default
+ * from settings, then the legacy single `prompt`, then the learner-friendly built-in.
+ */
+function resolvePromptTemplate(settings = {}) {
+  const templates = getPromptTemplates(settings.promptTemplates);
+  const chosen = findPromptTemplate(templates, settings.promptTemplateId) ||
+                 findPromptTemplate(templates, settings.activePromptTemplate);
+  if (chosen) return chosen;
+
+  if (settings.prompt && settings.prompt.includes('X_WORD_X')) {
+    return { id: null, name: 'Custom prompt', prompt: settings.prompt, builtIn: false };
+  }
+  return findPromptTemplate(templates, DEFAULT_PROMPT_TEMPLATE_ID);
+}
+
+// Values for every placeholder from the lookup and the learner profile
+function buildPromptValues(word, context, learnerProfile) {
+  const profile = { ...DEFAULT_LEARNER_PROFILE, ...(learnerProfile || {}) };
+  return {
+    word: word || '',
+    sentence: (context && context.fullSentence) || '',
+    pageTitle: (context && context.pageTitle) || '',
+    level: profile.level,
+    nativeLanguage: profile.nativeLanguage || 'not specified'
+  };
+}
+
+// Prompt for a word the learner keeps forgetting: a simpler explanation and a mnemonic
+function buildMemoryAidPrompt(word, explanation, learnerProfile) {
+  const { level, nativeLanguage } = buildPromptValues(word, null, learnerProfile);
+  let prompt = `A learner at CEFR level ${level} (native language: ${nativeLanguage}) keeps forgetting the English word '${word}'.` +
+    " Help them remember it. Use EXACTLY this format with these exact headers:\n\n" +
+    "**Simple Meaning:**\n[One short sentence using only common words]\n\n" +
+    "**Mnemonic:**\n[A vivid memory aid linking the sound or spelling of the word to its meaning]\n\n" +
+    "**Examples:**\n- Very simple example sentence 1\n- Very simple example sentence 2";
+  if (explanation) {
+    prompt += `\n\nThe explanation they have been studying, which did not stick:\n${explanation}`;
+  }
+  return prompt;
+}
+
+/**
+ * Template for a phrasal verb, idiom or collocation. Word templates ask for parts of speech
+ * and word forms, so phrases use this one whichever template is chosen.
+ */
+function getPhrasePromptTemplate(phraseType) {
+  return {
+    id: null,
+    name: 'Phrase',
+    builtIn: true,
+    prompt: `Explain the English ${phraseType} 'X_WORD_X' for a learner at CEFR level X_LEVEL_X whose native language is X_NATIVE_LANG_X.` +
+      " Explain the phrase as a whole, not word by word. Use EXACTLY this format with these exact headers:\n\n" +
+      `**Phrase Type:**\n[${phraseType}, and whether it is formal, neutral or informal]\n\n` +
+      "**Meaning:**\n[Clear definition of the whole phrase]\n\n" +
+      "**Literal Meaning:**\n[What the words say on their own and how that connects to the meaning, or \"Same as the meaning\"]\n\n" +
+      "**Usage:**\n- How the phrase changes in a sentence (tenses, where the object goes)\n\n" +
+      "**Examples:**\n- Example sentence 1\n- Example sentence 2\n- Example sentence 3\n\n" +
+      "**Similar Phrases:**\n- phrase 1\n- phrase 2\n\n" +
+      "**Ways to remember:**\n- Memory aid for the phrase"
+  };
+}
+
+// Quick yes/no check for selections the bundled phrase list doesn't know
+function buildPhraseCheckPrompt(text) {
+  return `Is "${text}" (or a part of it) an established English phrasal verb, idiom or collocation?\n\n` +
+    'Reply with ONLY a JSON object - no markdown, no commentary - using exactly this shape:\n' +
+    '{ "isPhrase": true, "phrase": "the phrase in its dictionary form", "type": "phrasal verb" }\n\n' +
+    '"type" is one of "phrasal verb", "idiom" or "collocation". Reply { "isPhrase": false } for ordinary word sequences.';
+}
+
+// Replace placeholders; tokens without a value in `values` are left untouched
+function renderPromptTemplate(prompt, values = {}) {
+  let rendered = prompt || '';
+  PROMPT_PLACEHOLDERS.forEach(({ token, key }) => {
+    if (values[key] === undefined) return;
+    rendered = rendered.split(token).join(values[key]);
+  });
+  return rendered;
+}
+
+function promptUsesPlaceholder(prompt, token) {
+  return (prompt || '').includes(token);
+}
+
+// Returns a list of problems; empty when the template can be used
+function validatePromptTemplate(template) {
+  const errors = [];
+  if (!template || typeof template !== 'object') {
+    return ['Template must be an object'];
+  }
+  if (typeof template.name !== 'string' || !template.name.trim()) {
+    errors.push('Template needs a name');
+  }
+  if (typeof template.prompt !== 'string' || !template.prompt.includes('X_WORD_X')) {
+    errors.push(`"${template.name || 'Untitled'}" must include the X_WORD_X placeholder`);
+  }
+  return errors;
+}
+
+function createPromptTemplateId() {
+  return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// JSON document that can be shared and imported on another install
+function exportPromptTemplates(templates) {
+  return JSON.stringify({
+    format: PROMPT_TEMPLATES_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(template => ({ name: template.name, prompt: template.prompt }))
+  }, null, 2);
+}
+
+/**
+ * Parse an exported document (or a bare array of templates).
+ * Returns { templates, errors }; every imported template gets a fresh custom id.
+ */
+function importPromptTemplates(json) {
+  let data;
+  try {
+    data = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    return { templates: [], errors: ['File is not valid JSON'] };
+  }
+
+  const list = Array.isArray(data) ? data : (data && data.templates);
+  if (!Array.isArray(list)) {
+    return { templates: [], errors: ['No "templates" list found'] };
+  }
+
+  const templates = [];
+  const errors = [];
+  list.forEach((item, index) => {
+    const problems = validatePromptTemplate(item);
+    if (problems.length > 0) {
+      errors.push(`Template ${index + 1}: ${problems.join(', ')}`);
+      return;
+    }
+    templates.push({ id: createPromptTemplateId(), name: item.name.trim(), prompt: item.prompt });
+  });
+  return { templates, errors };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUILT_IN_PROMPT_TEMPLATES,
+    PROMPT_PLACEHOLDERS,
+    getPromptTemplates,
+    resolvePromptTemplate,
+    buildPromptValues,
+    buildMemoryAidPrompt,
+    getPhrasePromptTemplate,
+    buildPhraseCheckPrompt,
+    renderPromptTemplate,
+    validatePromptTemplate,
+    exportPromptTemplates,
+    importPromptTemplates
+  };
+}
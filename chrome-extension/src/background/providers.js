@@ -0,0 +1,603 @@
+// src/background/providers.js
+// Provider adapter registry - each adapter describes how to talk to one LLM backend
+
+// Standard error shape reported by every adapter.
+// code: auth | quota | rate_limit | bad_model | not_found | server | network | timeout |
+//       cancelled | config | invalid_response | http | unsupported
+class ProviderError extends Error {
+  constructor(provider, message, { status = null, code = 'unknown', retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  toJSON() {
+    return {
+      provider: this.provider,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      retryable: this.retryable
+    };
+  }
+}
+
+// Map an HTTP status (and the provider's error text) to an error code
+function classifyHttpStatus(status, errorMessage = '') {
+  if (status === 401 || status === 403) return { code: 'auth', retryable: false };
+  if (status === 402) return { code: 'quota', retryable: false };
+  if (status === 429) {
+    // Out of credits is reported as 429 by some providers, waiting won't help
+    if (/quota|credit|billing|insufficient/i.test(errorMessage)) return { code: 'quota', retryable: false };
+    return { code: 'rate_limit', retryable: true };
+  }
+  if ((status === 400 || status === 404 || status === 422) && /model/i.test(errorMessage)) {
+    return { code: 'bad_model', retryable: false };
+  }
+  if (status === 404) return { code: 'not_found', retryable: false };
+  if (status === 408) return { code: 'timeout', retryable: true };
+  if (status >= 500) return { code: 'server', retryable: true };
+  return { code: 'http', retryable: false };
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const PROVIDER_RETRY = {
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  // Longer waits fall through to the next provider instead of holding the modal open
+  maxDelayMs: 20000
+};
+
+const DEFAULT_PROVIDER_TIMEOUT_MS = 30000;
+
+// Timeout for one provider: per-provider setting, else the adapter default
+function getProviderTimeoutMs(adapter, config) {
+  const seconds = parseFloat(config.timeoutSeconds);
+  if (seconds > 0) return seconds * 1000;
+  return adapter.timeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS;
+}
+
+// AbortController that fires when the caller aborts or after timeoutMs without progress
+function createRequestTimer(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  const timer = { signal: controller.signal, timedOut: false };
+  let handle = null;
+
+  const onParentAbort = () => controller.abort();
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort();
+    else parentSignal.addEventListener('abort', onParentAbort);
+  }
+
+  timer.reset = () => {
+    clearTimeout(handle);
+    handle = setTimeout(() => {
+      timer.timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  timer.clear = () => {
+    clearTimeout(handle);
+    if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+  };
+
+  timer.reset();
+  return timer;
+}
+
+// Wait before a retry, giving up early if the request is cancelled
+function waitBeforeRetry(name, delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new ProviderError(name, `${name} request cancelled`, { code: 'cancelled' }));
+      return;
+    }
+    const handle = setTimeout(resolve, delayMs);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(handle);
+        reject(new ProviderError(name, `${name} request cancelled`, { code: 'cancelled' }));
+      }, { once: true });
+    }
+  });
+}
+
+// Retry retryable failures with exponential backoff, honouring Retry-After
+async function withProviderRetries(name, attemptFn, { signal, canRetry = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptFn();
+    } catch (error) {
+      if (!error.retryable || attempt >= PROVIDER_RETRY.maxRetries || !canRetry()) throw error;
+
+      const delay = error.retryAfterMs !== null && error.retryAfterMs !== undefined ?
+        error.retryAfterMs :
+        PROVIDER_RETRY.baseDelayMs * Math.pow(2, attempt) + Math.random() * 250;
+      if (delay > PROVIDER_RETRY.maxDelayMs) throw error;
+
+      console.log(`${name} failed (${error.code}), retrying in ${Math.round(delay)}ms`);
+      await waitBeforeRetry(name, delay, signal);
+    }
+  }
+}
+
+function trimBaseUrl(baseUrl) {
+  return (baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+// Factory for adapters speaking the OpenAI chat completions format
+function createOpenAIChatAdapter(options) {
+  const apiPath = options.apiPath || '';
+
+  const buildHeaders = (config) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(options.extraHeaders || {}),
+      ...(config.headers || {})
+    };
+    if (config.apiKey && config.apiKey.trim() !== '') {
+      headers['Authorization'] = `Bearer ${config.apiKey.trim()}`;
+    }
+    return headers;
+  };
+
+  return {
+    id: options.id,
+    label: options.label,
+    icon: options.icon,
+    description: options.description,
+    defaults: options.defaults,
+    requiresApiKey: options.requiresApiKey !== false,
+    custom: !!options.custom,
+    supportsStreaming: options.supportsStreaming !== false,
+    timeoutMs: options.timeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS,
+
+    buildRequest(prompt, config, { stream = false } = {}) {
+      return {
+        url: `${trimBaseUrl(config.baseUrl)}${apiPath}/chat/completions`,
+        options: {
+          method: 'POST',
+          headers: buildHeaders(config),
+          body: JSON.stringify({
+            model: config.model,
+            messages: [{
+              role: 'user',
+              content: prompt
+            }],
+            max_tokens: 1000,
+            temperature: 0.7,
+            stream: stream
+          })
+        }
+      };
+    },
+
+    parseResponse(data) {
+      if (data.choices && data.choices[0] && data.choices[0].message) {
+        return data.choices[0].message.content;
+      }
+      return null;
+    },
+
+    // Token counts as { promptTokens, completionTokens, totalTokens }, or null if not reported
+    parseUsage(data) {
+      if (!data.usage) return null;
+      return {
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0,
+        totalTokens: data.usage.total_tokens ||
+          (data.usage.prompt_tokens || 0) + (data.usage.completion_tokens || 0)
+      };
+    },
+
+    // One server-sent event worth of a streamed completion
+    parseStreamChunk(data) {
+      if (data.choices && data.choices[0] && data.choices[0].delta) {
+        return data.choices[0].delta.content || '';
+      }
+      return '';
+    },
+
+    buildModelsRequest(config) {
+      return {
+        url: `${trimBaseUrl(config.baseUrl)}${apiPath}/models`,
+        options: {
+          method: 'GET',
+          headers: buildHeaders(config)
+        }
+      };
+    },
+
+    // Together returns a bare array, everyone else wraps it in { data }
+    parseModels(data) {
+      const list = Array.isArray(data) ? data : (data.data || []);
+      return list.map(model => model.id).filter(Boolean).sort();
+    },
+
+    // Only for providers whose models endpoint doesn't check the key
+    buildKeyCheckRequest: options.keyCheckPath ? (config) => ({
+      url: `${trimBaseUrl(config.baseUrl)}${apiPath}${options.keyCheckPath}`,
+      options: {
+        method: 'GET',
+        headers: buildHeaders(config)
+      }
+    }) : undefined,
+
+    // Credit information as { label, usage, limit, remaining } (null when unlimited)
+    parseKeyCheck(data) {
+      const info = data.data || data;
+      return {
+        label: info.label || null,
+        usage: typeof info.usage === 'number' ? info.usage : null,
+        limit: typeof info.limit === 'number' ? info.limit : null,
+        remaining: typeof info.limit_remaining === 'number' ? info.limit_remaining : null
+      };
+    }
+  };
+}
+
+const PROVIDER_ADAPTERS = {};
+
+// Register an adapter, keyed by provider name or provider type
+function registerProviderAdapter(adapter) {
+  const required = ['id', 'buildRequest', 'parseResponse'];
+  for (const key of required) {
+    if (!adapter[key]) {
+      throw new Error(`Provider adapter is missing "${key}"`);
+    }
+  }
+  PROVIDER_ADAPTERS[adapter.id] = adapter;
+  return adapter;
+}
+
+// Find the adapter for a configured provider (type wins over name)
+function getProviderAdapter(name, config = {}) {
+  if (config.type && PROVIDER_ADAPTERS[config.type]) {
+    return PROVIDER_ADAPTERS[config.type];
+  }
+  return PROVIDER_ADAPTERS[name] || null;
+}
+
+// Serializable adapter metadata for the settings page
+function describeProviderAdapters() {
+  return Object.values(PROVIDER_ADAPTERS).map(adapter => ({
+    id: adapter.id,
+    label: adapter.label || adapter.id,
+    icon: adapter.icon || '🤖',
+    description: adapter.description || '',
+    defaults: adapter.defaults || {},
+    requiresApiKey: adapter.requiresApiKey !== false,
+    custom: !!adapter.custom,
+    supportsStreaming: !!adapter.supportsStreaming,
+    timeoutMs: adapter.timeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS,
+    canListModels: typeof adapter.buildModelsRequest === 'function'
+  }));
+}
+
+// Convert a fetch/read failure into ProviderError (aborts become 'timeout' or 'cancelled')
+function toNetworkError(name, error, timer = null) {
+  if (error instanceof ProviderError) return error;
+  if (error.name === 'AbortError') {
+    // Not retried: a hung provider should hand over to the next one straight away
+    if (timer && timer.timedOut) {
+      return new ProviderError(name, `${name} did not respond in time`, { code: 'timeout' });
+    }
+    return new ProviderError(name, `${name} request cancelled`, { code: 'cancelled' });
+  }
+  return new ProviderError(name, `${name} network error: ${error.message}`, {
+    code: 'network',
+    retryable: true
+  });
+}
+
+// Run a request built by an adapter and normalize HTTP failures into ProviderError
+async function fetchProviderResponse(name, request, timer = null) {
+  let response;
+  try {
+    response = await fetch(request.url, request.options);
+  } catch (error) {
+    throw toNetworkError(name, error, timer);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : '');
+    const { code, retryable } = classifyHttpStatus(response.status, errorMessage);
+    throw new ProviderError(
+      name,
+      `${name} API error: ${response.status} ${response.statusText}. ${errorMessage}`,
+      { status: response.status, code, retryable, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+    );
+  }
+
+  return response;
+}
+
+// Run a request and parse the JSON body
+async function sendProviderRequest(name, request, timer = null) {
+  const response = await fetchProviderResponse(name, request, timer);
+
+  try {
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw toNetworkError(name, error, timer);
+    throw new ProviderError(name, `Invalid response from ${name} API`, { code: 'invalid_response' });
+  }
+}
+
+function assertBaseUrl(name, config) {
+  if (!config.baseUrl || config.baseUrl.trim() === '') {
+    throw new ProviderError(name, `Base URL not configured for ${name}`, { code: 'config' });
+  }
+}
+
+function parseFullResponse(adapter, name, data) {
+  const text = adapter.parseResponse(data);
+  if (typeof text !== 'string') {
+    throw new ProviderError(name, `Invalid response from ${name} API`, { code: 'invalid_response' });
+  }
+  return text;
+}
+
+// Ask a provider to explain a prompt; onUsage receives token counts when the provider reports them
+async function callProviderAdapter(adapter, name, prompt, config, { signal, onUsage } = {}) {
+  assertBaseUrl(name, config);
+  const timeoutMs = getProviderTimeoutMs(adapter, config);
+
+  return withProviderRetries(name, async () => {
+    const timer = createRequestTimer(signal, timeoutMs);
+    const request = adapter.buildRequest(prompt, config);
+    request.options.signal = timer.signal;
+
+    try {
+      const data = await sendProviderRequest(name, request, timer);
+      const text = parseFullResponse(adapter, name, data);
+      const usage = onUsage && typeof adapter.parseUsage === 'function' ? adapter.parseUsage(data) : null;
+      if (usage) onUsage(usage);
+      return text;
+    } finally {
+      timer.clear();
+    }
+  }, { signal });
+}
+
+// Stream a completion over server-sent events, calling onText with the text so far.
+// The timeout applies between chunks, so long answers aren't cut off while still arriving.
+async function streamProviderAdapter(adapter, name, prompt, config, onText, { signal } = {}) {
+  assertBaseUrl(name, config);
+  const timeoutMs = getProviderTimeoutMs(adapter, config);
+  let emitted = false;
+
+  const emit = (text) => {
+    emitted = true;
+    onText(text);
+  };
+
+  // Retrying after partial text would make the modal jump backwards
+  return withProviderRetries(name, async () => {
+    const timer = createRequestTimer(signal, timeoutMs);
+    try {
+      return await streamProviderOnce(adapter, name, prompt, config, emit, timer);
+    } finally {
+      timer.clear();
+    }
+  }, { signal, canRetry: () => !emitted });
+}
+
+async function streamProviderOnce(adapter, name, prompt, config, onText, timer) {
+  const request = adapter.buildRequest(prompt, config, { stream: true });
+  request.options.signal = timer.signal;
+
+  const response = await fetchProviderResponse(name, request, timer);
+
+  // Some local servers ignore "stream" and answer with a single JSON body
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json().catch((error) => {
+      if (error.name === 'AbortError') throw toNetworkError(name, error, timer);
+      throw new ProviderError(name, `Invalid response from ${name} API`, { code: 'invalid_response' });
+    });
+    const text = parseFullResponse(adapter, name, data);
+    onText(text);
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      timer.reset();
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return text;
+
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch (error) {
+          continue; // Keep-alive comments or partial junk
+        }
+
+        if (data.error) {
+          const errorMessage = data.error.message || 'stream failed';
+          const { code, retryable } = classifyHttpStatus(
+            typeof data.error.code === 'number' ? data.error.code : 500, errorMessage);
+          throw new ProviderError(name, `${name} API error: ${errorMessage}`, { code, retryable });
+        }
+
+        const delta = adapter.parseStreamChunk(data);
+        if (delta) {
+          text += delta;
+          onText(text);
+        }
+      }
+    }
+  } catch (error) {
+    throw toNetworkError(name, error, timer);
+  } finally {
+    reader.releaseLock();
+  }
+
+  if (!text) {
+    throw new ProviderError(name, `Empty response from ${name} API`, { code: 'invalid_response' });
+  }
+  return text;
+}
+
+// List the models a provider exposes
+async function listProviderModels(adapter, name, config) {
+  if (typeof adapter.buildModelsRequest !== 'function') {
+    throw new ProviderError(name, `${name} does not support listing models`, { code: 'unsupported' });
+  }
+
+  const timer = createRequestTimer(null, getProviderTimeoutMs(adapter, config));
+  const request = adapter.buildModelsRequest(config);
+  request.options.signal = timer.signal;
+
+  try {
+    const data = await sendProviderRequest(name, request, timer);
+    return adapter.parseModels(data);
+  } finally {
+    timer.clear();
+  }
+}
+
+// Check that a provider answers and accepts the key, for the settings panel.
+// Never throws: returns { ok, latencyMs, models, modelFound, quota, error } where error is a
+// serialized ProviderError. Uses the models endpoint, plus a key check where the adapter has one.
+async function testProviderConnection(adapter, name, config) {
+  const result = { ok: false, latencyMs: null, models: null, modelFound: null, quota: null, error: null };
+  const started = Date.now();
+
+  try {
+    assertBaseUrl(name, config);
+    if (adapter.requiresApiKey && (!config.apiKey || config.apiKey.trim() === '')) {
+      throw new ProviderError(name, `API key not configured for ${name}`, { code: 'config' });
+    }
+
+    if (typeof adapter.buildModelsRequest === 'function') {
+      result.models = await listProviderModels(adapter, name, config);
+    } else {
+      // Nothing cheaper to call, so send a tiny prompt
+      await callProviderAdapter(adapter, name, 'Reply with OK.', config);
+    }
+    result.latencyMs = Date.now() - started;
+
+    if (typeof adapter.buildKeyCheckRequest === 'function') {
+      const timer = createRequestTimer(null, getProviderTimeoutMs(adapter, config));
+      const request = adapter.buildKeyCheckRequest(config);
+      request.options.signal = timer.signal;
+      try {
+        result.quota = adapter.parseKeyCheck(await sendProviderRequest(name, request, timer));
+      } finally {
+        timer.clear();
+      }
+      if (result.quota.remaining !== null && result.quota.remaining <= 0) {
+        throw new ProviderError(name, `${name} has no credits left on this key`, { code: 'quota' });
+      }
+    }
+
+    if (result.models && result.models.length > 0 && config.model) {
+      result.modelFound = result.models.includes(config.model);
+      if (!result.modelFound) {
+        throw new ProviderError(name, `${name} does not offer the model "${config.model}"`, { code: 'bad_model' });
+      }
+    }
+
+    result.ok = true;
+  } catch (error) {
+    if (result.latencyMs === null) result.latencyMs = Date.now() - started;
+    result.error = toNetworkError(name, error).toJSON();
+  }
+
+  return result;
+}
+
+// === BUILT-IN ADAPTERS ===
+
+registerProviderAdapter(createOpenAIChatAdapter({
+  id: 'Together',
+  label: 'Together AI',
+  icon: '🔥',
+  description: 'Fast & reliable',
+  apiPath: '/v1',
+  defaults: {
+    baseUrl: 'https://api.together.xyz',
+    model: 'meta-llama/Llama-3-70b-chat-hf'
+  }
+}));
+
+registerProviderAdapter(createOpenAIChatAdapter({
+  id: 'OpenRouter',
+  label: 'OpenRouter',
+  icon: '🌐',
+  description: 'Multiple model access',
+  extraHeaders: {
+    'HTTP-Referer': 'https://smartdefine-extension.com',
+    'X-Title': 'SmartDefine Extension'
+  },
+  // The model list is public, so the key is checked separately
+  keyCheckPath: '/auth/key',
+  defaults: {
+    baseUrl: 'https://openrouter.ai/api/v1',
+    model: 'google/gemini-flash-1.5'
+  }
+}));
+
+// Matched by config.type, so users can add any number of these
+registerProviderAdapter(createOpenAIChatAdapter({
+  id: 'openai-compatible',
+  label: 'Custom endpoint',
+  icon: '🖥️',
+  description: 'Ollama, llama.cpp, vLLM or any OpenAI-compatible server',
+  requiresApiKey: false,
+  custom: true,
+  // Local models on modest hardware can take a while before the first token
+  timeoutMs: 120000,
+  defaults: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: ''
+  }
+}));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ProviderError,
+    PROVIDER_ADAPTERS,
+    createOpenAIChatAdapter,
+    registerProviderAdapter,
+    getProviderAdapter,
+    describeProviderAdapters,
+    callProviderAdapter,
+    streamProviderAdapter,
+    listProviderModels,
+    testProviderConnection
+  };
+}
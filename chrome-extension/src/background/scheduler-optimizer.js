@@ -0,0 +1,149 @@
+// src/background/scheduler-optimizer.js
+// Fits FSRS parameters to the user's own review history. Runs entirely in the
+// background service worker - review data never leaves the browser.
+
+// Fewer reviews than this (after each word's first) can't say anything useful
+const MIN_OPTIMIZER_SAMPLES = 50;
+
+// Allowed range of each FSRS weight while fitting
+const FSRS_WEIGHT_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.01, 5], [0.01, 5], [0, 0.75],
+  [0, 4.5], [0, 0.8], [0.01, 3.5], [0.1, 5],
+  [0.01, 0.25], [0.01, 0.9], [0.01, 4], [0, 1], [1, 6]
+];
+
+/**
+ * Build one time-ordered list of { reviewedAt, rating } per word. The review log is
+ * the main source; performanceHistory fills in reviews from before the log existed.
+ */
+function collectReviewSequences(words, reviews) {
+  const byWord = {};
+  const add = (wordId, reviewedAt, rating) => {
+    if (!reviewedAt || !rating) return;
+    const sequence = byWord[wordId] = byWord[wordId] || {};
+    sequence[reviewedAt] = rating;
+  };
+
+  words.forEach(word => {
+    (word.performanceHistory || []).forEach(entry => {
+      add(word.id, entry.date, entry.rating || (entry.correct ? 3 : 1));
+    });
+  });
+  // Logged reviews win where both sources recorded the same review
+  reviews.forEach(entry => add(entry.wordId, entry.reviewedAt, entry.rating));
+
+  return Object.values(byWord)
+    .map(sequence => Object.entries(sequence)
+      .map(([reviewedAt, rating]) => ({ time: new Date(reviewedAt).getTime(), rating }))
+      .filter(review => !isNaN(review.time))
+      .sort((a, b) => a.time - b.time))
+    .filter(sequence => sequence.length >= 2);
+}
+
+/**
+ * Replay every sequence with the given weights and compare the predicted chance of
+ * recall before each review with what actually happened (anything but "Again").
+ */
+function evaluateFsrsWeights(sequences, weights) {
+  const scheduler = new FSRSScheduler({ weights });
+  let samples = 0;
+  let logLoss = 0;
+  let squaredError = 0;
+  let predictedTotal = 0;
+  let recalledTotal = 0;
+
+  sequences.forEach(sequence => {
+    let stability = scheduler.initialStability(sequence[0].rating);
+    let difficulty = scheduler.initialDifficulty(sequence[0].rating);
+
+    for (let i = 1; i < sequence.length; i++) {
+      const { time, rating } = sequence[i];
+      const elapsedDays = Math.max(0, (time - sequence[i - 1].time) / MS_PER_DAY);
+      const predicted = Math.min(0.9999, Math.max(0.0001, scheduler.retrievability(elapsedDays, stability)));
+      const recalled = rating > 1 ? 1 : 0;
+
+      samples++;
+      logLoss -= recalled * Math.log(predicted) + (1 - recalled) * Math.log(1 - predicted);
+      squaredError += (predicted - recalled) * (predicted - recalled);
+      predictedTotal += predicted;
+      recalledTotal += recalled;
+
+      const nextStability = rating === 1
+        ? scheduler.forgetStability(difficulty, stability, predicted)
+        : scheduler.recallStability(difficulty, stability, predicted, rating);
+      difficulty = scheduler.nextDifficulty(difficulty, rating);
+      stability = Math.max(0.01, nextStability);
+    }
+  });
+
+  return {
+    samples,
+    logLoss: samples > 0 ? logLoss / samples : 0,
+    rmse: samples > 0 ? Math.sqrt(squaredError / samples) : 0,
+    predictedRetention: samples > 0 ? predictedTotal / samples : 0,
+    observedRetention: samples > 0 ? recalledTotal / samples : 0
+  };
+}
+
+/**
+ * Pattern search over the weights: nudge one weight at a time, keep changes that lower
+ * the log loss, and shrink the steps when nothing helps. A small pull towards the
+ * starting weights keeps a short history from producing extreme parameters.
+ */
+function optimizeFsrsWeights(sequences, startWeights = FSRS_DEFAULT_WEIGHTS, options = {}) {
+  const maxPasses = options.maxPasses || 40;
+  const baseline = evaluateFsrsWeights(sequences, startWeights);
+  const regularization = 1 / Math.max(1, baseline.samples);
+
+  const objective = weights => {
+    const { logLoss } = evaluateFsrsWeights(sequences, weights);
+    const penalty = weights.reduce((sum, weight, i) => {
+      const [min, max] = FSRS_WEIGHT_BOUNDS[i];
+      const distance = (weight - startWeights[i]) / (max - min);
+      return sum + distance * distance;
+    }, 0);
+    return logLoss + regularization * penalty;
+  };
+
+  let weights = [...startWeights];
+  let best = objective(weights);
+  const steps = FSRS_WEIGHT_BOUNDS.map(([min, max]) => (max - min) * 0.05);
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+    for (let i = 0; i < weights.length; i++) {
+      for (const direction of [1, -1]) {
+        const [min, max] = FSRS_WEIGHT_BOUNDS[i];
+        const candidate = [...weights];
+        candidate[i] = Math.min(max, Math.max(min, weights[i] + direction * steps[i]));
+        if (candidate[i] === weights[i]) continue;
+
+        const score = objective(candidate);
+        if (score < best) {
+          best = score;
+          weights = candidate;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) {
+      steps.forEach((step, i) => { steps[i] = step / 2; });
+      if (steps.every((step, i) => step < (FSRS_WEIGHT_BOUNDS[i][1] - FSRS_WEIGHT_BOUNDS[i][0]) * 0.001)) break;
+    }
+  }
+
+  const rounded = weights.map(weight => Math.round(weight * 10000) / 10000);
+  return { weights: rounded, before: baseline, after: evaluateFsrsWeights(sequences, rounded) };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIN_OPTIMIZER_SAMPLES,
+    collectReviewSequences,
+    evaluateFsrsWeights,
+    optimizeFsrsWeights
+  };
+}
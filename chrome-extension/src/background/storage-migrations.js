@@ -0,0 +1,247 @@
+// src/background/storage-migrations.js
+// Versioned storage schema - seeds defaults on install and upgrades existing data on update
+
+// Bump together with a new entry in STORAGE_MIGRATIONS
+const STORAGE_SCHEMA_VERSION = 3;
+
+// Settings a fresh install starts with. On update, only keys the user doesn't have yet are added.
+function getDefaultStorage() {
+  return {
+    selectedProvider: "Together",
+    prompt: findPromptTemplate(BUILT_IN_PROMPT_TEMPLATES, DEFAULT_PROMPT_TEMPLATE_ID).prompt,
+    activePromptTemplate: DEFAULT_PROMPT_TEMPLATE_ID,
+    promptTemplates: [],
+    learnerProfile: { ...DEFAULT_LEARNER_PROFILE },
+    definitionMode: 'markdown',
+    lookupDisplay: 'modal',
+    providers: {
+      Together: {
+        baseUrl: "https://api.together.xyz",
+        model: "meta-llama/Llama-3-70b-chat-hf",
+        apiKey: "",
+        enabled: false
+      },
+      OpenRouter: {
+        baseUrl: "https://openrouter.ai/api/v1",
+        model: "google/gemini-flash-1.5",
+        apiKey: "",
+        enabled: false
+      }
+    },
+    learningSettings: {
+      saveToWordList: true,
+      flashcardSystem: true,
+      quizMode: true,
+      spacedRepetition: true,
+      showSaveButton: true,
+      autoSave: false,
+      dailyGoal: 10,
+      reviewReminders: true,
+      contextAwareDefinitions: true,
+      ...DEFAULT_PHRASE_SETTINGS,
+      scheduler: DEFAULT_SCHEDULER_SETTINGS.scheduler,
+      targetRetention: DEFAULT_SCHEDULER_SETTINGS.targetRetention,
+      leechThreshold: DEFAULT_LEECH_SETTINGS.leechThreshold,
+      leechAction: DEFAULT_LEECH_SETTINGS.leechAction,
+      ...DEFAULT_QUEUE_SETTINGS
+    },
+    cacheSettings: JSON.parse(JSON.stringify(DEFAULT_CACHE_SETTINGS)),
+    lookupTriggers: {
+      doubleClick: false,
+      modifierClick: false,
+      modifierKey: 'alt',
+      disabledSites: []
+    },
+    vocabularyHighlights: {
+      enabled: false,
+      disabledSites: []
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Add missing keys from defaults without overwriting anything the user has.
+// Nested settings objects are merged one level down; providers only gain missing built-ins.
+function mergeStorageDefaults(stored, defaults) {
+  const changes = {};
+  const added = [];
+
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    const current = stored[key];
+    if (current === undefined) {
+      changes[key] = defaultValue;
+      added.push(key);
+      return;
+    }
+
+    if (!isPlainObject(current) || !isPlainObject(defaultValue)) return;
+
+    const missing = Object.keys(defaultValue).filter(field => current[field] === undefined);
+    if (missing.length > 0) {
+      const merged = { ...current };
+      missing.forEach(field => { merged[field] = defaultValue[field]; });
+      changes[key] = merged;
+      added.push(...missing.map(field => `${key}.${field}`));
+    }
+  });
+
+  return { changes, added };
+}
+
+// Fill in fields that older versions didn't write on word records
+function upgradeWordRecord(word) {
+  const upgraded = { ...word };
+  const fixed = [];
+  const fill = (field, value) => {
+    if (upgraded[field] === undefined || upgraded[field] === null) {
+      upgraded[field] = value;
+      fixed.push(field);
+    }
+  };
+
+  fill('id', crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`);
+  fill('dateAdded', new Date().toISOString());
+  fill('reviewCount', 0);
+  fill('difficulty', 'new');
+  fill('easeFactor', 2.5);
+  fill('interval', 1);
+  fill('nextReview', upgraded.dateAdded);
+  fill('baseForm', upgraded.word);
+  if (upgraded.lastReviewed === undefined) {
+    upgraded.lastReviewed = null;
+    fixed.push('lastReviewed');
+  }
+
+  return { word: upgraded, fixed };
+}
+
+// Each migration receives the full storage snapshot and returns (or resolves) { changes, remove, log }
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Upgrade word records missing scheduling fields',
+    migrate(storage) {
+      const wordLists = storage.wordLists || {};
+      const log = [];
+      let changed = false;
+
+      const upgradedLists = {};
+      Object.entries(wordLists).forEach(([category, words]) => {
+        upgradedLists[category] = (Array.isArray(words) ? words : []).map(word => {
+          const { word: upgraded, fixed } = upgradeWordRecord(word);
+          if (fixed.length > 0) {
+            changed = true;
+            log.push(`${category}/${word.word}: added ${fixed.join(', ')}`);
+          }
+          return upgraded;
+        });
+      });
+
+      return { changes: changed ? { wordLists: upgradedLists } : {}, log };
+    }
+  },
+  {
+    version: 2,
+    description: 'Move an edited single prompt into the template library',
+    migrate(storage) {
+      const templates = storage.promptTemplates || [];
+      // A prompt matching any template was saved by the library itself
+      const known = storage.prompt && getPromptTemplates(templates)
+        .some(template => template.prompt.trim() === storage.prompt.trim());
+      if (!storage.prompt || known) {
+        return { changes: {}, log: [] };
+      }
+
+      const template = { id: createPromptTemplateId(), name: 'My prompt', prompt: storage.prompt };
+      return {
+        changes: {
+          promptTemplates: [...templates, template],
+          activePromptTemplate: template.id
+        },
+        log: ['saved the edited prompt as the "My prompt" template']
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Move word lists into the IndexedDB word repository',
+    async migrate(storage) {
+      if (!storage.wordLists) {
+        return { changes: {}, log: [] };
+      }
+
+      // The blob is only removed once every word is committed to IndexedDB
+      const imported = await wordRepository.importWordLists(storage.wordLists);
+      const categories = Object.keys(storage.wordLists).length;
+      return {
+        changes: {},
+        remove: ['wordLists'],
+        log: [`moved ${imported} words in ${categories} categories`]
+      };
+    }
+  }
+];
+
+/**
+ * Bring storage up to STORAGE_SCHEMA_VERSION. A fresh install is seeded with defaults;
+ * otherwise missing default keys are merged in and every migration newer than the stored
+ * schemaVersion runs. Word lists and settings the user already has are never replaced.
+ * reason is the onInstalled reason, or 'startup' to finish a migration that failed earlier.
+ */
+async function runStorageMigrations(reason) {
+  let storage = await browser.storage.local.get(null);
+  const hasUserData = Object.keys(storage).length > 0;
+
+  if (reason === 'install' && !hasUserData) {
+    await browser.storage.local.set({ ...getDefaultStorage(), schemaVersion: STORAGE_SCHEMA_VERSION });
+    console.log(`SmartDefine: seeded default settings (schema v${STORAGE_SCHEMA_VERSION})`);
+    return;
+  }
+
+  const fromVersion = storage.schemaVersion || 0;
+  if (reason === 'startup' && fromVersion >= STORAGE_SCHEMA_VERSION) return;
+
+  // New settings are merged on every update, so adding a default doesn't need a migration
+  const { changes: defaults, added } = mergeStorageDefaults(storage, getDefaultStorage());
+  if (added.length > 0) {
+    await browser.storage.local.set(defaults);
+    storage = { ...storage, ...defaults };
+    console.log(`SmartDefine: added default settings: ${added.join(', ')}`);
+  }
+
+  for (const migration of STORAGE_MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+
+    try {
+      const { changes, remove = [], log } = await migration.migrate(storage);
+      if (remove.length > 0) {
+        await browser.storage.local.remove(remove);
+      }
+      await browser.storage.local.set({ ...changes, schemaVersion: migration.version });
+      storage = { ...storage, ...changes, schemaVersion: migration.version };
+      remove.forEach(key => { delete storage[key]; });
+
+      console.log(`SmartDefine: storage migration v${migration.version} (${migration.description})` +
+        (log.length > 0 ? `:\n  ${log.join('\n  ')}` : ': nothing to change'));
+    } catch (error) {
+      // Stop here so the failed migration is retried on the next browser start
+      console.error(`SmartDefine: storage migration v${migration.version} failed:`, error);
+      return;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STORAGE_SCHEMA_VERSION,
+    STORAGE_MIGRATIONS,
+    getDefaultStorage,
+    mergeStorageDefaults,
+    upgradeWordRecord,
+    runStorageMigrations
+  };
+}
@@ -0,0 +1,238 @@
+// src/background/structured-definition.js
+// Structured (JSON) definition mode - prompt, schema validation, repair and markdown rendering
+
+// Bump when the prompt or schema changes so cached entries aren't reused
+const STRUCTURED_DEFINITION_VERSION = 'structured-v1';
+
+// Field name -> expected shape. "forms" items are { form, word, example }.
+const STRUCTURED_DEFINITION_SCHEMA = {
+  wordType: { type: 'string', required: true },
+  baseForm: { type: 'string', required: false },
+  currentForm: { type: 'string', required: false },
+  forms: { type: 'forms', required: false },
+  meaning: { type: 'string', required: true },
+  respelling: { type: 'string', required: false },
+  synonyms: { type: 'strings', required: false },
+  antonyms: { type: 'strings', required: false },
+  examples: { type: 'strings', required: true },
+  collocations: { type: 'strings', required: false },
+  mnemonics: { type: 'strings', required: false }
+};
+
+// Names models commonly use instead of ours
+const STRUCTURED_FIELD_ALIASES = {
+  word_type: 'wordType',
+  partOfSpeech: 'wordType',
+  part_of_speech: 'wordType',
+  base_form: 'baseForm',
+  lemma: 'baseForm',
+  current_form: 'currentForm',
+  other_forms: 'forms',
+  otherForms: 'forms',
+  definition: 'meaning',
+  pronunciation: 'respelling',
+  memory_aids: 'mnemonics',
+  memoryAids: 'mnemonics',
+  ways_to_remember: 'mnemonics',
+  waysToRemember: 'mnemonics'
+};
+
+const STRUCTURED_DEFINITION_SHAPE = `{
+  "wordType": "part of speech, e.g. noun",
+  "baseForm": "dictionary form of the word",
+  "currentForm": "grammatical form of the given word, e.g. plural",
+  "forms": [{ "form": "past tense", "word": "ran", "example": "She ran home." }],
+  "meaning": "clear definition",
+  "respelling": "simplified phonetics like en-KOM-pass-ing, not IPA",
+  "synonyms": ["word (pronunciation)"],
+  "antonyms": ["word (pronunciation)"],
+  "examples": ["example sentence"],
+  "collocations": ["common phrase"],
+  "mnemonics": ["memory aid"]
+}`;
+
+// phraseType is set for phrasal verbs, idioms and collocations, which are explained as one entry
+function buildStructuredDefinitionPrompt(word, phraseType = null) {
+  const phraseNote = phraseType ?
+    `\n\nExplain the phrase as a whole: use "${phraseType}" as wordType, the dictionary form of the phrase as baseForm and leave forms empty.` :
+    '';
+  return `Explain the English ${phraseType || 'word'} "${word}" for a language learner.
+
+Reply with ONLY a JSON object - no markdown, no code fences, no commentary - using exactly this shape:
+${STRUCTURED_DEFINITION_SHAPE}
+
+Give 3 items for synonyms, antonyms, examples and collocations where they exist, and use an empty array when there are none.${phraseNote}`;
+}
+
+function buildStructuredRepairPrompt(previousReply, errors) {
+  return `The reply below was supposed to be a JSON object with this shape:
+${STRUCTURED_DEFINITION_SHAPE}
+
+It had these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply with ONLY the corrected JSON object.
+
+Reply to fix:
+${previousReply}`;
+}
+
+// Pull the JSON object out of a reply, fixing the usual model mistakes
+function parseStructuredJSON(text) {
+  if (typeof text !== 'string') return null;
+
+  let candidate = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  candidate = candidate.slice(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Smart quotes and trailing commas are the common offenders
+    const repaired = candidate
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(repaired);
+    } catch (repairError) {
+      return null;
+    }
+  }
+}
+
+function toCleanString(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number') return String(value);
+  return '';
+}
+
+function toStringList(value) {
+  if (typeof value === 'string') value = value.split('\n');
+  if (!Array.isArray(value)) return null;
+  return value
+    .map(item => toCleanString(item).replace(/^[-*•]\s*/, ''))
+    .filter(item => item.length > 0);
+}
+
+function toFormsList(value) {
+  if (!Array.isArray(value)) return null;
+  return value
+    .map(item => {
+      if (typeof item === 'string') return { form: '', word: item.trim(), example: '' };
+      if (!item || typeof item !== 'object') return null;
+      return {
+        form: toCleanString(item.form),
+        word: toCleanString(item.word),
+        example: toCleanString(item.example)
+      };
+    })
+    .filter(item => item && item.word);
+}
+
+/**
+ * Validate a parsed definition against STRUCTURED_DEFINITION_SCHEMA.
+ * Returns { valid, errors, value } where value is the normalized definition.
+ */
+function validateStructuredDefinition(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Reply is not a JSON object'], value: null };
+  }
+
+  // Map aliases onto schema names
+  const source = {};
+  Object.entries(data).forEach(([key, value]) => {
+    source[STRUCTURED_FIELD_ALIASES[key] || key] = value;
+  });
+
+  const value = {};
+  Object.entries(STRUCTURED_DEFINITION_SCHEMA).forEach(([field, rule]) => {
+    const raw = source[field];
+    const missing = raw === undefined || raw === null || raw === '';
+
+    if (missing) {
+      if (rule.required) errors.push(`"${field}" is required`);
+      value[field] = rule.type === 'string' ? '' : [];
+      return;
+    }
+
+    let normalized;
+    if (rule.type === 'string') {
+      normalized = toCleanString(raw);
+      if (!normalized) errors.push(`"${field}" must be a non-empty string`);
+    } else if (rule.type === 'strings') {
+      normalized = toStringList(raw);
+      if (normalized === null) errors.push(`"${field}" must be an array of strings`);
+    } else if (rule.type === 'forms') {
+      normalized = toFormsList(raw);
+      if (normalized === null) errors.push(`"${field}" must be an array of { form, word, example } objects`);
+    }
+
+    if (rule.required && Array.isArray(normalized) && normalized.length === 0) {
+      errors.push(`"${field}" must not be empty`);
+    }
+    value[field] = normalized || (rule.type === 'string' ? '' : []);
+  });
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+// Render a definition in the same markdown layout the default prompt asks for,
+// so exports and older readers of word.explanation keep working
+function renderStructuredDefinitionMarkdown(definition) {
+  const sections = [];
+  const addText = (title, text) => {
+    if (text) sections.push(`**${title}:**\n${text}`);
+  };
+  const addList = (title, items) => {
+    if (items && items.length > 0) sections.push(`**${title}:**\n${items.map(item => `- ${item}`).join('\n')}`);
+  };
+
+  addText('Word Type', definition.wordType);
+  addText('Current Form', definition.currentForm);
+  addList('Other Forms', (definition.forms || []).map(form =>
+    [form.word, form.form ? `(${form.form})` : '', form.example ? `- ${form.example}` : ''].filter(Boolean).join(' ')));
+  addText('Meaning', definition.meaning);
+  addText('Respelling', definition.respelling);
+  addList('Synonyms', definition.synonyms);
+  addList('Antonyms', definition.antonyms);
+  addList('Examples', definition.examples);
+  addList('Collocations', definition.collocations);
+  addList('Ways to remember', definition.mnemonics);
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Ask a provider for a structured definition. Invalid replies are repaired locally
+ * first, then the provider gets one chance to fix its own output.
+ * Throws ProviderError('invalid_response') so callLLMAPI moves to the next provider.
+ */
+async function requestStructuredDefinition(adapter, name, prompt, config, { signal, onUsage } = {}) {
+  const reply = await callProviderAdapter(adapter, name, prompt, config, { signal, onUsage });
+  let result = validateStructuredDefinition(parseStructuredJSON(reply));
+  if (result.valid) return result.value;
+
+  console.warn(`${name} returned an invalid structured definition, asking it to repair:`, result.errors);
+  const repairedReply = await callProviderAdapter(adapter, name, buildStructuredRepairPrompt(reply, result.errors), config, { signal, onUsage });
+  result = validateStructuredDefinition(parseStructuredJSON(repairedReply));
+  if (result.valid) return result.value;
+
+  throw new ProviderError(name, `${name} returned an invalid structured definition: ${result.errors.join('; ')}`, {
+    code: 'invalid_response'
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STRUCTURED_DEFINITION_SCHEMA,
+    parseStructuredJSON,
+    validateStructuredDefinition,
+    renderStructuredDefinitionMarkdown,
+    buildStructuredDefinitionPrompt
+  };
+}
@@ -0,0 +1,305 @@
+// src/background/word-repository.js
+// IndexedDB-backed vocabulary store: one record per saved word, the list of categories
+// and an append-only log of every review.
+// Pages and content scripts reach it through the background message API, never directly.
+
+function createWordId() {
+  return crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class WordRepository {
+  constructor() {
+    this.dbName = 'smartdefine-words';
+    this.wordStore = 'words';
+    this.categoryStore = 'categories';
+    this.reviewStore = 'reviews';
+    this.dbPromise = null;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 2);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            const words = db.createObjectStore(this.wordStore, { keyPath: 'id' });
+            words.createIndex('category', 'category');
+            words.createIndex('nextReview', 'nextReview');
+            words.createIndex('baseForm', 'baseForm');
+            words.createIndex('dateAdded', 'dateAdded');
+            // Categories are stored separately so an empty list survives
+            db.createObjectStore(this.categoryStore, { keyPath: 'name' });
+          }
+          if (event.oldVersion < 2) {
+            const reviews = db.createObjectStore(this.reviewStore, { keyPath: 'id', autoIncrement: true });
+            reviews.createIndex('wordId', 'wordId');
+            reviews.createIndex('reviewedAt', 'reviewedAt');
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run fn(words, categories, reviews) in one transaction and resolve with its result once committed
+  async withStores(mode, fn) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.wordStore, this.categoryStore, this.reviewStore], mode);
+      const words = transaction.objectStore(this.wordStore);
+      const categories = transaction.objectStore(this.categoryStore);
+      const reviews = transaction.objectStore(this.reviewStore);
+      let result;
+
+      Promise.resolve(fn(words, categories, reviews)).then(value => { result = value; }, error => {
+        transaction.abort();
+        reject(error);
+      });
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Word transaction aborted'));
+    });
+  }
+
+  async getAllWords() {
+    return this.withStores('readonly', words => requestToPromise(words.getAll()));
+  }
+
+  async getWord(id) {
+    return this.withStores('readonly', words => requestToPromise(words.get(id)));
+  }
+
+  async getCategories() {
+    const names = await this.withStores('readonly', (words, categories) =>
+      requestToPromise(categories.getAllKeys()));
+    return names.sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Words grouped by category, oldest first - the shape the word list,
+   * practice and learning engine have always worked with.
+   */
+  async getWordLists() {
+    const { words, names } = await this.withStores('readonly', async (wordStore, categoryStore) => ({
+      words: await requestToPromise(wordStore.index('dateAdded').getAll()),
+      names: await requestToPromise(categoryStore.getAllKeys())
+    }));
+
+    const wordLists = {};
+    names.forEach(name => { wordLists[name] = []; });
+    words.forEach(word => {
+      if (!wordLists[word.category]) wordLists[word.category] = [];
+      wordLists[word.category].push(word);
+    });
+    return wordLists;
+  }
+
+  // Resolves true when the category didn't exist yet
+  async createCategory(name) {
+    return this.withStores('readwrite', async (words, categories) => {
+      const existing = await requestToPromise(categories.get(name));
+      if (existing) return false;
+      categories.put({ name, createdAt: new Date().toISOString() });
+      return true;
+    });
+  }
+
+  /**
+   * Save a looked-up word into a category. The same word from the same provider
+   * replaces the earlier entry but keeps its id and date added.
+   * Resolves { word, status } where status is 'new' or 'updated'.
+   */
+  async saveWord(category, wordData) {
+    return this.withStores('readwrite', async (words, categories) => {
+      categories.put({ name: category, createdAt: new Date().toISOString() });
+
+      const inCategory = await requestToPromise(words.index('category').getAll(category));
+      const existing = inCategory.find(item =>
+        item.word.toLowerCase() === wordData.word.toLowerCase() && item.provider === wordData.provider);
+
+      const record = existing
+        ? { ...existing, ...wordData, id: existing.id, category, status: 'updated', dateAdded: existing.dateAdded }
+        : upgradeWordRecord({ ...wordData, id: createWordId(), category, status: 'new' }).word;
+
+      words.put(record);
+      return { word: record, status: record.status };
+    });
+  }
+
+  /**
+   * Read-modify-write a stored word in one transaction. update(existing) must be
+   * synchronous and return the new record; rejects when the word no longer exists.
+   */
+  async updateWordWith(id, update) {
+    return this.withStores('readwrite', async words => {
+      const existing = await requestToPromise(words.get(id));
+      if (!existing) throw new Error(`Word ${id} not found`);
+      const record = { ...update(existing), id, category: existing.category };
+      words.put(record);
+      return record;
+    });
+  }
+
+  // Merge changes into a stored word; rejects when the word no longer exists
+  async updateWord(id, changes) {
+    return this.updateWordWith(id, existing => ({ ...existing, ...changes }));
+  }
+
+  /**
+   * Apply a review to a stored word and append it to the review log in the same
+   * transaction. review(existing) must be synchronous and return { word, entry }.
+   */
+  async recordReview(id, review) {
+    return this.withStores('readwrite', async (words, categories, reviews) => {
+      const existing = await requestToPromise(words.get(id));
+      if (!existing) throw new Error(`Word ${id} not found`);
+      const { word, entry } = review(existing);
+      const record = { ...word, id, category: existing.category };
+      words.put(record);
+      reviews.add({ ...entry, wordId: id });
+      return record;
+    });
+  }
+
+  // Logged reviews, oldest first; all of them or one word's
+  async getReviews(wordId = null) {
+    return this.withStores('readonly', async (words, categories, reviews) => {
+      const logged = wordId
+        ? await requestToPromise(reviews.index('wordId').getAll(wordId))
+        : await requestToPromise(reviews.index('reviewedAt').getAll());
+      return logged.sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt));
+    });
+  }
+
+  // Logged reviews at or after `since`, oldest first
+  async getReviewsSince(since) {
+    return this.withStores('readonly', (words, categories, reviews) =>
+      requestToPromise(reviews.index('reviewedAt').getAll(IDBKeyRange.lowerBound(since.toISOString()))));
+  }
+
+  async countReviews() {
+    return this.withStores('readonly', (words, categories, reviews) => requestToPromise(reviews.count()));
+  }
+
+  /**
+   * Rewrite every logged word from its reviews in one transaction; the log itself is never changed.
+   * replay(word, reviews) gets the word and its reviews oldest first and returns the new record.
+   * Words without logged reviews are left alone.
+   */
+  async replayReviews(replay) {
+    return this.withStores('readwrite', async (words, categories, reviews) => {
+      const allWords = await requestToPromise(words.getAll());
+      const allReviews = await requestToPromise(reviews.index('reviewedAt').getAll());
+
+      const byWord = {};
+      allReviews.forEach(entry => {
+        (byWord[entry.wordId] = byWord[entry.wordId] || []).push(entry);
+      });
+
+      let rebuilt = 0;
+      allWords.forEach(word => {
+        const logged = byWord[word.id];
+        if (!logged) return;
+        words.put({ ...replay(word, logged), id: word.id, category: word.category });
+        rebuilt++;
+      });
+      return { words: rebuilt, reviews: allReviews.length };
+    });
+  }
+
+  /**
+   * Rewrite many words and log each change in one transaction. update(allWords) must be
+   * synchronous and return { word, entry } for the changed words only, like recordReview.
+   * Resolves the number of words written.
+   */
+  async recordScheduleChanges(update) {
+    return this.withStores('readwrite', async (words, categories, reviews) => {
+      const changed = update(await requestToPromise(words.getAll()));
+      changed.forEach(({ word, entry }) => {
+        words.put(word);
+        reviews.add({ ...entry, wordId: word.id });
+      });
+      return changed.length;
+    });
+  }
+
+  // Resolves true when a word was removed; its logged reviews go with it
+  async deleteWord(id) {
+    return this.withStores('readwrite', async (words, categories, reviews) => {
+      const existing = await requestToPromise(words.get(id));
+      if (!existing) return false;
+      words.delete(id);
+      const reviewKeys = await requestToPromise(reviews.index('wordId').getAllKeys(id));
+      reviewKeys.forEach(key => reviews.delete(key));
+      return true;
+    });
+  }
+
+  // Words whose nextReview is at or before `now`, via the nextReview index; suspended words aren't due
+  async countDueWords(now = new Date()) {
+    const { newCards, reviews } = await this.countDueByKind(now);
+    return newCards + reviews;
+  }
+
+  // Due words split into never-reviewed (new) ones and reviews, for the daily limits
+  async countDueByKind(now = new Date()) {
+    const due = await this.withStores('readonly', words =>
+      requestToPromise(words.index('nextReview').getAll(IDBKeyRange.upperBound(now.toISOString()))));
+    const unsuspended = due.filter(word => !word.suspended);
+    const newCards = unsuspended.filter(word => !word.reviewCount).length;
+    return { newCards, reviews: unsuspended.length - newCards };
+  }
+
+  // nextReview of every unsuspended word due in [from, to), for load balancing
+  async getDueDates(from, to) {
+    const due = await this.withStores('readonly', words =>
+      requestToPromise(words.index('nextReview').getAll(IDBKeyRange.bound(from, to, false, true))));
+    return due.filter(word => !word.suspended).map(word => word.nextReview);
+  }
+
+  async countWords() {
+    return this.withStores('readonly', words => requestToPromise(words.count()));
+  }
+
+  /**
+   * Copy a legacy { category: [words] } object into the database in a single
+   * transaction. Records keep their ids, so running it twice doesn't duplicate anything.
+   */
+  async importWordLists(wordLists) {
+    return this.withStores('readwrite', (words, categories) => {
+      let imported = 0;
+      Object.entries(wordLists || {}).forEach(([category, list]) => {
+        categories.put({ name: category, createdAt: new Date().toISOString() });
+        (Array.isArray(list) ? list : []).forEach(word => {
+          if (!word || !word.word) return;
+          words.put({ ...upgradeWordRecord(word).word, category });
+          imported++;
+        });
+      });
+      return imported;
+    });
+  }
+}
+
+const wordRepository = new WordRepository();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WordRepository };
+}
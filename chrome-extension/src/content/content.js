@@ -52,6 +52,121 @@ function safeSetHTML(element, htmlString) {
   });
 }
 
+// ===== SHADOW DOM UI ROOT =====
+// All SmartDefine UI on the page lives in one closed shadow root, so page CSS can't restyle
+// it and its styles don't leak onto the page. The host goes away when the last element closes.
+
+const UI_ROOT_STYLES = `
+  :host {
+    all: initial;
+  }
+  @keyframes fadeIn {
+    from { opacity: 0; }
+    to { opacity: 1; }
+  }
+  @keyframes slideIn {
+    from { transform: translateY(-20px) scale(0.95); opacity: 0; }
+    to { transform: translateY(0) scale(1); opacity: 1; }
+  }
+  @keyframes slideInRight {
+    from { transform: translateX(100%); opacity: 0; }
+    to { transform: translateX(0); opacity: 1; }
+  }
+  @keyframes spin {
+    100% { transform: rotate(360deg); }
+  }
+  /* Styles for the formatted content area */
+  .smartdefine-content-area h3 {
+    font-size: 18px;
+    font-weight: 600;
+    color: #1a202c; /* Darker text for headers */
+    margin-top: 24px;
+    margin-bottom: 12px;
+    padding-bottom: 8px;
+    border-bottom: 1px solid #e2e8f0; /* Subtle separator */
+  }
+  .smartdefine-content-area h3:first-child {
+    margin-top: 0;
+  }
+  .smartdefine-content-area p {
+    margin: 0 0 16px 0;
+    color: #4a5568; /* Softer text for paragraphs */
+    line-height: 1.6;
+    font-size: 16px;
+  }
+  .smartdefine-content-area ul {
+    margin: 0 0 16px 0;
+    padding-left: 20px;
+    color: #4a5568;
+  }
+  .smartdefine-content-area li {
+    margin-bottom: 8px;
+    line-height: 1.6;
+    font-size: 16px;
+    padding-left: 4px;
+  }
+  /* Bolding text for emphasis, like in the target design */
+  .smartdefine-content-area li strong, .smartdefine-content-area p strong {
+    color: #2d3748;
+    font-weight: 600;
+  }
+`;
+
+let uiHost = null;
+let uiRoot = null;
+
+// The shadow root, creating the host element on first use
+function getUIRoot() {
+  if (uiHost && uiHost.isConnected) return uiRoot;
+
+  // A custom tag so generic page rules like "div { ... }" don't match the host either
+  const host = document.createElement('smartdefine-root');
+  host.id = 'smartdefine-root';
+  host.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'closed' });
+  root.appendChild(createElement('style', {}, UI_ROOT_STYLES));
+
+  // Keys typed into our own fields shouldn't reach page shortcuts; Escape still closes dialogs
+  ['keydown', 'keyup', 'keypress'].forEach(type => {
+    root.addEventListener(type, (e) => {
+      if (e.key !== 'Escape' && e.target.matches('input, textarea, select')) e.stopPropagation();
+    });
+  });
+
+  // Remove the host once only the stylesheet is left
+  const observer = new MutationObserver(() => {
+    if (root.childElementCount > 1) return;
+    observer.disconnect();
+    host.remove();
+  });
+  observer.observe(root, { childList: true });
+
+  (document.body || document.documentElement).appendChild(host);
+  uiHost = host;
+  uiRoot = root;
+  return root;
+}
+
+// Add an element to the shadow root
+function mountUI(element) {
+  getUIRoot().appendChild(element);
+  return element;
+}
+
+// Look up SmartDefine elements without creating the host when none are open
+function findUIElement(selector) {
+  return uiHost && uiHost.isConnected ? uiRoot.querySelector(selector) : null;
+}
+
+function findUIElements(selector) {
+  return uiHost && uiHost.isConnected ? Array.from(uiRoot.querySelectorAll(selector)) : [];
+}
+
+// Events from inside the shadow root reach page listeners retargeted to the host
+function isUIEventTarget(target) {
+  return !!uiHost && target === uiHost;
+}
+
 // ===== INTELLIGENT WORD EXTRACTION =====
 // Extracts the first valid word from multi-word selections or messy text
 
@@ -105,6 +220,44 @@ async function extractFirstValidWord(rawText) {
   return cleanedFirstWord || rawText.trim(); // Ultimate fallback to original text
 }
 
+// ===== PHRASE LOOKUPS =====
+// Multi-word selections are checked for phrasal verbs, idioms and collocations
+// before falling back to the first valid word
+
+// Phrases looked up on this page, by lowercased dictionary form -> { type, matched },
+// so regenerating, comparing and saving keep treating them as phrases
+const phraseLookups = new Map();
+
+// The text to explain: a phrase the background recognises, otherwise the first valid word
+async function resolveLookupText(rawText) {
+  if (typeof rawText === 'string' && rawText.trim().split(/\s+/).length >= 2) {
+    try {
+      const response = await browser.runtime.sendMessage({ command: 'detectPhrase', text: rawText });
+      if (response && response.success && response.phrase) {
+        const { text, type, matched } = response.phrase;
+        phraseLookups.set(text.toLowerCase(), { type, matched });
+        return text;
+      }
+    } catch (error) {
+      console.warn('SmartDefine: phrase detection failed:', error.message);
+    }
+  }
+  return extractFirstValidWord(rawText);
+}
+
+// Word Analysis info ({ base, type, form, forms }) for a looked-up phrase, or null for single words
+function getPhraseInfo(text) {
+  const lookup = phraseLookups.get((text || '').toLowerCase());
+  if (!lookup) return null;
+  return { base: text.toLowerCase(), type: lookup.type, form: 'phrase', forms: [] };
+}
+
+// Lookup settings with the phrase type the background uses to pick the phrase prompt
+function withPhraseType(settings, text) {
+  const phraseInfo = getPhraseInfo(text);
+  return phraseInfo ? { ...settings, phraseType: phraseInfo.type } : settings;
+}
+
 function extractValidWordFromToken(token) {
   if (!token) return null;
   
@@ -1228,32 +1381,42 @@ async function getWordFormInfoWithAPI(word, settings = null) {
     return irregularResult;
   }
   
-  // Step 3: Try Wiktionary API for additional validation
+  // Step 3: Reuse a previous network lookup from the background cache
+  const cachedResult = await getCachedMorphology(cleanWord);
+  if (cachedResult) {
+    console.log('💾 Using cached morphological analysis');
+    return cachedResult;
+  }
+  
+  // Step 4: Try Wiktionary API for additional validation
   try {
     console.log('📖 Trying Wiktionary API for morphological analysis...');
     const wiktResult = await callWiktionaryForMorphology(cleanWord);
     if (wiktResult && wiktResult.type !== 'unknown') {
+      await cacheMorphology(cleanWord, wiktResult);
       return wiktResult;
     }
   } catch (error) {
   }
   
-  // Step 4: Try Free Dictionary API only for basic words not caught by rules
+  // Step 5: Try Free Dictionary API only for basic words not caught by rules
   try {
     console.log('📚 Trying Dictionary API for morphological analysis...');
     const dictResult = await callDictionaryForMorphology(cleanWord);
     if (dictResult && dictResult.type !== 'unknown') {
+      await cacheMorphology(cleanWord, dictResult);
       return dictResult;
     }
   } catch (error) {
   }
   
-  // Step 5: Try LLM API as absolute last resort (if configured)
-  if (settings && hasEnabledLLMAPI(settings)) {
+  // Step 6: Try LLM API as absolute last resort (if configured)
+  if (settings && await hasEnabledLLMAPI(settings)) {
     try {
       console.log('📡 Trying LLM API as final fallback...');
       const apiResult = await callLLMForMorphology(cleanWord, settings);
       if (apiResult && apiResult.base) {
+        await cacheMorphology(cleanWord, apiResult);
         return apiResult;
       }
     } catch (error) {
@@ -1270,12 +1433,78 @@ async function getWordFormInfoWithAPI(word, settings = null) {
   };
 }
 
+// Read a cached morphology result from the background definition cache
+async function getCachedMorphology(word) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      command: 'getCachedLookup',
+      kind: 'morphology',
+      word: word
+    });
+    return response && response.value ? response.value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Store a morphology result so the next lookup skips Wiktionary/Dictionary/LLM calls
+async function cacheMorphology(word, result) {
+  try {
+    await browser.runtime.sendMessage({
+      command: 'setCachedLookup',
+      kind: 'morphology',
+      word: word,
+      value: result
+    });
+  } catch (error) {
+    console.warn('Could not cache morphology result:', error);
+  }
+}
+
+// Provider adapter metadata from the background, keyed by adapter id; fetched once per page
+let providerAdaptersPromise = null;
+
+function loadProviderAdapters() {
+  if (!providerAdaptersPromise) {
+    providerAdaptersPromise = browser.runtime.sendMessage({ command: 'getProviderAdapters' })
+      .then(response => {
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'No provider adapters returned');
+        }
+        return Object.fromEntries(response.adapters.map(adapter => [adapter.id, adapter]));
+      })
+      .catch(error => {
+        console.warn('Could not load provider adapters:', error);
+        providerAdaptersPromise = null;
+        return {};
+      });
+  }
+  return providerAdaptersPromise;
+}
+
+// Check if a single provider can be called: keyed adapters need an API key,
+// keyless ones (local/custom endpoints) need a base URL. Type wins over name, as in the background.
+function isProviderUsable(name, provider, adapters) {
+  if (!provider || !provider.enabled) return false;
+  const adapter = (provider.type && adapters[provider.type]) || adapters[name];
+  if (!adapter) return false;
+  if (!adapter.requiresApiKey) {
+    return !!(provider.baseUrl && provider.baseUrl.trim().length > 0);
+  }
+  return !!(provider.apiKey && provider.apiKey.trim().length > 0);
+}
+
+// Names of the configured providers that can be called
+async function getUsableProviderNames(providers) {
+  if (!providers) return [];
+  const adapters = await loadProviderAdapters();
+  return Object.keys(providers).filter(name => isProviderUsable(name, providers[name], adapters));
+}
+
 // Check if LLM API is available
-function hasEnabledLLMAPI(settings) {
+async function hasEnabledLLMAPI(settings) {
   if (!settings || !settings.providers) return false;
-  return Object.values(settings.providers).some(provider => 
-    provider.enabled && provider.apiKey && provider.apiKey.trim().length > 0
-  );
+  return (await getUsableProviderNames(settings.providers)).length > 0;
 }
 
 // Call LLM API for morphological analysis
@@ -1297,7 +1526,8 @@ Be accurate and concise. Focus on the grammatical form, not the meaning.`;
       command: "callLLMAPI",
       text: word,
       context: null,
-      settings: { ...settings, prompt: morphPrompt }
+      // A one-off prompt, so none of the user's templates may override it
+      settings: { ...settings, prompt: morphPrompt, promptTemplateId: null, activePromptTemplate: null, definitionMode: 'markdown' }
     });
     
     const apiText = (typeof response === 'object' && response.text) ? response.text : response;
@@ -1707,7 +1937,7 @@ async function generateFormsForType(word, type) {
 
 // Prepend word type and form information to an explanation if missing
 function addWordInfoToExplanation(word, explanation) {
-  const formInfo = getWordFormInfo(word);
+  const formInfo = getPhraseInfo(word) || getWordFormInfo(word);
   let finalExplanation = explanation.trim();
   if (!finalExplanation.toLowerCase().includes('word type')) {
     const infoLines = [`Word Type: ${formInfo.type}`, `Current Form: ${formInfo.form}`];
@@ -1727,7 +1957,7 @@ function addWordInfoToExplanation(word, explanation) {
  * @param {string} selectedText - The text the user selected.
  * @param {string} response - The response from the LLM.
  */
-async function createResponseModal(selectedText, response, context = null, provider = null) {
+async function createResponseModal(selectedText, response, context = null, provider = null, meta = {}) {
   // FORCE REMOVE ALL existing SmartDefine modals and overlays
   
   // Remove by ID patterns
@@ -1740,7 +1970,7 @@ async function createResponseModal(selectedText, response, context = null, provi
   ];
   
   modalSelectors.forEach(selector => {
-    const elements = document.querySelectorAll(selector);
+    const elements = findUIElements(selector);
     elements.forEach(el => {
       el.remove();
     });
@@ -1751,12 +1981,15 @@ async function createResponseModal(selectedText, response, context = null, provi
     document.removeEventListener('keydown', window.smartdefineEscapeHandler);
     window.smartdefineEscapeHandler = null;
   }
+  if (window.smartdefinePopoverClose) {
+    window.smartdefinePopoverClose();
+  }
   
   // Small delay to ensure cleanup
   await new Promise(resolve => setTimeout(resolve, 100));
 
   // Get learning settings
-  const storage = await browser.storage.local.get(['learningSettings']);
+  const storage = await browser.storage.local.get(['learningSettings', 'providers']);
   const learningSettings = storage.learningSettings || {
     saveToWordList: true,
     showSaveButton: true
@@ -1799,55 +2032,6 @@ async function createResponseModal(selectedText, response, context = null, provi
     border: 1px solid rgba(255, 255, 255, 0.2);
   `;
 
-  // --- CSS Styles and Animations ---
-  const style = document.createElement('style');
-  style.textContent = `
-    @keyframes fadeIn {
-      from { opacity: 0; }
-      to { opacity: 1; }
-    }
-    @keyframes slideIn {
-      from { transform: translateY(-20px) scale(0.95); opacity: 0; }
-      to { transform: translateY(0) scale(1); opacity: 1; }
-    }
-    /* Styles for the formatted content area */
-    .smartdefine-content-area h3 {
-      font-size: 18px;
-      font-weight: 600;
-      color: #1a202c; /* Darker text for headers */
-      margin-top: 24px;
-      margin-bottom: 12px;
-      padding-bottom: 8px;
-      border-bottom: 1px solid #e2e8f0; /* Subtle separator */
-    }
-    .smartdefine-content-area h3:first-child {
-      margin-top: 0;
-    }
-    .smartdefine-content-area p {
-      margin: 0 0 16px 0;
-      color: #4a5568; /* Softer text for paragraphs */
-      line-height: 1.6;
-      font-size: 16px;
-    }
-    .smartdefine-content-area ul {
-      margin: 0 0 16px 0;
-      padding-left: 20px;
-      color: #4a5568;
-    }
-    .smartdefine-content-area li {
-      margin-bottom: 8px;
-      line-height: 1.6;
-      font-size: 16px;
-      padding-left: 4px;
-    }
-    /* Bolding text for emphasis, like in the target design */
-    .smartdefine-content-area li strong, .smartdefine-content-area p strong {
-      color: #2d3748;
-      font-weight: 600;
-    }
-  `;
-  document.head.appendChild(style);
-
   // --- Modal Header ---
   const header = document.createElement('div');
   header.style.cssText = `
@@ -1886,7 +2070,7 @@ async function createResponseModal(selectedText, response, context = null, provi
     closeButton.style.background = 'rgba(255, 255, 255, 0.2)';
     closeButton.style.transform = 'scale(1)';
   };
-  closeButton.onclick = () => modal.remove();
+  closeButton.onclick = () => closeModal();
 
   const title = document.createElement('h2');
   title.textContent = selectedText;
@@ -1900,11 +2084,15 @@ async function createResponseModal(selectedText, response, context = null, provi
 
   const subtitle = document.createElement('p');
   // Only show "AI-Powered" when an actual LLM API was used, not for dictionary lookups
-  if (provider && provider !== 'FreeDictionary' && provider !== 'text') {
+  const isAIResponse = provider && provider !== 'FreeDictionary' && provider !== 'text';
+  if (isAIResponse) {
     subtitle.textContent = 'AI-Powered Word Explanation';
   } else {
     subtitle.textContent = 'Word Explanation';
   }
+  if (meta.cached) {
+    subtitle.textContent += ' · from cache';
+  }
   subtitle.style.cssText = `
     margin: 4px 0 0 0;
     opacity: 0.9;
@@ -1916,6 +2104,14 @@ async function createResponseModal(selectedText, response, context = null, provi
   header.appendChild(title);
   header.appendChild(subtitle);
 
+  // Per-lookup prompt template picker (structured mode and phrases don't use templates)
+  if (isAIResponse && response !== "Loading explanation..." && !meta.structured && !getPhraseInfo(selectedText)) {
+    const templatePicker = await createTemplatePicker(meta.templateId, (templateId) => {
+      regenerateExplanation(selectedText, context, { templateId, bypassCache: false });
+    });
+    if (templatePicker) header.appendChild(templatePicker);
+  }
+
   // Add save button if enabled in settings (will be added later in createResponseModal function)
 
   // --- Modal Content Area ---
@@ -1936,12 +2132,19 @@ async function createResponseModal(selectedText, response, context = null, provi
       !response.includes('Unable to get definition') &&
       !response.includes('This word was not found in the dictionary')) {
     
-    try {
-      // Try to get API-validated word form info
-      const settings = await browser.storage.local.get(['selectedProvider', 'prompt', 'providers']);
-      wordInfo = await getWordFormInfoWithAPI(selectedText, settings);
-    } catch (error) {
-      wordInfo = getWordFormInfo(selectedText);
+    const phraseInfo = getPhraseInfo(selectedText);
+    if (phraseInfo) {
+      wordInfo = phraseInfo;
+    } else if (meta.structured) {
+      wordInfo = getWordInfoFromStructured(selectedText, meta.structured);
+    } else {
+      try {
+        // Try to get API-validated word form info
+        const settings = await browser.storage.local.get(['selectedProvider', 'prompt', 'providers']);
+        wordInfo = await getWordFormInfoWithAPI(selectedText, settings);
+      } catch (error) {
+        wordInfo = getWordFormInfo(selectedText);
+      }
     }
     
     // DEBUGGING: Force check what the word should be
@@ -1972,7 +2175,7 @@ async function createResponseModal(selectedText, response, context = null, provi
       border-bottom: 2px solid #4CAF50;
       padding-bottom: 8px;
     `;
-    infoTitle.textContent = '📝 Word Analysis';
+    infoTitle.textContent = phraseInfo ? '🧩 Phrase Analysis' : '📝 Word Analysis';
     
     const typeDiv = document.createElement('div');
     typeDiv.style.cssText = `
@@ -1983,10 +2186,10 @@ async function createResponseModal(selectedText, response, context = null, provi
     `;
     
     const wordTypeSpan = document.createElement('span');
-    wordTypeSpan.innerHTML = `<strong>Word Type:</strong> <span style="color: #4CAF50; font-weight: 600;">${wordInfo.type}</span>`;
+    wordTypeSpan.innerHTML = `<strong>${phraseInfo ? 'Phrase Type' : 'Word Type'}:</strong> <span style="color: #4CAF50; font-weight: 600;">${escapeHtml(wordInfo.type)}</span>`;
     
     const currentFormSpan = document.createElement('span');
-    currentFormSpan.innerHTML = `<strong>Current Form:</strong> <span style="color: #2196F3; font-weight: 600;">${wordInfo.form}</span>`;
+    currentFormSpan.innerHTML = `<strong>Current Form:</strong> <span style="color: #2196F3; font-weight: 600;">${escapeHtml(wordInfo.form)}</span>`;
     
     typeDiv.appendChild(wordTypeSpan);
     typeDiv.appendChild(currentFormSpan);
@@ -2020,7 +2223,7 @@ async function createResponseModal(selectedText, response, context = null, provi
           border-radius: 4px;
           font-size: 14px;
         `;
-        formItem.innerHTML = `<strong>${f.word}</strong> <span style="color: #666;">(${f.form})</span> - <em>${f.example}</em>`;
+        formItem.innerHTML = `<strong>${escapeHtml(f.word)}</strong> <span style="color: #666;">(${escapeHtml(f.form)})</span> - <em>${escapeHtml(f.example)}</em>`;
         formsList.appendChild(formItem);
       });
       
@@ -2031,8 +2234,18 @@ async function createResponseModal(selectedText, response, context = null, provi
     contentArea.appendChild(infoDiv);
   }
 
+  // Explain why the AI provider wasn't used when we fell back to the dictionary
+  if (meta.providerError) {
+    const providerNotice = createElement('div', {
+      style: 'background: #fff7ed; border: 1px solid #fdba74; color: #9a3412; border-radius: 8px; padding: 10px 14px; margin-bottom: 16px; font-size: 14px;'
+    }, describeProviderError(meta.providerError) + ' Showing the dictionary definition instead.');
+    contentArea.insertBefore(providerNotice, contentArea.firstChild);
+  }
+
   // Parse and format the response using DOM methods
-  const formattedContent = formatLLMResponse(response, selectedText);
+  const formattedContent = meta.structured ?
+    formatStructuredDefinition(meta.structured) :
+    formatLLMResponse(response, selectedText);
   contentArea.appendChild(formattedContent);
 
   // Add context information if available
@@ -2121,7 +2334,7 @@ async function createResponseModal(selectedText, response, context = null, provi
       // Extract context for saving
       const learningSettings = await browser.storage.local.get(['learningSettings']);
       const context = learningSettings.learningSettings?.contextAwareDefinitions ? extractContext(selectedText) : null;
-      showSaveToListModal(selectedText, response, context, provider, wordInfo);
+      showSaveToListModal(selectedText, response, context, provider, meta.structured || null);
     };
     
     header.appendChild(saveButton);
@@ -2165,6 +2378,120 @@ async function createResponseModal(selectedText, response, context = null, provi
     header.appendChild(exportButton);
   }
 
+  // Add regenerate button for AI explanations (bypasses the definition cache)
+  if (isAIResponse && response !== "Loading explanation...") {
+    const regenerateButton = document.createElement('button');
+    regenerateButton.innerHTML = '🔄';
+    regenerateButton.title = meta.cached ? 'Regenerate (ignore cached explanation)' : 'Regenerate';
+    regenerateButton.style.cssText = `
+      position: absolute;
+      top: 16px;
+      right: 180px;
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      color: white;
+      font-size: 18px;
+      cursor: pointer;
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      line-height: 1;
+      transition: all 0.2s ease;
+    `;
+    regenerateButton.onmouseover = () => {
+      regenerateButton.style.background = 'rgba(255, 255, 255, 0.3)';
+      regenerateButton.style.transform = 'scale(1.1)';
+    };
+    regenerateButton.onmouseout = () => {
+      regenerateButton.style.background = 'rgba(255, 255, 255, 0.2)';
+      regenerateButton.style.transform = 'scale(1)';
+    };
+    regenerateButton.onclick = () => regenerateExplanation(selectedText, context, { templateId: meta.templateId });
+
+    header.appendChild(regenerateButton);
+  }
+
+  // Add compare button when more than one provider could answer
+  const usableProviderCount = (await getUsableProviderNames(storage.providers)).length;
+  if (isAIResponse && response !== "Loading explanation..." && usableProviderCount >= 2) {
+    const compareButton = document.createElement('button');
+    compareButton.innerHTML = '⚖️';
+    compareButton.title = 'Compare providers';
+    compareButton.style.cssText = `
+      position: absolute;
+      top: 16px;
+      right: 220px;
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      color: white;
+      font-size: 18px;
+      cursor: pointer;
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      line-height: 1;
+      transition: all 0.2s ease;
+    `;
+    compareButton.onmouseover = () => {
+      compareButton.style.background = 'rgba(255, 255, 255, 0.3)';
+      compareButton.style.transform = 'scale(1.1)';
+    };
+    compareButton.onmouseout = () => {
+      compareButton.style.background = 'rgba(255, 255, 255, 0.2)';
+      compareButton.style.transform = 'scale(1)';
+    };
+    compareButton.onclick = () => showProviderComparison(selectedText, context, meta.templateId);
+
+    header.appendChild(compareButton);
+  }
+
+  // Add cancel button while an explanation is being generated
+  if (response === "Loading explanation...") {
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'smartdefine-cancel-stream';
+    cancelButton.innerHTML = '⏹';
+    cancelButton.title = 'Stop Generating';
+    cancelButton.style.cssText = `
+      position: absolute;
+      top: 16px;
+      right: 60px;
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      color: white;
+      font-size: 18px;
+      cursor: pointer;
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      line-height: 1;
+      transition: all 0.2s ease;
+    `;
+    cancelButton.onmouseover = () => {
+      cancelButton.style.background = 'rgba(255, 255, 255, 0.3)';
+      cancelButton.style.transform = 'scale(1.1)';
+    };
+    cancelButton.onmouseout = () => {
+      cancelButton.style.background = 'rgba(255, 255, 255, 0.2)';
+      cancelButton.style.transform = 'scale(1)';
+    };
+    cancelButton.onclick = () => {
+      if (window.smartdefineActiveStream) {
+        window.smartdefineActiveStream.cancel();
+      }
+    };
+
+    header.appendChild(cancelButton);
+  }
+
   // Add pronunciation button if Web Speech API is available and not loading
   if (response !== "Loading explanation..." && 'speechSynthesis' in window) {
     const pronunciationButton = document.createElement('button');
@@ -2202,13 +2529,17 @@ async function createResponseModal(selectedText, response, context = null, provi
   }
 
   // Add to page
-  document.body.appendChild(modal);
+  mountUI(modal);
 
   // --- Event Listeners for Closing Modal ---
   const closeModal = () => {
     modal.remove();
     document.removeEventListener('keydown', window.smartdefineEscapeHandler);
     window.smartdefineEscapeHandler = null;
+    // Closing the modal stops any request still generating for it
+    if (window.smartdefineActiveStream) {
+      window.smartdefineActiveStream.abort();
+    }
   };
   
   modal.onclick = (e) => {
@@ -2252,13 +2583,8 @@ function formatLLMResponse(response, selectedWord) {
       style: 'margin-top: 16px; color: #666;'
     }, 'Loading explanation...');
     
-    // Add keyframes for spinner animation
-    const style = createElement('style');
-    style.textContent = '@keyframes spin { 100% { transform: rotate(360deg); } }';
-    
     loadingDiv.appendChild(spinner);
     loadingDiv.appendChild(loadingText);
-    fragment.appendChild(style);
     fragment.appendChild(loadingDiv);
     return fragment;
   }
@@ -2465,19 +2791,78 @@ function formatLLMResponse(response, selectedWord) {
   return fragment;
 }
 
+/**
+ * Renders a structured (JSON mode) definition without parsing any markdown.
+ * @param {Object} structured - Validated definition from the background.
+ * @returns {DocumentFragment} - The formatted DOM content.
+ */
+function formatStructuredDefinition(structured) {
+  const fragment = document.createDocumentFragment();
+  const headerStyle = 'font-size: 18px; font-weight: 600; color: #1a202c; margin-top: 24px; margin-bottom: 12px; padding-bottom: 8px; border-bottom: 1px solid #e2e8f0;';
+  const textStyle = 'margin: 0 0 16px 0; color: #4a5568; line-height: 1.6; font-size: 16px;';
+
+  const addText = (title, text) => {
+    if (!text) return;
+    fragment.appendChild(createElement('h3', { style: headerStyle }, title));
+    fragment.appendChild(createElement('p', { style: textStyle }, text));
+  };
+
+  const addList = (title, items) => {
+    if (!items || items.length === 0) return;
+    fragment.appendChild(createElement('h3', { style: headerStyle }, title));
+    const listEl = createElement('ul', {
+      style: 'margin: 0 0 16px 0; padding-left: 20px; color: #4a5568;'
+    });
+    items.forEach(item => {
+      listEl.appendChild(createElement('li', {
+        style: 'margin-bottom: 8px; line-height: 1.6; font-size: 16px; padding-left: 4px;'
+      }, item));
+    });
+    fragment.appendChild(listEl);
+  };
+
+  addText('Meaning', structured.meaning);
+  addText('Respelling (Simplified Phonetics)', structured.respelling);
+  addList('Synonyms', structured.synonyms);
+  addList('Antonyms', structured.antonyms);
+  addList('Examples', structured.examples);
+  addList('Collocations', structured.collocations);
+  addList('Ways to remember its meaning', structured.mnemonics);
+
+  return fragment;
+}
+
+// Word Analysis info ({ base, type, form, forms }) straight from a structured definition
+function getWordInfoFromStructured(word, structured) {
+  return {
+    base: structured.baseForm || word.toLowerCase(),
+    type: structured.wordType || 'unknown',
+    form: structured.currentForm || 'base form',
+    forms: (structured.forms || []).map(f => ({
+      form: f.form || 'form',
+      word: f.word,
+      example: f.example || ''
+    }))
+  };
+}
+
 
 // Save word to list functionality
-async function showSaveToListModal(word, explanation, context = null, provider = null) {
+async function showSaveToListModal(word, explanation, context = null, provider = null, structured = null) {
   // Remove any existing save modal
-  const existingSaveModal = document.getElementById('smartdefine-save-modal');
+  const existingSaveModal = findUIElement('#smartdefine-save-modal');
   if (existingSaveModal) {
     existingSaveModal.remove();
   }
 
   // Get existing categories
-  const storage = await browser.storage.local.get(['wordLists', 'learningSettings']);
-  const wordLists = storage.wordLists || {};
-  const categories = Object.keys(wordLists);
+  let categories = [];
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getWordCategories' });
+    categories = (response && response.categories) || [];
+  } catch (error) {
+    console.warn('SmartDefine: could not load word categories:', error);
+  }
 
   // Create save modal
   const saveModal = document.createElement('div');
@@ -2589,14 +2974,14 @@ async function showSaveToListModal(word, explanation, context = null, provider =
   saveContent.appendChild(buttonsDiv);
 
   saveModal.appendChild(saveContent);
-  document.body.appendChild(saveModal);
+  mountUI(saveModal);
 
   // Event handlers
-  document.getElementById('cancel-save').onclick = () => saveModal.remove();
-  document.getElementById('confirm-save').onclick = async () => {
-    const categorySelect = document.getElementById('category-select');
-    const newCategoryInput = document.getElementById('new-category');
-    const notesInput = document.getElementById('personal-notes');
+  saveModal.querySelector('#cancel-save').onclick = () => saveModal.remove();
+  saveModal.querySelector('#confirm-save').onclick = async () => {
+    const categorySelect = saveModal.querySelector('#category-select');
+    const newCategoryInput = saveModal.querySelector('#new-category');
+    const notesInput = saveModal.querySelector('#personal-notes');
     
     let selectedCategory = newCategoryInput.value.trim() || categorySelect.value;
     
@@ -2604,7 +2989,13 @@ async function showSaveToListModal(word, explanation, context = null, provider =
       selectedCategory = 'General';
     }
     
-    await saveWordToList(word, explanation, selectedCategory, notesInput.value.trim(), context, provider);
+    try {
+      await saveWordToList(word, explanation, selectedCategory, notesInput.value.trim(), context, provider, structured);
+    } catch (error) {
+      console.error('SmartDefine: saving word failed:', error);
+      showTemporaryMessage(`Could not save word: ${error.message}`, 'error');
+      return;
+    }
     saveModal.remove();
     
     // Show success message
@@ -2619,41 +3010,27 @@ async function showSaveToListModal(word, explanation, context = null, provider =
   };
 }
 
-// Save word to storage
-async function saveWordToList(word, explanation, category, notes, context = null, provider = null) {
-  const storage = await browser.storage.local.get(['wordLists']);
-  const wordLists = storage.wordLists || {};
-  
-  if (!wordLists[category]) {
-    wordLists[category] = [];
-  }
-  
-  const formInfo = getWordFormInfo(word);
+// Save word through the background word repository
+async function saveWordToList(word, explanation, category, notes, context = null, provider = null, structured = null) {
+  // Phrases are saved whole with their phrase type; structured definitions already know the word's grammar
+  const phraseInfo = getPhraseInfo(word);
+  const formInfo = phraseInfo || (structured ? getWordInfoFromStructured(word, structured) : getWordFormInfo(word));
   const baseWord = formInfo.base;
 
   const finalExplanation = addWordInfoToExplanation(word, explanation);
 
   // For learning purposes, save the ORIGINAL form (what user encountered)
-  // but store the base form for reference and deduplication
-  
-  // Check if word already exists in this category with same provider
-  // Use the original form for comparison to avoid duplicates like "run" and "running"
-  const existingIndex = wordLists[category].findIndex(item =>
-    item.word.toLowerCase() === word.toLowerCase() && item.provider === provider);
-  
-  const wordId = existingIndex >= 0
-    ? wordLists[category][existingIndex].id
-    : (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`);
-
+  // but store the base form for reference. The repository replaces an earlier
+  // entry for the same word and provider in this category.
   const wordData = {
-    id: wordId,
     word: word, // Save the ORIGINAL word the user encountered
     baseForm: baseWord, // Store base form for reference
     wordType: formInfo.type,
     currentForm: formInfo.form,
+    isPhrase: !!phraseInfo,
     provider: provider,
-    status: existingIndex >= 0 ? 'updated' : 'new',
     explanation: finalExplanation,
+    structured: structured, // JSON-mode fields (meaning, examples, ...) or null
     notes: notes,
     context: context, // Store context information
     dateAdded: new Date().toISOString(),
@@ -2664,16 +3041,14 @@ async function saveWordToList(word, explanation, category, notes, context = null
     easeFactor: 2.5, // Initial ease factor for spaced repetition
     interval: 1 // Initial interval
   };
-  
-  if (existingIndex >= 0) {
-    // Update existing word
-    wordLists[category][existingIndex] = { ...wordLists[category][existingIndex], ...wordData, dateAdded: wordLists[category][existingIndex].dateAdded };
-  } else {
-    // Add new word
-    wordLists[category].push(wordData);
+
+  const response = await browser.runtime.sendMessage({ command: 'saveWord', category, word: wordData });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from background');
   }
-  
-  await browser.storage.local.set({ wordLists });
+  // Underline the new word on this page too
+  refreshVocabularyHighlights();
+  return response.word;
 }
 
 // Show temporary message
@@ -2693,22 +3068,10 @@ function showTemporaryMessage(message, type = 'success') {
     animation: slideInRight 0.3s ease-out;
   `;
   msgDiv.textContent = message;
-  
-  // Add animation styles
-  const styleSheet = document.createElement('style');
-  styleSheet.textContent = `
-    @keyframes slideInRight {
-      from { transform: translateX(100%); opacity: 0; }
-      to { transform: translateX(0); opacity: 1; }
-    }
-  `;
-  document.head.appendChild(styleSheet);
-  
-  document.body.appendChild(msgDiv);
+  mountUI(msgDiv);
   
   setTimeout(() => {
     msgDiv.remove();
-    styleSheet.remove();
   }, 3000);
 }
 
@@ -2737,13 +3100,16 @@ function extractContext(selectedText) {
     
     // Get the full text content
     const fullText = contextElement.textContent || '';
-    const selectedIndex = fullText.toLowerCase().indexOf(selectedText.toLowerCase());
+    // A phrase is looked up in its dictionary form but appears on the page as selected
+    const phraseLookup = phraseLookups.get(selectedText.toLowerCase());
+    const searchText = phraseLookup ? phraseLookup.matched : selectedText;
+    const selectedIndex = fullText.toLowerCase().indexOf(searchText.toLowerCase());
     
     if (selectedIndex === -1) return null;
     
     // Extract context: 150 characters before and after the selected text
     const contextBefore = fullText.substring(Math.max(0, selectedIndex - 150), selectedIndex).trim();
-    const contextAfter = fullText.substring(selectedIndex + selectedText.length, selectedIndex + selectedText.length + 150).trim();
+    const contextAfter = fullText.substring(selectedIndex + searchText.length, selectedIndex + searchText.length + 150).trim();
     
     // Only return context if we have meaningful surrounding text
     if (contextBefore.length < 10 && contextAfter.length < 10) return null;
@@ -2751,7 +3117,8 @@ function extractContext(selectedText) {
     return {
       before: contextBefore,
       after: contextAfter,
-      fullSentence: extractSentence(fullText, selectedIndex, selectedText.length)
+      fullSentence: extractSentence(fullText, selectedIndex, searchText.length),
+      pageTitle: document.title
     };
   } catch (error) {
     console.warn('Could not extract context:', error);
@@ -2811,7 +3178,7 @@ debugIndicator.style.cssText = `
   pointer-events: none;
 `;
 debugIndicator.title = 'SmartDefine content script loaded';
-document.body?.appendChild(debugIndicator);
+mountUI(debugIndicator);
 
 // Remove the indicator after 3 seconds
 setTimeout(() => {
@@ -2852,20 +3219,6 @@ async function showFirstRunPopup(selectedText) {
     animation: slideIn 0.3s ease-out;
   `;
 
-  // Add CSS animations
-  const style = document.createElement('style');
-  style.textContent = `
-    @keyframes fadeIn {
-      from { opacity: 0; }
-      to { opacity: 1; }
-    }
-    @keyframes slideIn {
-      from { transform: translateY(-20px) scale(0.95); opacity: 0; }
-      to { transform: translateY(0) scale(1); opacity: 1; }
-    }
-  `;
-  document.head.appendChild(style);
-
   // Create content
   popup.innerHTML = `
     <div style="margin-bottom: 20px;">
@@ -2910,7 +3263,6 @@ async function showFirstRunPopup(selectedText) {
   // Close on button click and continue with word definition
   button.onclick = async () => {
     modal.remove();
-    style.remove();
     
     // Continue with word definition
     if (selectedText) {
@@ -2922,197 +3274,1321 @@ async function showFirstRunPopup(selectedText) {
   modal.onclick = (e) => {
     if (e.target === modal) {
       modal.remove();
-      style.remove();
     }
   };
 
   // Add to page
   modal.appendChild(popup);
-  document.body.appendChild(modal);
+  mountUI(modal);
 }
 
-// Continue with word definition after first-run popup
-async function continueWithWordDefinition(selectedText) {
-  try {
-    // Get settings from storage
-    const settings = await browser.storage.local.get(["selectedProvider", "prompt", "providers", "learningSettings"]);
-    
-    const hasAPIKey = Object.values(settings.providers || {}).some(p => p.enabled && p.apiKey && p.apiKey.trim().length > 0);
-    
-    if (hasAPIKey) {
-      // Show loading message immediately only if we have an API key
-      await createResponseModal(selectedText, "Loading explanation...");
-      
-      // Extract context around the selected text only if enabled
-      const learningSettings = settings.learningSettings || {};
-      const context = learningSettings.contextAwareDefinitions ? extractContext(selectedText) : null;
+// ===== STREAMING RESPONSES =====
 
-      // Call LLM API
-      const response = await browser.runtime.sendMessage({
-        command: "callLLMAPI",
-        text: selectedText,
-        context: context,
-        settings: settings
-      });
+/**
+ * Requests an explanation over a long-lived port so partial text can be
+ * rendered in the open modal while the provider is still generating.
+ * @param {string} selectedText - The word being explained.
+ * @param {Object|null} context - Context extracted around the selection.
+ * @param {Object} settings - Provider settings from storage.
+ * @param {Object} [options] - { bypassCache } to skip the background definition cache.
+ * @returns {Promise<Object|null>} - { provider, text, templateId } like the callLLMAPI message, or null if cancelled.
+ */
+function streamLLMExplanation(selectedText, context, settings, options = {}) {
+  // Only one explanation is generated at a time
+  if (window.smartdefineActiveStream) {
+    window.smartdefineActiveStream.abort();
+  }
 
-      if (response && response.text) {
-        await createResponseModal(selectedText, response.text, context, response.provider);
-      } else {
-        throw new Error('No response from LLM API');
-      }
-    } else {
-      // Try dictionary API
-      await createResponseModal(selectedText, "Loading definition from dictionary...");
-      
-      const response = await browser.runtime.sendMessage({
-        command: "callFreeDictionaryAPI",
-        text: selectedText
-      });
+  return new Promise((resolve, reject) => {
+    const port = browser.runtime.connect({ name: 'smartdefine-stream' });
+    let finished = false;
+    let receivedText = '';
+
+    const finish = (callback, value) => {
+      if (finished) return;
+      finished = true;
+      window.smartdefineActiveStream = null;
+      pendingStreamText = null; // Drop any frame still queued for this stream
+      port.disconnect();
+      callback(value);
+    };
 
-      if (response) {
-        await createResponseModal(selectedText, response, null, 'Dictionary');
-      } else {
-        throw new Error('No response from dictionary API');
+    const abort = () => {
+      if (finished) return;
+      port.postMessage({ command: 'cancel' });
+      finish(resolve, null);
+    };
+
+    window.smartdefineActiveStream = {
+      // Stop button: keep partial text on screen
+      cancel: () => {
+        showStreamCancelled(receivedText);
+        abort();
+      },
+      // Modal closed or replaced: stop silently
+      abort: abort
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'partial') {
+        receivedText = message.text;
+        renderStreamingResponse(selectedText, message.text);
+      } else if (message.type === 'done') {
+        finish(resolve, {
+          provider: message.provider,
+          text: message.text,
+          cached: !!message.cached,
+          structured: message.structured || null,
+          providerError: message.providerError || null,
+          templateId: message.templateId || null
+        });
+      } else if (message.type === 'cancelled') {
+        finish(resolve, null);
+      } else if (message.type === 'error') {
+        const error = new Error(message.error);
+        error.providerError = message.providerError || null;
+        finish(reject, error);
       }
-    }
-  } catch (error) {
-    console.error('Error in continueWithWordDefinition:', error);
-    let errorMessage = 'Unable to get definition for "' + selectedText + '".';
-    
-    if (error.message.includes('Both LLM and dictionary APIs failed')) {
-      errorMessage = 'This word was not found in the dictionary (it may be a proper noun, technical term, or very specialized word). Please try setting up an API key for better results.';
-    } else if (error.message.includes('Word') && error.message.includes('not found')) {
-      errorMessage = 'This word was not found in the dictionary (it may be a proper noun, technical term, or very specialized word). Please try setting up an API key for better results.';
-    }
-    
-    await createResponseModal(selectedText, errorMessage);
-  }
-}
+    });
 
-// Listen for messages from background script
-browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
-  console.log('Content script received message:', message);
-  
-  if (message.command === "explainSelectedText") {
-    const rawSelectedText = message.text;
-    const selectedText = await extractFirstValidWord(rawSelectedText);
-    
-    // Check for first-run and show pin instructions
-    const firstRunCheck = await browser.storage.local.get(['isFirstRun']);
-    if (firstRunCheck.isFirstRun) {
-      await showFirstRunPopup(selectedText);
-      // Clear the first-run flag
-      await browser.storage.local.set({ isFirstRun: false });
+    port.onDisconnect.addListener(() => {
+      finish(reject, new Error('Lost connection to SmartDefine background'));
+    });
+
+    port.postMessage({
+      command: 'streamLLMAPI',
+      text: selectedText,
+      context: context,
+      settings: withPhraseType(settings, selectedText),
+      bypassCache: !!options.bypassCache
+    });
+  });
+}
+
+/**
+ * Turns a classified provider failure from the background into a readable sentence.
+ * @param {Object} providerError - { provider, code, message } from the background.
+ * @returns {string}
+ */
+function describeProviderError(providerError) {
+  const provider = providerError.provider || 'The AI provider';
+  switch (providerError.code) {
+    case 'auth':
+      return `🔑 ${provider} rejected the API key. Check it in Settings → Providers.`;
+    case 'quota':
+      return `💳 ${provider} quota or credits are used up.`;
+    case 'rate_limit':
+      return `⏳ ${provider} is rate limiting requests. Try again in a moment.`;
+    case 'timeout':
+      return `⌛ ${provider} did not respond in time.`;
+    case 'network':
+      return `📡 Could not reach ${provider}. Check your connection or the base URL.`;
+    case 'bad_model':
+      return `🔧 ${provider} does not recognise the configured model.`;
+    case 'not_found':
+      return `🔧 ${provider} endpoint was not found. Check the base URL.`;
+    case 'server':
+      return `🛠️ ${provider} had a server error.`;
+    case 'config':
+      return `⚙️ ${provider} is not fully configured.`;
+    default:
+      return `⚠️ ${providerError.message || 'The AI provider request failed.'}`;
+  }
+}
+
+// Latest partial text, rendered at most once per animation frame
+let pendingStreamText = null;
+
+// Render partial markdown into the open modal
+function renderStreamingResponse(selectedText, text) {
+  const shouldSchedule = pendingStreamText === null;
+  pendingStreamText = text;
+  if (!shouldSchedule) return;
+
+  requestAnimationFrame(() => {
+    const contentArea = findUIElement('#smartdefine-modal .smartdefine-content-area');
+    const latestText = pendingStreamText;
+    pendingStreamText = null;
+    if (!contentArea || !latestText) return;
+
+    contentArea.textContent = '';
+    contentArea.appendChild(formatLLMResponse(latestText, selectedText));
+
+    const status = createElement('p', {
+      className: 'smartdefine-stream-status',
+      style: 'color: #9ca3af; font-size: 13px; font-style: italic;'
+    }, 'Generating…');
+    contentArea.appendChild(status);
+  });
+}
+
+// Keep any partial text on screen after the user stops generation
+function showStreamCancelled(partialText) {
+  const modal = findUIElement('#smartdefine-modal');
+  if (!modal) return;
+
+  if (!partialText) {
+    modal.remove();
+    return;
+  }
+
+  const cancelButton = modal.querySelector('.smartdefine-cancel-stream');
+  if (cancelButton) cancelButton.remove();
+
+  // Let a pending frame render first so the note isn't wiped out
+  requestAnimationFrame(() => {
+    const status = modal.querySelector('.smartdefine-stream-status');
+    if (status) status.textContent = 'Generation stopped.';
+  });
+}
+
+/**
+ * Build the "Template" dropdown shown under the modal title.
+ * @param {string|null} currentId - Template used for the explanation on screen.
+ * @param {Function} onChange - Called with the newly picked template id.
+ * @returns {Promise<HTMLElement|null>} - null when templates can't be loaded.
+ */
+async function createTemplatePicker(currentId, onChange) {
+  let response;
+  try {
+    response = await browser.runtime.sendMessage({ command: 'getPromptTemplates' });
+  } catch (error) {
+    console.warn('Could not load prompt templates:', error.message);
+    return null;
+  }
+  if (!response || !response.success || response.templates.length < 2) return null;
+
+  const selectedId = currentId || response.activeId;
+  const wrapper = document.createElement('label');
+  wrapper.style.cssText = `
+    display: inline-flex;
+    align-items: center;
+    gap: 6px;
+    margin-top: 8px;
+    font-size: 13px;
+    opacity: 0.95;
+  `;
+  wrapper.textContent = 'Template:';
+
+  const select = document.createElement('select');
+  select.className = 'smartdefine-template-picker';
+  select.style.cssText = `
+    background: rgba(255, 255, 255, 0.2);
+    color: white;
+    border: 1px solid rgba(255, 255, 255, 0.4);
+    border-radius: 6px;
+    padding: 2px 6px;
+    font-size: 13px;
+    cursor: pointer;
+  `;
+  response.templates.forEach(template => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.name;
+    option.style.color = '#333';
+    option.selected = template.id === selectedId;
+    select.appendChild(option);
+  });
+  select.onchange = () => onChange(select.value);
+
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
+// Ask the provider again. Options: templateId picks a prompt template for this lookup only,
+// bypassCache (default true) ignores any cached explanation.
+async function regenerateExplanation(selectedText, context, options = {}) {
+  const settings = await browser.storage.local.get(["selectedProvider", "prompt", "providers", "learningSettings", "definitionMode", "promptTemplates", "activePromptTemplate", "learnerProfile"]);
+  if (options.templateId) {
+    settings.promptTemplateId = options.templateId;
+  }
+  await createResponseModal(selectedText, "Loading explanation...");
+
+  try {
+    const response = await streamLLMExplanation(selectedText, context, settings, {
+      bypassCache: options.bypassCache !== false
+    });
+    if (response === null) return; // Cancelled by the user
+
+    await createResponseModal(selectedText, response.text, context, response.provider, {
+      cached: response.cached,
+      structured: response.structured,
+      providerError: response.providerError,
+      templateId: response.templateId
+    });
+  } catch (error) {
+    console.error('Error regenerating explanation:', error);
+    const reason = error.providerError ? describeProviderError(error.providerError) : error.message;
+    await createResponseModal(selectedText, `Unable to get definition for "${selectedText}". ${reason}`);
+  }
+}
+
+// ===== PROVIDER COMPARISON =====
+
+/**
+ * Ask every usable provider for the same explanation over the stream port.
+ * @param {string} selectedText - The word being explained.
+ * @param {Object|null} context - Context extracted around the selection.
+ * @param {Object} settings - Provider settings from storage.
+ * @param {string[]} providerNames - Providers to compare.
+ * @param {Function} onResult - Called with each provider's result as it arrives.
+ * @returns {Promise<Array|null>} - All results, or null if cancelled.
+ */
+function compareLLMExplanations(selectedText, context, settings, providerNames, onResult) {
+  if (window.smartdefineActiveStream) {
+    window.smartdefineActiveStream.abort();
+  }
+
+  return new Promise((resolve, reject) => {
+    const port = browser.runtime.connect({ name: 'smartdefine-stream' });
+    let finished = false;
+
+    const finish = (callback, value) => {
+      if (finished) return;
+      finished = true;
+      window.smartdefineActiveStream = null;
+      port.disconnect();
+      callback(value);
+    };
+
+    const abort = () => {
+      if (finished) return;
+      port.postMessage({ command: 'cancel' });
+      finish(resolve, null);
+    };
+
+    window.smartdefineActiveStream = { cancel: abort, abort: abort };
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'compareResult') {
+        onResult(message.result);
+      } else if (message.type === 'compareDone') {
+        finish(resolve, message.results);
+      } else if (message.type === 'cancelled') {
+        finish(resolve, null);
+      } else if (message.type === 'error') {
+        const error = new Error(message.error);
+        error.providerError = message.providerError || null;
+        finish(reject, error);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      finish(reject, new Error('Lost connection to SmartDefine background'));
+    });
+
+    port.postMessage({
+      command: 'compareLLMAPI',
+      text: selectedText,
+      context: context,
+      settings: withPhraseType(settings, selectedText),
+      providers: providerNames
+    });
+  });
+}
+
+function formatLatency(latencyMs) {
+  return latencyMs < 1000 ? `${latencyMs} ms` : `${(latencyMs / 1000).toFixed(1)} s`;
+}
+
+function formatTokenUsage(usage) {
+  if (!usage) return '';
+  const prefix = usage.estimated ? '≈' : '';
+  return `${prefix}${usage.totalTokens} tokens (${usage.promptTokens} in / ${usage.completionTokens} out)`;
+}
+
+// Show the same lookup from several providers side by side; "Use this" saves the picked one.
+// templateId keeps the prompt template the explanation on screen was generated with.
+async function showProviderComparison(selectedText, context, templateId = null) {
+  const settings = await browser.storage.local.get(["selectedProvider", "prompt", "providers", "learningSettings", "definitionMode", "promptTemplates", "activePromptTemplate", "learnerProfile"]);
+  if (templateId) {
+    settings.promptTemplateId = templateId;
+  }
+  const providerNames = await getUsableProviderNames(settings.providers);
+
+  // Reuse the modal id so createResponseModal's cleanup removes this view too
+  findUIElements('#smartdefine-modal').forEach(el => el.remove());
+  if (window.smartdefineEscapeHandler) {
+    document.removeEventListener('keydown', window.smartdefineEscapeHandler);
+    window.smartdefineEscapeHandler = null;
+  }
+
+  const modal = createElement('div', {
+    id: 'smartdefine-modal',
+    style: `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background-color: rgba(0, 0, 0, 0.6);
+      z-index: 2147483647;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      backdrop-filter: blur(4px);
+    `
+  });
+
+  const modalContent = createElement('div', {
+    style: `
+      background: linear-gradient(135deg, #ffffff 0%, #f8fafc 100%);
+      border-radius: 16px;
+      width: 95%;
+      max-width: 1200px;
+      max-height: 85vh;
+      overflow: hidden;
+      display: flex;
+      flex-direction: column;
+      box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `
+  });
+
+  const header = createElement('div', {
+    style: `
+      background: linear-gradient(135deg, #4CAF50 0%, #45a049 100%);
+      color: white;
+      padding: 20px 24px;
+      position: relative;
+      flex-shrink: 0;
+    `
+  });
+  header.appendChild(createElement('h2', {
+    style: 'margin: 0; font-size: 24px; font-weight: 700; max-width: 80%;'
+  }, `Compare: ${selectedText}`));
+  header.appendChild(createElement('p', {
+    style: 'margin: 4px 0 0 0; opacity: 0.9; font-size: 14px;'
+  }, 'Same prompt and context sent to each enabled provider. Pick the explanation to keep.'));
+
+  const closeButton = createElement('button', {
+    title: 'Close',
+    style: `
+      position: absolute;
+      top: 16px;
+      right: 20px;
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      color: white;
+      font-size: 24px;
+      cursor: pointer;
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
+      line-height: 1;
+    `
+  }, '×');
+  header.appendChild(closeButton);
+
+  const columns = createElement('div', {
+    style: `
+      display: grid;
+      grid-template-columns: repeat(${Math.min(providerNames.length, 3) || 1}, minmax(0, 1fr));
+      gap: 16px;
+      padding: 20px 24px;
+      overflow-y: auto;
+      flex-grow: 1;
+    `
+  });
+
+  // One column per provider, filled in as results arrive
+  const columnsByProvider = {};
+  providerNames.forEach(name => {
+    const column = createElement('div', {
+      style: `
+        border: 1px solid #e2e8f0;
+        border-radius: 12px;
+        background: white;
+        display: flex;
+        flex-direction: column;
+        min-height: 200px;
+      `
+    });
+    const columnHeader = createElement('div', {
+      style: 'padding: 12px 16px; border-bottom: 1px solid #e2e8f0; background: #f8fafc; border-radius: 12px 12px 0 0;'
+    });
+    columnHeader.appendChild(createElement('div', { style: 'font-weight: 600; color: #1a202c;' }, name));
+    const stats = createElement('div', { style: 'font-size: 12px; color: #6b7280; margin-top: 4px;' }, '⏳ Waiting for response...');
+    columnHeader.appendChild(stats);
+
+    const body = createElement('div', {
+      className: 'smartdefine-content-area',
+      style: 'padding: 16px; flex-grow: 1; font-size: 14px;'
+    });
+    const footer = createElement('div', { style: 'padding: 12px 16px; border-top: 1px solid #e2e8f0;' });
+
+    column.appendChild(columnHeader);
+    column.appendChild(body);
+    column.appendChild(footer);
+    columns.appendChild(column);
+    columnsByProvider[name] = { stats, body, footer };
+  });
+
+  modalContent.appendChild(header);
+  modalContent.appendChild(columns);
+  modal.appendChild(modalContent);
+  mountUI(modal);
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', window.smartdefineEscapeHandler);
+    window.smartdefineEscapeHandler = null;
+    if (window.smartdefineActiveStream) {
+      window.smartdefineActiveStream.abort();
+    }
+  };
+  closeButton.onclick = closeModal;
+  modal.onclick = (e) => {
+    if (e.target === modal) closeModal();
+  };
+  window.smartdefineEscapeHandler = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+  document.addEventListener('keydown', window.smartdefineEscapeHandler);
+
+  const renderResult = (result) => {
+    const column = columnsByProvider[result.provider];
+    if (!column) return;
+    column.done = true;
+
+    const model = result.model ? ` · ${result.model}` : '';
+    column.body.textContent = '';
+    column.footer.textContent = '';
+
+    if (result.error) {
+      column.stats.textContent = `❌ Failed after ${formatLatency(result.latencyMs)}${model}`;
+      column.body.appendChild(createElement('p', { style: 'color: #b91c1c;' }, describeProviderError(result.error)));
       return;
     }
-    
-    // Get settings from storage
-    const settings = await browser.storage.local.get(["selectedProvider", "prompt", "providers", "learningSettings"]);
-    
-    // Debug logging to understand the issue
-    console.log('Settings loaded:', {
-      selectedProvider: settings.selectedProvider,
-      hasProviders: !!settings.providers,
-      providers: settings.providers
+
+    column.stats.textContent = `⏱ ${formatLatency(result.latencyMs)} · ${formatTokenUsage(result.usage)}${model}`;
+    column.body.appendChild(result.structured ?
+      formatStructuredDefinition(result.structured) :
+      formatLLMResponse(result.text, selectedText));
+
+    const useButton = createElement('button', {
+      style: `
+        background: #4CAF50;
+        color: white;
+        border: none;
+        border-radius: 8px;
+        padding: 8px 16px;
+        font-size: 14px;
+        cursor: pointer;
+        width: 100%;
+      `
+    }, '🔖 Use this explanation');
+    useButton.onclick = () => showSaveToListModal(selectedText, result.text, context, result.provider, result.structured || null);
+    column.footer.appendChild(useButton);
+  };
+
+  try {
+    const results = await compareLLMExplanations(selectedText, context, settings, providerNames, renderResult);
+    if (results === null) return; // Closed by the user
+    results.filter(result => !columnsByProvider[result.provider]?.done).forEach(renderResult);
+
+    // The background skips providers it can't call (e.g. no adapter registered)
+    Object.values(columnsByProvider).forEach(column => {
+      if (!column.done) column.stats.textContent = '⚠️ Provider not available';
     });
-    
-    const hasAPIKey = Object.values(settings.providers || {}).some(p => p.enabled && p.apiKey && p.apiKey.trim().length > 0);
-    
-    console.log('API Key check result:', hasAPIKey);
-    
-    try {
-      if (hasAPIKey) {
-        // Show loading message immediately only if we have an API key
-        await createResponseModal(selectedText, "Loading explanation...");
-        
-        // Extract context around the selected text only if enabled
-        const learningSettings = settings.learningSettings || {};
-        const context = learningSettings.contextAwareDefinitions ? extractContext(selectedText) : null;
-
-        // Build prompt for logging
-        let finalPrompt = (settings.prompt || '').replace(/X_WORD_X/g, selectedText);
-        if (context) {
-          let contextInfo = "\n\nCONTEXT INFORMATION:";
-          if (context.fullSentence) {
-            contextInfo += `\nThe word appears in this sentence: "${context.fullSentence}"`;
-          }
-          if (context.before && context.after) {
-            contextInfo += `\nSurrounding text: "...${context.before} [${selectedText}] ${context.after}..."`;
-          }
-          contextInfo += "\n\nPlease provide a definition that is appropriate for this specific context. Consider how the word is being used in this particular situation.";
-          finalPrompt += contextInfo;
-        }
-        console.log('LLM Prompt:', finalPrompt);
-
-        // Send request to background script to call LLM API with context (already has fallback)
-        const response = await browser.runtime.sendMessage({
-          command: "callLLMAPI",
-          text: selectedText,
-          context: context,
-          settings: settings
-        });
+  } catch (error) {
+    console.error('Error comparing providers:', error);
+    Object.values(columnsByProvider).forEach(column => {
+      if (column.done) return;
+      column.stats.textContent = '❌ Comparison failed';
+      column.body.textContent = error.providerError ? describeProviderError(error.providerError) : error.message;
+    });
+  }
+}
 
-        // Ensure previous modal is completely removed before creating new one
-        await new Promise(resolve => setTimeout(resolve, 150));
+// Entry point for every lookup trigger: context menu, keyboard shortcut, double-click and modifier+click
+async function defineSelection(rawSelectedText) {
+  const selectedText = await resolveLookupText(rawSelectedText);
 
-        if (response && typeof response === 'object') {
-          console.log('LLM Response from', response.provider + ':', response.text);
-          await createResponseModal(selectedText, response.text, context, response.provider);
-        } else {
-          console.log('LLM Response:', response);
-          await createResponseModal(selectedText, response, context, null);
-        }
-      } else {
-        // No API key configured, directly use free dictionary API
-        console.log('No API key found, using free dictionary service');
-        
-        // Show loading message for dictionary lookup
-        await createResponseModal(selectedText, "Loading definition from dictionary...", null, 'FreeDictionary');
-        
-        try {
-          const dictionaryResponse = await browser.runtime.sendMessage({
-            command: 'callFreeDictionaryAPI',
-            text: selectedText
-          });
+  // Check for first-run and show pin instructions
+  const firstRunCheck = await browser.storage.local.get(['isFirstRun']);
+  if (firstRunCheck.isFirstRun) {
+    await showFirstRunPopup(selectedText);
+    // Clear the first-run flag
+    await browser.storage.local.set({ isFirstRun: false });
+    return;
+  }
 
-          console.log('Dictionary Response:', dictionaryResponse);
+  await continueWithWordDefinition(selectedText);
+}
 
-          // Ensure previous modal is completely removed before creating new one
-          await new Promise(resolve => setTimeout(resolve, 150));
+// The lookup pipeline: stream an AI explanation when a provider is set up,
+// otherwise (or when every provider fails) the free dictionary
+async function continueWithWordDefinition(selectedText) {
+  // Get settings from storage
+  const settings = await browser.storage.local.get(["selectedProvider", "prompt", "providers", "learningSettings", "definitionMode", "promptTemplates", "activePromptTemplate", "learnerProfile", "lookupDisplay"]);
+  
+  if (settings.lookupDisplay === 'popover') {
+    await showDefinitionPopover(selectedText, settings);
+    return;
+  }
+  
+  const hasAPIKey = await hasEnabledLLMAPI(settings);
+  
+  try {
+    if (hasAPIKey) {
+      // Show loading message immediately only if we have an API key
+      await createResponseModal(selectedText, "Loading explanation...");
+      
+      // Extract context around the selected text only if enabled
+      const learningSettings = settings.learningSettings || {};
+      const context = learningSettings.contextAwareDefinitions ? extractContext(selectedText) : null;
 
-          // Update modal with dictionary response
-          await createResponseModal(selectedText, dictionaryResponse, null, 'FreeDictionary');
-        } catch (dictError) {
-          console.error('Dictionary API failed:', dictError);
-          const errorMessage = `Unable to get definition for "${selectedText}". This word was not found in the dictionary (it may be a proper noun, technical term, or very specialized word). For comprehensive explanations of all words, please configure an LLM API key in the extension settings.`;
-          await createResponseModal(selectedText, errorMessage, null, 'FreeDictionary');
-        }
-        return; // Exit early to prevent error handling
+      // Stream the explanation from the background script (already has fallback)
+      const response = await streamLLMExplanation(selectedText, context, settings);
+      if (response === null) return; // Cancelled by the user
+
+      // Ensure previous modal is completely removed before creating new one
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      if (response && typeof response === 'object') {
+        console.log('LLM Response from', response.provider + ':', response.text);
+        await createResponseModal(selectedText, response.text, context, response.provider, {
+          cached: response.cached,
+          structured: response.structured,
+          providerError: response.providerError,
+          templateId: response.templateId
+        });
+      } else {
+        console.log('LLM Response:', response);
+        await createResponseModal(selectedText, response, context, null);
       }
-    } catch (error) {
-      console.error('Error getting explanation:', error);
+    } else {
+      // No API key configured, directly use free dictionary API
+      console.log('No API key found, using free dictionary service');
       
-      // Show fallback status message
-      updateModalWithStatus(selectedText, 'Trying backup dictionary service...', 'info');
+      // Show loading message for dictionary lookup
+      await createResponseModal(selectedText, "Loading definition from dictionary...", null, 'FreeDictionary');
       
       try {
-        // Fallback to free dictionary API
-        console.log('LLM API failed, trying free dictionary fallback');
-        const fallbackResponse = await browser.runtime.sendMessage({
+        const dictionaryResponse = await browser.runtime.sendMessage({
           command: 'callFreeDictionaryAPI',
           text: selectedText
         });
 
-        console.log('Dictionary Response:', fallbackResponse);
+        console.log('Dictionary Response:', dictionaryResponse);
+
+        // Ensure previous modal is completely removed before creating new one
+        await new Promise(resolve => setTimeout(resolve, 150));
 
         // Update modal with dictionary response
-        await createResponseModal(selectedText, fallbackResponse, null, 'FreeDictionary');
+        await createResponseModal(selectedText, dictionaryResponse, null, 'FreeDictionary');
       } catch (dictError) {
-        console.error('Both LLM and dictionary APIs failed:', dictError);
-        const errorMessage = `Unable to get explanation for "${selectedText}". Both AI service and dictionary lookup failed. Please check your internet connection or try again later.`;
+        console.error('Dictionary API failed:', dictError);
+        const errorMessage = `Unable to get definition for "${selectedText}". This word was not found in the dictionary (it may be a proper noun, technical term, or very specialized word). For comprehensive explanations of all words, please configure an LLM API key in the extension settings.`;
         await createResponseModal(selectedText, errorMessage, null, 'FreeDictionary');
       }
+      return; // Exit early to prevent error handling
+    }
+  } catch (error) {
+    console.error('Error getting explanation:', error);
+    
+    // Show fallback status message
+    updateModalWithStatus(selectedText, 'Trying backup dictionary service...', 'info');
+    
+    try {
+      // Fallback to free dictionary API
+      console.log('LLM API failed, trying free dictionary fallback');
+      const fallbackResponse = await browser.runtime.sendMessage({
+        command: 'callFreeDictionaryAPI',
+        text: selectedText
+      });
+
+      console.log('Dictionary Response:', fallbackResponse);
+
+      // Update modal with dictionary response
+      await createResponseModal(selectedText, fallbackResponse, null, 'FreeDictionary');
+    } catch (dictError) {
+      console.error('Both LLM and dictionary APIs failed:', dictError);
+      const errorMessage = error.providerError ?
+        `Unable to get explanation for "${selectedText}". ${describeProviderError(error.providerError)} The dictionary lookup failed too.` :
+        `Unable to get explanation for "${selectedText}". Both AI service and dictionary lookup failed. Please check your internet connection or try again later.`;
+      await createResponseModal(selectedText, errorMessage, null, 'FreeDictionary');
+    }
+  }
+}
+
+// ===== INLINE POPOVER =====
+// Compact alternative to the full-screen modal for quick checks while reading:
+// meaning, respelling and pronunciation in a card anchored to the selection
+
+const POPOVER_WIDTH = 320;
+const POPOVER_MARGIN = 8;
+
+/**
+ * Where the popover goes: below the anchor, flipped above when it doesn't fit there,
+ * and always clamped inside the viewport - also once the anchor has scrolled away.
+ * @param {{top: number, bottom: number, left: number, width: number}} anchorRect - Viewport rect of the selection.
+ * @returns {{top: number, left: number}}
+ */
+function getPopoverPosition(anchorRect, popoverWidth, popoverHeight) {
+  const viewportWidth = document.documentElement.clientWidth;
+  const viewportHeight = document.documentElement.clientHeight;
+  const spaceBelow = viewportHeight - anchorRect.bottom;
+  const placeAbove = spaceBelow < popoverHeight + POPOVER_MARGIN && anchorRect.top > spaceBelow;
+
+  const top = placeAbove ?
+    anchorRect.top - popoverHeight - POPOVER_MARGIN :
+    anchorRect.bottom + POPOVER_MARGIN;
+  const left = anchorRect.left + anchorRect.width / 2 - popoverWidth / 2;
+
+  return {
+    top: Math.max(POPOVER_MARGIN, Math.min(top, viewportHeight - popoverHeight - POPOVER_MARGIN)),
+    left: Math.max(POPOVER_MARGIN, Math.min(left, viewportWidth - popoverWidth - POPOVER_MARGIN))
+  };
+}
+
+// Meaning and respelling for the popover, from a structured definition or the markdown sections
+function getPopoverSummary(text, structured) {
+  if (structured) {
+    return { meaning: structured.meaning, respelling: structured.respelling || '' };
+  }
+  const respellingMatch = (text || '').match(/\*\*(?:Respelling|Pronunciation)[^*]*:\*\*\s*\n?\s*([^\n]+)/i);
+  return {
+    meaning: extractSimpleMeaning(text || ''),
+    respelling: respellingMatch ? cleanMarkdownText(respellingMatch[1]).trim() : ''
+  };
+}
+
+// One definition for the popover: the AI provider when one is set up (the background
+// falls back to the dictionary itself), otherwise the dictionary. Resolves null when cancelled.
+async function fetchPopoverDefinition(selectedText, context, settings) {
+  if (await hasEnabledLLMAPI(settings)) {
+    return streamLLMExplanation(selectedText, context, settings);
+  }
+
+  const text = await browser.runtime.sendMessage({ command: 'callFreeDictionaryAPI', text: selectedText });
+  if (!text || typeof text !== 'string') {
+    throw new Error((text && text.error) || 'Dictionary lookup failed');
+  }
+  return { provider: 'FreeDictionary', text, structured: null };
+}
+
+function createPopoverButton(label, title, onClick) {
+  const button = createElement('button', {
+    title: title,
+    style: `
+      background: #f1f5f9;
+      border: 1px solid #e2e8f0;
+      border-radius: 6px;
+      color: #334155;
+      cursor: pointer;
+      font-size: 13px;
+      padding: 4px 10px;
+    `
+  }, label);
+  button.onclick = onClick;
+  return button;
+}
+
+async function showDefinitionPopover(selectedText, settings) {
+  if (window.smartdefinePopoverClose) {
+    window.smartdefinePopoverClose();
+  }
+
+  // Remember the selection now; the page may change it while the definition loads
+  const selection = window.getSelection();
+  const anchorRange = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+  const learningSettings = settings.learningSettings || {};
+  const context = learningSettings.contextAwareDefinitions ? extractContext(selectedText) : null;
+
+  const popover = createElement('div', {
+    id: 'smartdefine-popover',
+    style: `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: ${POPOVER_WIDTH}px;
+      max-width: calc(100vw - ${POPOVER_MARGIN * 2}px);
+      box-sizing: border-box;
+      background: white;
+      color: #333;
+      border: 1px solid #e2e8f0;
+      border-radius: 12px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+      padding: 12px 14px;
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      line-height: 1.5;
+      text-align: left;
+    `
+  });
+
+  const header = createElement('div', { style: 'display: flex; align-items: baseline; gap: 8px; margin-bottom: 6px;' });
+  const title = createElement('strong', { style: 'font-size: 16px; color: #1e293b;' }, selectedText);
+  const respelling = createElement('span', { style: 'color: #64748b; font-size: 13px; flex: 1;' });
+  const closeButton = createElement('button', {
+    title: 'Close',
+    style: 'background: none; border: none; color: #94a3b8; cursor: pointer; font-size: 16px; padding: 0; margin-left: auto;'
+  }, '✕');
+  header.appendChild(title);
+  header.appendChild(respelling);
+  header.appendChild(closeButton);
+
+  const body = createElement('div', { style: 'color: #334155;' }, 'Loading…');
+  const actions = createElement('div', { style: 'display: flex; gap: 6px; margin-top: 10px; flex-wrap: wrap;' });
+
+  popover.appendChild(header);
+  popover.appendChild(body);
+  popover.appendChild(actions);
+  mountUI(popover);
+
+  const reposition = () => {
+    const rect = anchorRange ? anchorRange.getBoundingClientRect() : null;
+    // Selections inside form fields have no usable rect, so fall back to the top centre
+    const anchorRect = rect && (rect.width || rect.height) ?
+      rect :
+      { top: 0, bottom: 0, left: document.documentElement.clientWidth / 2, width: 0 };
+    const { top, left } = getPopoverPosition(anchorRect, popover.offsetWidth, popover.offsetHeight);
+    popover.style.top = `${top}px`;
+    popover.style.left = `${left}px`;
+  };
+
+  let frame = null;
+  const scheduleReposition = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      reposition();
+    });
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') close();
+  };
+  const onPointerDown = (e) => {
+    // Clicks on the popover, or a dialog opened from it, come from the shadow host
+    if (!isUIEventTarget(e.target)) close();
+  };
+
+  const close = () => {
+    window.removeEventListener('scroll', scheduleReposition, true);
+    window.removeEventListener('resize', scheduleReposition);
+    document.removeEventListener('keydown', onKeyDown);
+    document.removeEventListener('mousedown', onPointerDown, true);
+    if (frame !== null) cancelAnimationFrame(frame);
+    popover.remove();
+    if (window.smartdefinePopoverClose === close) {
+      window.smartdefinePopoverClose = null;
+    }
+    // Closing the popover stops any request still generating for it
+    if (window.smartdefineActiveStream) {
+      window.smartdefineActiveStream.abort();
+    }
+  };
+  window.smartdefinePopoverClose = close;
+  closeButton.onclick = close;
+
+  // Capture phase so scrolling inside any scrollable element moves the popover too
+  window.addEventListener('scroll', scheduleReposition, true);
+  window.addEventListener('resize', scheduleReposition);
+  document.addEventListener('keydown', onKeyDown);
+  document.addEventListener('mousedown', onPointerDown, true);
+  reposition();
+
+  let result;
+  try {
+    result = await fetchPopoverDefinition(selectedText, context, settings);
+  } catch (error) {
+    console.error('Error getting popover definition:', error);
+    if (!popover.isConnected) return;
+    body.textContent = error.providerError ?
+      `Unable to get a definition. ${describeProviderError(error.providerError)}` :
+      `Unable to get a definition. ${error.message}`;
+    reposition();
+    return;
+  }
+  if (result === null || !popover.isConnected) return; // Cancelled or closed
+
+  const summary = getPopoverSummary(result.text, result.structured);
+  body.textContent = summary.meaning || 'Definition not available';
+  respelling.textContent = summary.respelling;
+
+  if ('speechSynthesis' in window) {
+    actions.appendChild(createPopoverButton('🔊', 'Play Pronunciation', () => playPronunciation(selectedText, result.text)));
+  }
+  actions.appendChild(createPopoverButton('⤢ Full view', 'Show the full explanation', () => {
+    close();
+    createResponseModal(selectedText, result.text, context, result.provider, {
+      cached: result.cached,
+      structured: result.structured,
+      providerError: result.providerError,
+      templateId: result.templateId
+    });
+  }));
+  if (learningSettings.saveToWordList !== false && learningSettings.showSaveButton !== false) {
+    actions.appendChild(createPopoverButton('🔖 Save', 'Save to Word List', () => {
+      close();
+      showSaveToListModal(selectedText, result.text, context, result.provider, result.structured || null);
+    }));
+  }
+  reposition();
+}
+
+// ===== PAGE LOOKUP TRIGGERS =====
+// Optional double-click and modifier+click lookups. The context menu and the keyboard
+// shortcut arrive from the background as explainSelectedText instead.
+
+// Used until the settings page has saved lookupTriggers
+const DEFAULT_LOOKUP_TRIGGERS = {
+  doubleClick: false,
+  modifierClick: false,
+  modifierKey: 'alt',
+  disabledSites: []
+};
+
+const LOOKUP_MODIFIER_KEYS = { alt: 'altKey', ctrl: 'ctrlKey', shift: 'shiftKey', meta: 'metaKey' };
+
+// Kept in memory so a modifier+click can be claimed before the browser follows a link
+let lookupTriggers = { ...DEFAULT_LOOKUP_TRIGGERS };
+
+browser.storage.local.get(['lookupTriggers']).then(storage => {
+  lookupTriggers = { ...DEFAULT_LOOKUP_TRIGGERS, ...(storage.lookupTriggers || {}) };
+});
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.lookupTriggers) {
+    lookupTriggers = { ...DEFAULT_LOOKUP_TRIGGERS, ...(changes.lookupTriggers.newValue || {}) };
+  }
+});
+
+function isLookupTriggerEnabled(trigger) {
+  return !!lookupTriggers[trigger] && !lookupTriggers.disabledSites.includes(location.hostname);
+}
+
+// Form fields, editable text and SmartDefine's own modals keep their normal click behaviour
+function isIgnoredLookupTarget(target) {
+  if (!target || !target.closest) return true;
+  return !!target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"], [id^="smartdefine-"]');
+}
+
+// Select the word under the pointer, so extractContext finds it like a normal selection
+function selectWordAtPoint(x, y) {
+  let node = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    if (position) {
+      node = position.offsetNode;
+      offset = position.offset;
+    }
+  } else if (document.caretRangeFromPoint) {
+    const caret = document.caretRangeFromPoint(x, y);
+    if (caret) {
+      node = caret.startContainer;
+      offset = caret.startOffset;
+    }
+  }
+  if (!node || node.nodeType !== Node.TEXT_NODE) return '';
+
+  const text = node.textContent;
+  let start = offset;
+  let end = offset;
+  while (start > 0 && /[A-Za-z'’-]/.test(text[start - 1])) start--;
+  while (end < text.length && /[A-Za-z'’-]/.test(text[end])) end++;
+  if (start === end) return '';
+
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  return text.slice(start, end);
+}
+
+document.addEventListener('dblclick', (event) => {
+  if (!isLookupTriggerEnabled('doubleClick') || isIgnoredLookupTarget(event.target)) return;
+
+  const selectedText = window.getSelection().toString().trim();
+  if (selectedText) {
+    defineSelection(selectedText);
+  }
+});
+
+// Modifier+click defines the current selection, or the word under the pointer when nothing is selected
+document.addEventListener('click', (event) => {
+  const modifier = LOOKUP_MODIFIER_KEYS[lookupTriggers.modifierKey] || LOOKUP_MODIFIER_KEYS.alt;
+  if (!event[modifier] || !isLookupTriggerEnabled('modifierClick') || isIgnoredLookupTarget(event.target)) return;
+
+  const selectedText = window.getSelection().toString().trim() || selectWordAtPoint(event.clientX, event.clientY);
+  if (!selectedText) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  defineSelection(selectedText);
+}, true);
+
+// ===== SAVED WORD HIGHLIGHTS =====
+// Optional underlines on words the user has already saved, with a hover card showing the saved
+// meaning and next review. Text is scanned in small chunks while the page is idle, and content
+// added later is picked up by a MutationObserver.
+
+// Used until the settings page has saved vocabularyHighlights
+const DEFAULT_VOCABULARY_HIGHLIGHTS = {
+  enabled: false,
+  disabledSites: []
+};
+
+// Text nodes handled per idle callback at most
+const HIGHLIGHT_CHUNK_SIZE = 200;
+const HIGHLIGHT_HOVER_DELAY = 300;
+const HIGHLIGHT_SKIPPED_SELECTOR = 'script, style, noscript, textarea, input, select, option, code, pre, svg, ' +
+  'smartdefine-mark, [contenteditable=""], [contenteditable="true"]';
+// Only words with an inflectional ending are worth running through getWordFormInfo
+const HIGHLIGHT_INFLECTION_PATTERN = /(?:s|ed|ing|er|est|ly)$/;
+
+let vocabularyHighlights = { ...DEFAULT_VOCABULARY_HIGHLIGHTS };
+// Lowercased saved word or base form -> { id, word, baseForm, nextReview, suspended }
+let highlightVocabulary = new Map();
+let highlightPrefixes = new Set();
+// Page word -> vocabulary key or null, so each distinct word is analysed once
+const highlightMatches = new Map();
+// Each mark's vocabulary key; the entry is looked up on hover so it's never stale
+const highlightMarkKeys = new WeakMap();
+
+const highlightRoots = new Set();
+let highlightWalker = null;
+let highlightScanHandle = null;
+let highlightObserver = null;
+
+function isHighlightingEnabled() {
+  return !!vocabularyHighlights.enabled && !vocabularyHighlights.disabledSites.includes(location.hostname);
+}
+
+// The record to show for each base form: the one due soonest, suspended ones last
+function buildHighlightVocabulary(words) {
+  const vocabulary = new Map();
+  const add = (key, entry) => {
+    const current = vocabulary.get(key);
+    if (!current || (current.suspended && !entry.suspended) ||
+      (current.suspended === entry.suspended && entry.nextReview < current.nextReview)) {
+      vocabulary.set(key, entry);
+    }
+  };
+  words.forEach(entry => {
+    const base = (entry.baseForm || entry.word || '').toLowerCase();
+    if (!base || /\s/.test(base)) return;
+    add(base, entry);
+    const saved = (entry.word || '').toLowerCase();
+    if (saved && saved !== base && !/\s/.test(saved)) add(saved, entry);
+  });
+  return vocabulary;
+}
+
+// Resolves true when the set of saved words changed since the last load
+async function loadHighlightVocabulary() {
+  const response = await browser.runtime.sendMessage({ command: 'getHighlightWords' });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from background');
+  }
+
+  const vocabulary = buildHighlightVocabulary(response.words || []);
+  const changed = vocabulary.size !== highlightVocabulary.size ||
+    Array.from(vocabulary.keys()).some(key => !highlightVocabulary.has(key));
+  highlightVocabulary = vocabulary;
+  highlightPrefixes = new Set(Array.from(vocabulary.keys()).map(key => key.slice(0, 2)));
+  if (changed) highlightMatches.clear();
+  return changed;
+}
+
+// Vocabulary key for a word on the page: the word itself, or the base form getWordFormInfo finds
+function findHighlightKey(token) {
+  const lower = token.toLowerCase();
+  if (highlightMatches.has(lower)) return highlightMatches.get(lower);
+
+  let key = highlightVocabulary.has(lower) ? lower : null;
+  const irregular = verbForms.has(lower) || nounForms.has(lower) || adjectiveForms.has(lower);
+  if (!key && (irregular || (HIGHLIGHT_INFLECTION_PATTERN.test(lower) && highlightPrefixes.has(lower.slice(0, 2))))) {
+    const formInfo = getWordFormInfo(lower);
+    const base = formInfo && formInfo.base ? formInfo.base.toLowerCase() : null;
+    key = base && highlightVocabulary.has(base) ? base : null;
+  }
+  highlightMatches.set(lower, key);
+  return key;
+}
+
+function acceptHighlightTextNode(node) {
+  const parent = node.parentElement;
+  if (!parent || !/\p{L}{2}/u.test(node.data)) return NodeFilter.FILTER_REJECT;
+  if (parent.isContentEditable || parent.closest(HIGHLIGHT_SKIPPED_SELECTOR)) return NodeFilter.FILTER_REJECT;
+  if (parent.checkVisibility && !parent.checkVisibility()) return NodeFilter.FILTER_REJECT;
+  return NodeFilter.FILTER_ACCEPT;
+}
+
+function createHighlightMark(key) {
+  const mark = document.createElement('smartdefine-mark');
+  mark.style.cssText = `
+    all: unset;
+    text-decoration: underline dotted rgba(76, 175, 80, 0.8);
+    text-decoration-thickness: 2px;
+    text-underline-offset: 3px;
+    cursor: help;
+  `;
+  highlightMarkKeys.set(mark, key);
+  return mark;
+}
+
+// Wrap saved words in a text node. Splitting from the end keeps `node` itself in place for the walker.
+function highlightTextNode(node) {
+  const matches = [];
+  const pattern = /\p{L}+/gu;
+  let match;
+  while ((match = pattern.exec(node.data))) {
+    if (match[0].length < 2) continue;
+    const key = findHighlightKey(match[0]);
+    if (key) matches.push({ start: match.index, end: match.index + match[0].length, key });
+  }
+
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const { start, end, key } = matches[i];
+    node.splitText(end);
+    const wordNode = node.splitText(start);
+    const mark = createHighlightMark(key);
+    wordNode.replaceWith(mark);
+    mark.appendChild(wordNode);
+  }
+}
+
+function scheduleHighlightScan() {
+  if (highlightScanHandle !== null || highlightRoots.size === 0) return;
+  highlightScanHandle = requestIdleCallback(runHighlightScan, { timeout: 2000 });
+}
+
+// Walk the queued roots a chunk at a time, yielding whenever the idle period runs out
+function runHighlightScan(deadline) {
+  highlightScanHandle = null;
+  const nodes = [];
+
+  while (nodes.length < HIGHLIGHT_CHUNK_SIZE && (deadline.timeRemaining() > 1 || deadline.didTimeout)) {
+    if (!highlightWalker) {
+      const root = highlightRoots.values().next().value;
+      if (!root) break;
+      highlightRoots.delete(root);
+      if (!root.isConnected) continue;
+      highlightWalker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, { acceptNode: acceptHighlightTextNode });
+    }
+    const node = highlightWalker.nextNode();
+    if (node) {
+      nodes.push(node);
+    } else {
+      highlightWalker = null;
+    }
+  }
+
+  if (nodes.length > 0) {
+    // Queue what the page changed first, then drop the records for our own marks
+    if (highlightObserver) queueHighlightMutations(highlightObserver.takeRecords());
+    nodes.forEach(node => {
+      if (node.isConnected) highlightTextNode(node);
+    });
+    if (highlightObserver) highlightObserver.takeRecords();
+  }
+
+  if (highlightWalker || highlightRoots.size > 0) scheduleHighlightScan();
+}
+
+function queueHighlightMutations(records) {
+  records.forEach(record => {
+    record.addedNodes.forEach(node => {
+      const root = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+      if (root && root.nodeType === Node.ELEMENT_NODE && root.id !== 'smartdefine-root') {
+        highlightRoots.add(root);
+      }
+    });
+  });
+  scheduleHighlightScan();
+}
+
+function startHighlighting() {
+  if (!highlightObserver) {
+    highlightObserver = new MutationObserver(queueHighlightMutations);
+    highlightObserver.observe(document.body, { childList: true, subtree: true });
+  }
+  highlightRoots.add(document.body);
+  scheduleHighlightScan();
+}
+
+function removeHighlightMarks() {
+  document.querySelectorAll('smartdefine-mark').forEach(mark => mark.replaceWith(...mark.childNodes));
+  if (highlightObserver) highlightObserver.takeRecords();
+}
+
+function stopHighlighting() {
+  if (highlightObserver) {
+    highlightObserver.disconnect();
+    highlightObserver = null;
+  }
+  if (highlightScanHandle !== null) {
+    cancelIdleCallback(highlightScanHandle);
+    highlightScanHandle = null;
+  }
+  highlightRoots.clear();
+  highlightWalker = null;
+  hideHighlightCard();
+  removeHighlightMarks();
+}
+
+// Start, stop or rescan to match the settings and the saved words
+async function refreshVocabularyHighlights() {
+  if (!document.body || !isHighlightingEnabled()) {
+    stopHighlighting();
+    return;
+  }
+
+  try {
+    const changed = await loadHighlightVocabulary();
+    if (!isHighlightingEnabled()) return;
+    if (changed && highlightObserver) {
+      // Marks for deleted words go, and new words are found on the whole page again
+      stopHighlighting();
     }
+    if (!highlightObserver) startHighlighting();
+  } catch (error) {
+    console.error('SmartDefine: loading saved words for highlighting failed:', error);
+  }
+}
+
+browser.storage.local.get(['vocabularyHighlights']).then(storage => {
+  vocabularyHighlights = { ...DEFAULT_VOCABULARY_HIGHLIGHTS, ...(storage.vocabularyHighlights || {}) };
+  refreshVocabularyHighlights();
+});
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.vocabularyHighlights) {
+    vocabularyHighlights = { ...DEFAULT_VOCABULARY_HIGHLIGHTS, ...(changes.vocabularyHighlights.newValue || {}) };
+    refreshVocabularyHighlights();
+  }
+});
+
+// Words saved or deleted in another tab show up when this one is looked at again
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && isHighlightingEnabled()) {
+    refreshVocabularyHighlights();
+  }
+});
+
+// --- Hover card ---
+
+let highlightHoverTimer = null;
+let highlightHideTimer = null;
+
+function describeNextReview(entry) {
+  if (entry.suspended) return 'Suspended from reviews';
+  if (!entry.nextReview) return 'Not scheduled yet';
+  const next = new Date(entry.nextReview);
+  return next <= new Date() ? 'Due for review now' : `Next review: ${next.toLocaleDateString()}`;
+}
+
+async function showHighlightCard(mark) {
+  const entry = highlightVocabulary.get(highlightMarkKeys.get(mark));
+  if (!entry || !mark.isConnected) return;
+  hideHighlightCard();
+
+  const card = createElement('div', {
+    id: 'smartdefine-highlight-card',
+    style: `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: ${POPOVER_WIDTH}px;
+      max-width: calc(100vw - ${POPOVER_MARGIN * 2}px);
+      box-sizing: border-box;
+      background: white;
+      color: #333;
+      border: 1px solid #e2e8f0;
+      border-radius: 12px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+      padding: 12px 14px;
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      line-height: 1.5;
+      text-align: left;
+      animation: fadeIn 0.15s ease-out;
+    `
+  });
+  const header = createElement('div', { style: 'display: flex; align-items: baseline; gap: 8px; margin-bottom: 6px;' });
+  const respelling = createElement('span', { style: 'color: #64748b; font-size: 13px;' });
+  header.appendChild(createElement('strong', { style: 'font-size: 16px; color: #1e293b;' }, entry.word));
+  header.appendChild(respelling);
+  const meaning = createElement('div', { style: 'color: #334155;' }, 'Loading…');
+  const review = createElement('div', { style: 'color: #4CAF50; font-size: 12px; font-weight: 600; margin-top: 8px;' },
+    `🔖 ${describeNextReview(entry)}`);
+  card.appendChild(header);
+  card.appendChild(meaning);
+  card.appendChild(review);
+
+  card.addEventListener('mouseenter', () => clearTimeout(highlightHideTimer));
+  card.addEventListener('mouseleave', scheduleHideHighlightCard);
+  mountUI(card);
+
+  const position = () => {
+    const { top, left } = getPopoverPosition(mark.getBoundingClientRect(), card.offsetWidth, card.offsetHeight);
+    card.style.top = `${top}px`;
+    card.style.left = `${left}px`;
+  };
+  position();
+
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getWord', id: entry.id });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    if (!card.isConnected) return;
+    if (!response.word) {
+      meaning.textContent = 'This word is no longer in your word list';
+      return;
+    }
+    const summary = getPopoverSummary(response.word.explanation, response.word.structured);
+    meaning.textContent = summary.meaning || 'No meaning saved';
+    respelling.textContent = summary.respelling;
+  } catch (error) {
+    console.error('SmartDefine: loading saved word failed:', error);
+    if (card.isConnected) meaning.textContent = 'Saved meaning unavailable';
+  }
+  if (card.isConnected) position();
+}
+
+function hideHighlightCard() {
+  clearTimeout(highlightHideTimer);
+  const card = findUIElement('#smartdefine-highlight-card');
+  if (card) card.remove();
+}
+
+// A short delay lets the pointer move from the word onto the card
+function scheduleHideHighlightCard() {
+  clearTimeout(highlightHideTimer);
+  highlightHideTimer = setTimeout(hideHighlightCard, 200);
+}
+
+document.addEventListener('mouseover', (event) => {
+  const mark = event.target.closest && event.target.closest('smartdefine-mark');
+  if (!mark) return;
+  clearTimeout(highlightHideTimer);
+  clearTimeout(highlightHoverTimer);
+  highlightHoverTimer = setTimeout(() => showHighlightCard(mark), HIGHLIGHT_HOVER_DELAY);
+});
+
+document.addEventListener('mouseout', (event) => {
+  const mark = event.target.closest && event.target.closest('smartdefine-mark');
+  if (!mark || mark.contains(event.relatedTarget)) return;
+  clearTimeout(highlightHoverTimer);
+  scheduleHideHighlightCard();
+});
+
+// Listen for messages from background script
+browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+  console.log('Content script received message:', message);
+  
+  if (message.command === "explainSelectedText") {
+    await defineSelection(message.text);
     
     // Send response back to background script
     sendResponse({ success: true });
@@ -3125,7 +4601,7 @@ browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
 // Export Modal Function
 function showExportModal(selectedText, response) {
   // Remove any existing export modal
-  const existingExportModal = document.getElementById('smartdefine-export-modal');
+  const existingExportModal = findUIElement('#smartdefine-export-modal');
   if (existingExportModal) {
     existingExportModal.remove();
   }
@@ -3277,7 +4753,7 @@ function showExportModal(selectedText, response) {
   exportContent.appendChild(exportOptions);
   exportContent.appendChild(cancelButton);
   exportModal.appendChild(exportContent);
-  document.body.appendChild(exportModal);
+  mountUI(exportModal);
 
   // Close on outside click
   exportModal.onclick = (e) => {
@@ -3340,7 +4816,7 @@ function exportToFlashcard(selectedText, response) {
 // Helper function to escape HTML characters
 function escapeHtml(text) {
   if (!text) return '';
-  return text
+  return String(text)
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -3683,7 +5159,7 @@ function showMessage(message, type = 'info') {
     box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
   `;
   messageDiv.textContent = message;
-  document.body.appendChild(messageDiv);
+  mountUI(messageDiv);
   
   setTimeout(() => {
     messageDiv.remove();
@@ -3744,12 +5220,12 @@ function showLoadingMessage(message) {
     animation: slideInRight 0.3s ease-out;
   `;
   loadingDiv.textContent = message;
-  document.body.appendChild(loadingDiv);
+  mountUI(loadingDiv);
 }
 
 // Hide loading message
 function hideLoadingMessage() {
-  const loadingDiv = document.getElementById('smartdefine-loading');
+  const loadingDiv = findUIElement('#smartdefine-loading');
   if (loadingDiv) {
     loadingDiv.remove();
   }
@@ -3774,7 +5250,7 @@ function showErrorMessage(message) {
     animation: slideInRight 0.3s ease-out;
   `;
   errorDiv.textContent = message;
-  document.body.appendChild(errorDiv);
+  mountUI(errorDiv);
   
   setTimeout(() => {
     errorDiv.remove();
@@ -3783,7 +5259,7 @@ function showErrorMessage(message) {
 
 // Update existing modal with status message (creates a nice in-modal status update)
 function updateModalWithStatus(selectedText, statusMessage, type = 'info') {
-  const existingModal = document.getElementById('smartdefine-modal');
+  const existingModal = findUIElement('#smartdefine-modal');
   if (!existingModal) {
     // If no modal exists, create one with the status
     createResponseModal(selectedText, generateStatusHTML(statusMessage, type));
@@ -3848,12 +5324,6 @@ function generateStatusHTML(message, type = 'info') {
         color: #666;
         opacity: 0.8;
       ">Please wait...</div>
-      
-      <style>
-        @keyframes spin { 
-          100% { transform: rotate(360deg); } 
-        }
-      </style>
     </div>
   `;
 }
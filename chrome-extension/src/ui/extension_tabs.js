@@ -6,6 +6,9 @@ let currentCategory = 'all';
 let wordLists = {};
 let filteredWords = [];
 
+// Pseudo-category listing the leeches of every category
+const LEECHES_FILTER = '__leeches__';
+
 // ========== INITIALIZATION ==========
 document.addEventListener('DOMContentLoaded', async () => {
   // Initialize tab switching
@@ -100,9 +103,11 @@ async function initializeWordList() {
   if (wordsList) {
     wordsList.addEventListener('click', handleWordAction);
   }
+  
+  initializeForecast();
 }
 
-// Load word lists from storage
+// Load word lists from the background word repository
 async function loadWordLists() {
   try {
     // Check if browser API is available
@@ -113,8 +118,11 @@ async function loadWordLists() {
       return;
     }
     
-    const storage = await browser.storage.local.get(['wordLists']);
-    wordLists = storage.wordLists || {};
+    const response = await browser.runtime.sendMessage({ command: 'getWordLists' });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'No response from background');
+    }
+    wordLists = response.wordLists || {};
     console.log('Loaded wordLists:', wordLists);
     filterWords();
   } catch (error) {
@@ -129,11 +137,13 @@ function filterWords() {
   const searchTerm = searchBox ? searchBox.value.toLowerCase() : '';
   filteredWords = [];
 
-  if (currentCategory === 'all') {
-    // Include all words from all categories
+  if (currentCategory === 'all' || currentCategory === LEECHES_FILTER) {
+    // Include all words (or all leeches) from all categories
+    const leechesOnly = currentCategory === LEECHES_FILTER;
     Object.keys(wordLists).forEach(category => {
       if (wordLists[category]) {
         wordLists[category].forEach(word => {
+          if (leechesOnly && !word.leech) return;
           if (word.word.toLowerCase().includes(searchTerm)) {
             filteredWords.push({ ...word, category });
           }
@@ -228,6 +238,136 @@ function updateStatsLocal() {
   });
 }
 
+// ========== REVIEW FORECAST ==========
+
+// Limits and daily goal of the what-if simulation, or null to forecast with the saved settings
+let forecastOverrides = null;
+
+function initializeForecast() {
+  const panel = document.getElementById('forecastPanel');
+  if (!panel) return;
+  
+  // Computed on first open; the simulation walks every word
+  panel.addEventListener('toggle', () => {
+    if (panel.open) loadReviewForecast();
+  });
+  document.getElementById('forecastDays')?.addEventListener('change', loadReviewForecast);
+  document.getElementById('simulateForecastBtn')?.addEventListener('click', () => {
+    forecastOverrides = {
+      newCardsPerDay: parseLimit(document.getElementById('simulateNewCards')?.value, 20),
+      reviewsPerDay: parseLimit(document.getElementById('simulateReviews')?.value, 200),
+      dailyGoal: parseLimit(document.getElementById('simulateDailyGoal')?.value, 10)
+    };
+    loadReviewForecast();
+  });
+  document.getElementById('resetForecastBtn')?.addEventListener('click', () => {
+    forecastOverrides = null;
+    loadReviewForecast();
+  });
+}
+
+async function requestReviewForecast(options) {
+  const response = await browser.runtime.sendMessage({ command: 'getReviewForecast', options });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from background');
+  }
+  return response;
+}
+
+async function loadReviewForecast() {
+  const panel = document.getElementById('forecastPanel');
+  const summary = document.getElementById('forecastSummary');
+  if (!panel || !panel.open) return;
+  
+  const days = parseInt(document.getElementById('forecastDays')?.value) || 30;
+  try {
+    const current = await requestReviewForecast({ days });
+    const simulated = forecastOverrides ? await requestReviewForecast({ days, ...forecastOverrides }) : null;
+    
+    // The simulator starts from the saved limits and goal
+    const limits = (simulated || current).limits;
+    document.getElementById('simulateNewCards').value = limits.newCardsPerDay;
+    document.getElementById('simulateReviews').value = limits.reviewsPerDay;
+    document.getElementById('simulateDailyGoal').value = limits.dailyGoal;
+    
+    renderForecastChart((simulated || current).forecast, limits.dailyGoal);
+    summary.textContent = '';
+    if (simulated) {
+      summary.appendChild(createForecastSummaryLine('What if', simulated.forecast, simulated.limits));
+    }
+    summary.appendChild(createForecastSummaryLine(simulated ? 'Your settings' : 'Forecast', current.forecast, current.limits));
+  } catch (error) {
+    console.error('Error loading review forecast:', error);
+    summary.textContent = `Could not compute the forecast: ${error.message}`;
+  }
+}
+
+// dailyGoal is drawn as a dashed line across the bars
+function renderForecastChart(forecast, dailyGoal) {
+  const chart = document.getElementById('forecastChart');
+  const axis = document.getElementById('forecastAxis');
+  if (!chart || !axis) return;
+  
+  const busiest = Math.max(1, ...forecast.map(day => day.reviews + day.newCards));
+  const scale = Math.max(busiest, dailyGoal);
+  chart.textContent = '';
+  forecast.forEach(day => {
+    const bar = document.createElement('div');
+    bar.className = 'forecast-bar';
+    const date = new Date(day.date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    bar.title = `${date}: ${day.reviews} reviews, ${day.newCards} new` +
+      (day.backlog > 0 ? ` (${day.backlog} left for later)` : '');
+    
+    [[day.reviews, 'var(--primary-color)'], [day.newCards, '#2196F3']].forEach(([count, color]) => {
+      if (count === 0) return;
+      const segment = document.createElement('div');
+      segment.style.cssText = `height: ${(count / scale) * 124}px; background: ${color}; border-radius: 2px;`;
+      bar.appendChild(segment);
+    });
+    chart.appendChild(bar);
+  });
+  
+  if (dailyGoal > 0) {
+    const goalLine = document.createElement('div');
+    goalLine.className = 'forecast-goal';
+    goalLine.style.bottom = `${8 + (dailyGoal / scale) * 124}px`;
+    chart.appendChild(goalLine);
+  }
+  
+  axis.textContent = '';
+  [
+    new Date(forecast[0].date).toLocaleDateString(),
+    `🟩 reviews  🟦 new words  ┄ daily goal ${dailyGoal} · busiest day ${busiest}`,
+    new Date(forecast[forecast.length - 1].date).toLocaleDateString()
+  ].forEach(text => {
+    const label = document.createElement('span');
+    label.textContent = text;
+    axis.appendChild(label);
+  });
+}
+
+function createForecastSummaryLine(label, forecast, limits) {
+  const reviews = forecast.reduce((sum, day) => sum + day.reviews, 0);
+  const newCards = forecast.reduce((sum, day) => sum + day.newCards, 0);
+  const busiest = forecast.reduce((top, day) =>
+    day.reviews + day.newCards > top.reviews + top.newCards ? day : top, forecast[0]);
+  const backlog = forecast[forecast.length - 1].backlog;
+  const overGoal = forecast.filter(day => day.reviews + day.newCards > limits.dailyGoal).length;
+  
+  const line = document.createElement('div');
+  const strong = document.createElement('strong');
+  strong.textContent = `${label} (${limits.newCardsPerDay} new / ${limits.reviewsPerDay} reviews a day, goal ${limits.dailyGoal}): `;
+  line.appendChild(strong);
+  line.appendChild(document.createTextNode(
+    `${reviews} reviews and ${newCards} new words in ${forecast.length} days, ` +
+    `about ${Math.round((reviews + newCards) / forecast.length)} a day. ` +
+    `Busiest day: ${busiest.reviews + busiest.newCards} on ${new Date(busiest.date).toLocaleDateString()}. ` +
+    `Above your daily goal on ${overGoal} of ${forecast.length} days.` +
+    (backlog > 0 ? ` ${backlog} words still waiting at the end.` : '')
+  ));
+  return line;
+}
+
 // Render category tabs
 function renderCategoryTabs() {
   const categoryTabs = document.getElementById('categoryTabs');
@@ -237,10 +377,12 @@ function renderCategoryTabs() {
   
   // Count words in each category
   const categoryCounts = { all: 0 };
+  let leechCount = 0;
   Object.keys(wordLists).forEach(category => {
     const count = wordLists[category] ? wordLists[category].length : 0;
     categoryCounts[category] = count;
     categoryCounts.all += count;
+    leechCount += (wordLists[category] || []).filter(word => word.leech).length;
   });
   
   // Create "All Words" tab
@@ -251,6 +393,16 @@ function renderCategoryTabs() {
   allTab.addEventListener('click', () => switchCategory('all'));
   categoryTabs.appendChild(allTab);
   
+  // "Leeches" tab, shown once some word has become one
+  if (leechCount > 0 || currentCategory === LEECHES_FILTER) {
+    const leechTab = document.createElement('div');
+    leechTab.className = `category-tab ${currentCategory === LEECHES_FILTER ? 'active' : ''}`;
+    leechTab.setAttribute('data-category', LEECHES_FILTER);
+    leechTab.textContent = `🩹 Leeches (${leechCount})`;
+    leechTab.addEventListener('click', () => switchCategory(LEECHES_FILTER));
+    categoryTabs.appendChild(leechTab);
+  }
+  
   // Create category tabs
   Object.keys(wordLists).forEach(category => {
     const tab = document.createElement('div');
@@ -284,9 +436,13 @@ function renderWordList() {
     emptyState.style.cssText = 'text-align: center; padding: 40px; color: #999;';
     
     const emptyText = document.createElement('p');
-    emptyText.textContent = currentCategory === 'all' ? 
-      'No words found. Start by selecting and explaining words on any webpage!' : 
-      'Try a different category or search term.';
+    if (currentCategory === LEECHES_FILTER) {
+      emptyText.textContent = 'No leeches. Words you keep forgetting will show up here.';
+    } else {
+      emptyText.textContent = currentCategory === 'all' ? 
+        'No words found. Start by selecting and explaining words on any webpage!' : 
+        'Try a different category or search term.';
+    }
     
     emptyState.appendChild(emptyText);
     wordsList.appendChild(emptyState);
@@ -369,22 +525,7 @@ function createWordCard(word) {
   // Create explanation section
   const wordExplanation = document.createElement('div');
   wordExplanation.className = 'word-explanation';
-  
-  // Handle **bold** text by converting to DOM elements safely
-  const parts = explanation.split(/\*\*(.*?)\*\*/g);
-  for (let i = 0; i < parts.length; i++) {
-    if (i % 2 === 0) {
-      // Regular text
-      if (parts[i]) {
-        wordExplanation.appendChild(document.createTextNode(parts[i]));
-      }
-    } else {
-      // Bold text
-      const strong = document.createElement('strong');
-      strong.textContent = parts[i];
-      wordExplanation.appendChild(strong);
-    }
-  }
+  appendBoldText(wordExplanation, explanation);
   
   // Create meta section
   const wordMeta = document.createElement('div');
@@ -427,14 +568,94 @@ function createWordCard(word) {
   wordMeta.appendChild(difficultySpan);
   wordMeta.appendChild(providerSpan);
   
+  if (word.isPhrase) {
+    const phraseSpan = document.createElement('span');
+    phraseSpan.textContent = `🧩 ${word.wordType}`;
+    phraseSpan.style.color = '#7b1fa2';
+    wordMeta.appendChild(phraseSpan);
+  }
+  if (word.leech) {
+    const leechSpan = document.createElement('span');
+    leechSpan.textContent = `🩹 Leech (${word.lapses || word.leech.lapses} lapses)`;
+    leechSpan.style.color = '#f44336';
+    wordMeta.appendChild(leechSpan);
+  }
+  if (word.suspended) {
+    const suspendedSpan = document.createElement('span');
+    suspendedSpan.textContent = '⏸️ Suspended';
+    wordMeta.appendChild(suspendedSpan);
+  }
+  
   // Assemble card
   card.appendChild(wordHeader);
   card.appendChild(wordExplanation);
+  
+  if (word.memoryAid) {
+    const memoryAid = document.createElement('div');
+    memoryAid.style.cssText = 'margin: 10px 0; padding: 10px 12px; background: #fff8e1; border-left: 3px solid #FF9800; border-radius: 6px; white-space: pre-line; font-size: 0.9em;';
+    appendBoldText(memoryAid, word.memoryAid.text);
+    card.appendChild(memoryAid);
+  }
+  if (word.note) {
+    const note = document.createElement('div');
+    note.style.cssText = 'margin: 10px 0; padding: 10px 12px; background: #f5f5f5; border-radius: 6px; white-space: pre-line; font-size: 0.9em;';
+    note.textContent = `📝 ${word.note}`;
+    card.appendChild(note);
+  }
+  
   card.appendChild(wordMeta);
   
+  // Remediation for leeches (and a way back for suspended words)
+  if (word.id && (word.leech || word.suspended)) {
+    card.appendChild(createLeechActions(word));
+  }
+  
   return card;
 }
 
+// Append text to an element, turning **bold** markers into <strong> without using innerHTML
+function appendBoldText(element, text) {
+  const parts = text.split(/\*\*(.*?)\*\*/g);
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      // Regular text
+      if (parts[i]) {
+        element.appendChild(document.createTextNode(parts[i]));
+      }
+    } else {
+      // Bold text
+      const strong = document.createElement('strong');
+      strong.textContent = parts[i];
+      element.appendChild(strong);
+    }
+  }
+}
+
+function createLeechActions(word) {
+  const actions = document.createElement('div');
+  actions.className = 'word-actions';
+  actions.style.marginTop = '10px';
+  
+  const buttons = [
+    ['memory-aid', word.memoryAid ? '💡 New memory aid' : '💡 Memory aid'],
+    ['note', word.note ? '📝 Edit note' : '📝 Add note'],
+    ['reset', '↺ Reset progress'],
+    ['suspend', word.suspended ? '▶️ Unsuspend' : '⏸️ Suspend']
+  ];
+  buttons.forEach(([action, label]) => {
+    const button = document.createElement('button');
+    button.className = 'word-btn word-action-btn';
+    button.setAttribute('data-action', action);
+    button.setAttribute('data-word', word.word);
+    button.setAttribute('data-category', word.category);
+    button.setAttribute('data-id', word.id);
+    button.textContent = label;
+    actions.appendChild(button);
+  });
+  
+  return actions;
+}
+
 // Handle search
 function handleSearch() {
   filterWords();
@@ -465,8 +686,85 @@ function handleWordAction(event) {
       showFlashcard(word, category, wordId, provider);
       break;
     case 'delete':
-      deleteWord(word, category);
+      deleteWord(word, category, wordId, provider);
+      break;
+    case 'memory-aid':
+      generateWordMemoryAid(wordId, target);
       break;
+    case 'note':
+      editWordNote(category, wordId);
+      break;
+    case 'reset':
+      resetWordProgressFromList(word, wordId);
+      break;
+    case 'suspend':
+      toggleWordSuspended(category, wordId);
+      break;
+  }
+}
+
+// Send a word command to the background and resolve with the updated word
+async function sendWordCommand(message) {
+  const response = await browser.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from background');
+  }
+  return response.word;
+}
+
+async function generateWordMemoryAid(wordId, button) {
+  button.disabled = true;
+  button.textContent = '⏳ Generating...';
+  try {
+    await sendWordCommand({ command: 'generateMemoryAid', id: wordId });
+    refreshWordList();
+  } catch (error) {
+    console.error('Error generating memory aid:', error);
+    alert(`Could not generate a memory aid: ${error.message}`);
+    refreshWordList();
+  }
+}
+
+async function editWordNote(category, wordId) {
+  const wordData = wordLists[category]?.find(w => w.id === wordId);
+  if (!wordData) return;
+  
+  const note = prompt(`Note for "${wordData.word}":`, wordData.note || '');
+  if (note === null) return;
+  
+  try {
+    await sendWordCommand({ command: 'setWordNote', id: wordId, note });
+    refreshWordList();
+  } catch (error) {
+    console.error('Error saving note:', error);
+    alert(`Could not save the note: ${error.message}`);
+  }
+}
+
+async function resetWordProgressFromList(word, wordId) {
+  if (!confirm(`Reset "${word}" to a new word? Its review schedule, lapses and leech tag are cleared; notes and memory aids stay.`)) {
+    return;
+  }
+  
+  try {
+    await sendWordCommand({ command: 'resetWordProgress', id: wordId });
+    refreshWordList();
+  } catch (error) {
+    console.error('Error resetting word progress:', error);
+    alert(`Could not reset "${word}": ${error.message}`);
+  }
+}
+
+async function toggleWordSuspended(category, wordId) {
+  const wordData = wordLists[category]?.find(w => w.id === wordId);
+  if (!wordData) return;
+  
+  try {
+    await sendWordCommand({ command: 'setWordSuspended', id: wordId, suspended: !wordData.suspended });
+    refreshWordList();
+  } catch (error) {
+    console.error('Error changing suspension:', error);
+    alert(`Could not update "${wordData.word}": ${error.message}`);
   }
 }
 
@@ -474,6 +772,7 @@ function handleWordAction(event) {
 async function refreshWordList() {
   await loadWordLists();
   updateStats();
+  loadReviewForecast();
   renderCategoryTabs();
   renderWordList();
 }
@@ -771,6 +1070,63 @@ function formatWordExplanation(explanation) {
   return formattedHtml;
 }
 
+// Escape text from structured definitions before it goes into innerHTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+// Render a structured (JSON mode) definition with the same look as formatWordExplanation
+function formatStructuredExplanation(structured) {
+  const renderSection = (icon, title, body) => `
+    <div style="margin: 20px 0 15px 0;">
+      <h3 style="margin: 0 0 10px 0; color: #4CAF50; font-size: 18px; font-weight: 600; display: flex; align-items: center; gap: 8px;">
+        <span>${icon}</span>
+        <span>${title}</span>
+      </h3>
+      <div style="margin-left: 25px; padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 3px solid #4CAF50;">
+        ${body}
+      </div>
+    </div>
+  `;
+  const renderList = (items) =>
+    `<ul style="margin: 0; padding-left: 20px;">${items.map(item => `<li style="margin-bottom: 5px;">${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+  let html = '';
+  if (structured.meaning) html += renderSection('💡', 'Meaning:', escapeHtml(structured.meaning));
+  if (structured.respelling) html += renderSection('🔊', 'Respelling:', escapeHtml(structured.respelling));
+
+  const lists = [
+    ['🔄', 'Synonyms:', structured.synonyms],
+    ['↔️', 'Antonyms:', structured.antonyms],
+    ['📝', 'Examples:', structured.examples],
+    ['🔗', 'Collocations:', structured.collocations],
+    ['🧠', 'Ways to remember:', structured.mnemonics]
+  ];
+  lists.forEach(([icon, title, items]) => {
+    if (items && items.length > 0) html += renderSection(icon, title, renderList(items));
+  });
+
+  return html;
+}
+
+// Word details for display/export: structured fields when available, else the markdown explanation
+function formatWordDetails(wordData) {
+  if (wordData.structured) {
+    return formatStructuredExplanation(wordData.structured);
+  }
+  return formatWordExplanation(wordData.explanation);
+}
+
+// Meaning for flashcards and quizzes: structured field when available, else parsed from markdown
+function getWordMeaning(wordData) {
+  if (wordData.structured && wordData.structured.meaning) {
+    return escapeHtml(wordData.structured.meaning);
+  }
+  return extractMeaningFromExplanation(wordData.explanation);
+}
+
 // Extract meaningful definition from explanation for flashcards
 function extractMeaningFromExplanation(explanation) {
   if (!explanation) return 'No explanation available';
@@ -1174,7 +1530,7 @@ function generateFlashcardsExport(wordsData, filename) {
             </div>
             <div class="flashcard-back">
                 <div class="word-title">${word.word}</div>
-                <div class="word-content">${formatWordExplanation(word.explanation)}</div>
+                <div class="word-content">${formatWordDetails(word)}</div>
                 <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #ddd; font-size: 12px; color: #666;">
                     <strong>Category:</strong> ${word.category} | 
                     <strong>Added:</strong> ${new Date(word.dateAdded).toLocaleDateString()}
@@ -1309,7 +1665,7 @@ function generatePdfExport(wordsData, filename) {
     ${wordsData.map(word => `
         <div class="word-entry">
             <div class="word-title">${word.word}</div>
-            <div class="word-content">${formatWordExplanation(word.explanation)}</div>
+            <div class="word-content">${formatWordDetails(word)}</div>
             <div class="word-meta">
                 <strong>Category:</strong> ${word.category} | 
                 <strong>Added:</strong> ${new Date(word.dateAdded).toLocaleDateString()} | 
@@ -1339,13 +1695,17 @@ function generatePdfExport(wordsData, filename) {
 }
 
 // Show add category modal
-function showAddCategoryModal() {
+async function showAddCategoryModal() {
   const categoryName = prompt('Enter new category name:');
   if (categoryName && categoryName.trim()) {
     const trimmedName = categoryName.trim().toLowerCase();
     if (!wordLists[trimmedName]) {
+      const response = await browser.runtime.sendMessage({ command: 'createWordCategory', name: trimmedName });
+      if (!response || !response.success) {
+        alert(`Could not create category: ${(response && response.error) || 'no response from background'}`);
+        return;
+      }
       wordLists[trimmedName] = [];
-      browser.storage.local.set({ wordLists });
       renderCategoryTabs();
     } else {
       alert('Category already exists!');
@@ -1423,7 +1783,7 @@ function showFlashcard(word, category, wordId = null, provider = null) {
       flashcard.appendChild(pronounceContainer);
     } else {
       // Back side - show definition
-      const explanation = extractMeaningFromExplanation(wordData.explanation);
+      const explanation = wordData.structured?.meaning || extractMeaningFromExplanation(wordData.explanation);
       
       const title = document.createElement('h2');
       title.style.cssText = 'font-size: 24px; margin-bottom: 20px; text-shadow: 1px 1px 2px rgba(0,0,0,0.3);';
@@ -1563,8 +1923,17 @@ window.viewWord = async function(word, category, wordId = null, provider = null)
       !wordData.explanation.includes('Unable to get definition') &&
       !wordData.explanation.includes('This word was not found in the dictionary')) {
     try {
-      // Try to parse using the updated dictionary parsing logic
-      if (wordData.explanation.includes('**Word Type:**')) {
+      // Phrases are saved whole, with their phrase type as the word type
+      if (wordData.isPhrase) {
+        wordInfo = { type: wordData.wordType, form: 'phrase', forms: [] };
+      } else if (wordData.structured) {
+        wordInfo = {
+          type: wordData.structured.wordType,
+          form: wordData.structured.currentForm || 'base form',
+          forms: (wordData.structured.forms || []).map(f => ({ form: f.form, word: f.word, example: f.example }))
+        };
+      } else if (wordData.explanation.includes('**Word Type:**')) {
+        // Try to parse using the updated dictionary parsing logic
         // Import the parsing function from content script context
         wordInfo = await parseDictionaryWordFormResponseForView(wordData.explanation, wordData.word);
       }
@@ -1595,11 +1964,13 @@ window.viewWord = async function(word, category, wordId = null, provider = null)
       align-items: center;
       gap: 8px;
     `;
-    analysisTitle.innerHTML = '<span>📝</span><span>Word Analysis</span>';
+    analysisTitle.innerHTML = wordData.isPhrase ?
+      '<span>🧩</span><span>Phrase Analysis</span>' :
+      '<span>📝</span><span>Word Analysis</span>';
     
     const wordTypeDiv = document.createElement('div');
     wordTypeDiv.style.cssText = 'margin-bottom: 12px;';
-    wordTypeDiv.innerHTML = `<strong style="color: #4CAF50;">Word Type:</strong> <span style="color: #2c3e50;">${wordInfo.type}</span><br><strong style="color: #4CAF50;">Current Form:</strong> <span style="color: #2c3e50;">${wordInfo.form}</span>`;
+    wordTypeDiv.innerHTML = `<strong style="color: #4CAF50;">${wordData.isPhrase ? 'Phrase Type' : 'Word Type'}:</strong> <span style="color: #2c3e50;">${escapeHtml(wordInfo.type)}</span><br><strong style="color: #4CAF50;">Current Form:</strong> <span style="color: #2c3e50;">${escapeHtml(wordInfo.form)}</span>`;
     
     if (wordInfo.forms && wordInfo.forms.length > 0) {
       const formsDiv = document.createElement('div');
@@ -1615,7 +1986,7 @@ window.viewWord = async function(word, category, wordId = null, provider = null)
       wordInfo.forms.forEach(formData => {
         const formItem = document.createElement('div');
         formItem.style.cssText = 'margin-bottom: 4px; color: #2c3e50;';
-        formItem.innerHTML = `<strong>${formData.word}</strong> (${formData.form}) - <em style="color: #666;">${formData.example}</em>`;
+        formItem.innerHTML = `<strong>${escapeHtml(formData.word)}</strong> (${escapeHtml(formData.form)}) - <em style="color: #666;">${escapeHtml(formData.example)}</em>`;
         formsList.appendChild(formItem);
       });
       
@@ -1633,7 +2004,7 @@ window.viewWord = async function(word, category, wordId = null, provider = null)
   }
   
   // Format the main explanation content
-  const formattedExplanation = formatWordExplanation(wordData.explanation);
+  const formattedExplanation = formatWordDetails(wordData);
   const parser = new DOMParser();
   const parsedExplanation = parser.parseFromString(formattedExplanation, 'text/html');
   parsedExplanation.body.childNodes.forEach(node => {
@@ -1725,12 +2096,17 @@ window.exportWord = function(word, category, wordId = null, provider = null) {
   showExportDialog([wordData], `${wordData.word}-smartdefine`, true); // true = single word export
 };
 
-window.deleteWord = async function(word, category) {
+window.deleteWord = async function(word, category, wordId = null, provider = null) {
   if (confirm(`Are you sure you want to delete "${word}"?`)) {
-    const wordIndex = wordLists[category]?.findIndex(w => w.word === word);
-    if (wordIndex !== -1) {
-      wordLists[category].splice(wordIndex, 1);
-      await browser.storage.local.set({ wordLists });
+    const wordData = wordId
+      ? wordLists[category]?.find(w => w.id === wordId)
+      : wordLists[category]?.find(w => w.word === word);
+    if (wordData) {
+      const response = await browser.runtime.sendMessage({ command: 'deleteWord', id: wordData.id });
+      if (!response || !response.success) {
+        alert(`Could not delete "${word}": ${(response && response.error) || 'no response from background'}`);
+        return;
+      }
       refreshWordList();
     }
   }
@@ -1868,30 +2244,30 @@ async function startPractice(mode) {
   try {
     console.log(`Starting practice mode: ${mode}`);
     
-    // Ensure wordLists is loaded
+    // Ensure wordLists is loaded; quiz options are drawn from every saved word
     if (!wordLists || Object.keys(wordLists).length === 0) {
       await loadWordLists();
     }
     
-    // Get words for practice locally
-    const practiceWords = [];
-    Object.keys(wordLists).forEach(category => {
-      if (wordLists[category] && Array.isArray(wordLists[category])) {
-        wordLists[category].forEach(word => {
-          if (word && word.word && word.explanation) {
-            practiceWords.push({ ...word, category });
-          }
-        });
-      }
+    // Answers are recorded as reviews, so only due words within today's limits, in the queue order
+    const response = await browser.runtime.sendMessage({
+      command: 'getWordsForReview',
+      reviewType: 'all',
+      limit: 10
     });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
     
+    const practiceWords = response.words.filter(word => word.word && word.explanation);
     console.log(`Found ${practiceWords.length} words for practice`);
     
     if (practiceWords.length > 0) {
-      // Shuffle and limit to 10 words
-      const shuffledWords = practiceWords.sort(() => Math.random() - 0.5).slice(0, 10);
-      console.log(`Starting practice with ${shuffledWords.length} words`);
-      initializePracticeSession(shuffledWords, mode);
+      initializePracticeSession(practiceWords, mode);
+    } else if (response.paused) {
+      showPracticeError('Learning is paused, so no words are due. Resume learning in Settings → Learning to practice again.');
+    } else if (Object.values(wordLists).some(list => list.length > 0)) {
+      showPracticeError(`No words are due for ${mode} practice right now. Words come back for review as their schedule says, up to your daily limits for new words and reviews.`);
     } else {
       console.log('No words available for practice');
       showPracticeError(`No words available for ${mode} practice. Please save some words first by explaining words on web pages!`);
@@ -1902,6 +2278,45 @@ async function startPractice(mode) {
   }
 }
 
+// Flashcard grades; quiz and typing answers are graded by the background from correctness and time
+const PRACTICE_GRADES = [
+  { rating: 1, label: 'Again', color: '#f44336' },
+  { rating: 2, label: 'Hard', color: '#FF9800' },
+  { rating: 3, label: 'Good', color: '#4CAF50' },
+  { rating: 4, label: 'Easy', color: '#2196F3' }
+];
+
+// Keyboard handler of the running practice session (1-4 grade a revealed flashcard)
+let practiceKeyHandler = null;
+
+// Save a practice answer on the stored word and keep the in-memory list in step
+async function recordPracticeReview(word, review, mode, responseTime) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      command: 'recordReview',
+      wordId: word.id,
+      reviewResult: {
+        ...review,
+        responseTime,
+        mode
+      }
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'No response from background');
+    }
+
+    const list = wordLists[word.category] || [];
+    const index = list.findIndex(w => w.id === word.id);
+    if (index !== -1) {
+      list[index] = response.word;
+    }
+    return response.word;
+  } catch (error) {
+    console.error('Error recording practice review:', error);
+    return null;
+  }
+}
+
 // Generate practice content based on mode
 function generatePracticeContent(currentWord, mode, progress, currentIndex, totalWords, isRevealed) {
   const progressBar = `
@@ -1935,16 +2350,16 @@ function generatePracticeContent(currentWord, mode, progress, currentIndex, tota
             </button>
           ` : `
             <div style="margin-bottom: 30px; color: #333; line-height: 1.6;">
-              ${extractMeaningFromExplanation(currentWord.explanation)}
+              ${getWordMeaning(currentWord)}
             </div>
             
-            <div style="display: flex; gap: 15px; justify-content: center;">
-              <button id="markKnownBtn" style="padding: 12px 24px; border: none; border-radius: 8px; background: #4CAF50; color: white; cursor: pointer;">
-                ✓ I knew this
-              </button>
-              <button id="markUnknownBtn" style="padding: 12px 24px; border: none; border-radius: 8px; background: #f44336; color: white; cursor: pointer;">
-                ✗ I didn't know
-              </button>
+            <p style="color: #666; margin-bottom: 12px;">How well did you remember it?</p>
+            <div style="display: flex; gap: 12px; justify-content: center;">
+              ${PRACTICE_GRADES.map(grade => `
+                <button class="grade-btn" data-rating="${grade.rating}" style="padding: 10px 22px; border: none; border-radius: 8px; background: ${grade.color}; color: white; cursor: pointer; min-width: 90px;">
+                  ${grade.label}<br><small style="opacity: 0.85;">${grade.rating}</small>
+                </button>
+              `).join('')}
             </div>
           `}
         </div>
@@ -1954,8 +2369,8 @@ function generatePracticeContent(currentWord, mode, progress, currentIndex, tota
   }
   
   if (mode === 'quiz') {
-    const meaning = extractMeaningFromExplanation(currentWord.explanation);
-    const options = generateQuizOptions(currentWord, window.currentPracticeWords || []);
+    const meaning = getWordMeaning(currentWord);
+    const options = generateQuizOptions(currentWord, [].concat(...Object.values(wordLists)));
     
     return `
       <div style="text-align: center; padding: 30px;">
@@ -1982,7 +2397,7 @@ function generatePracticeContent(currentWord, mode, progress, currentIndex, tota
   }
   
   if (mode === 'typing') {
-    const meaning = extractMeaningFromExplanation(currentWord.explanation);
+    const meaning = getWordMeaning(currentWord);
     
     return `
       <div style="text-align: center; padding: 30px;">
@@ -2015,7 +2430,7 @@ function generatePracticeContent(currentWord, mode, progress, currentIndex, tota
 
 // Generate quiz options (3 wrong + 1 correct)
 function generateQuizOptions(correctWord, allWords) {
-  const correctMeaning = extractMeaningFromExplanation(correctWord.explanation);
+  const correctMeaning = getWordMeaning(correctWord);
   const options = [{ text: correctMeaning, correct: true }];
   
   // Get available wrong answers
@@ -2024,7 +2439,7 @@ function generateQuizOptions(correctWord, allWords) {
   const shuffled = otherWords.sort(() => Math.random() - 0.5).slice(0, availableWrong);
   
   shuffled.forEach(word => {
-    options.push({ text: extractMeaningFromExplanation(word.explanation), correct: false });
+    options.push({ text: getWordMeaning(word), correct: false });
   });
   
   // If we don't have enough words, add generic wrong options
@@ -2064,9 +2479,13 @@ function initializePracticeSession(words, mode) {
   let currentWordIndex = 0;
   let score = 0;
   let isRevealed = false;
+  let wordShownAt = Date.now();
   
   function showCurrentWord() {
     const currentWord = words[currentWordIndex];
+    if (!isRevealed) {
+      wordShownAt = Date.now();
+    }
     const progress = Math.round(((currentWordIndex + 1) / words.length) * 100);
     
     console.log(`Showing word ${currentWordIndex + 1}/${words.length}: ${currentWord.word} (mode: ${mode})`);
@@ -2110,20 +2529,12 @@ function initializePracticeSession(words, mode) {
         });
       }
       
-      // Mark Known/Unknown buttons
-      const markKnownBtn = document.getElementById('markKnownBtn');
-      if (markKnownBtn) {
-        markKnownBtn.addEventListener('click', () => {
-          markKnown(true);
-        });
-      }
-      
-      const markUnknownBtn = document.getElementById('markUnknownBtn');
-      if (markUnknownBtn) {
-        markUnknownBtn.addEventListener('click', () => {
-          markKnown(false);
+      // Again/Hard/Good/Easy buttons
+      practiceSession.querySelectorAll('.grade-btn').forEach(button => {
+        button.addEventListener('click', () => {
+          gradeFlashcard(parseInt(button.getAttribute('data-rating')));
         });
-      }
+      });
     }
     
     if (mode === 'quiz') {
@@ -2166,8 +2577,9 @@ function initializePracticeSession(words, mode) {
     showCurrentWord();
   };
   
-  window.markKnown = function(known) {
-    if (known) score++;
+  window.gradeFlashcard = function(rating) {
+    if (rating > 1) score++;
+    recordPracticeReview(words[currentWordIndex], { rating }, mode, Date.now() - wordShownAt);
     
     currentWordIndex++;
     isRevealed = false;
@@ -2184,6 +2596,7 @@ function initializePracticeSession(words, mode) {
     const options = document.querySelectorAll('.quiz-option');
     const selectedOption = options[selectedIndex];
     const isCorrect = selectedOption.getAttribute('data-correct') === 'true';
+    recordPracticeReview(words[currentWordIndex], { isCorrect }, mode, Date.now() - wordShownAt);
     
     // Disable all options
     options.forEach(option => {
@@ -2222,10 +2635,12 @@ function initializePracticeSession(words, mode) {
   window.checkTypingAnswer = function() {
     const input = document.getElementById('typingInput');
     const feedback = document.getElementById('typingFeedback');
+    if (input.disabled) return; // Already answered
     const userAnswer = input.value.trim().toLowerCase();
     const correctAnswer = words[currentWordIndex].word.toLowerCase();
     
     const isCorrect = userAnswer === correctAnswer;
+    recordPracticeReview(words[currentWordIndex], { isCorrect }, mode, Date.now() - wordShownAt);
     
     if (isCorrect) {
       feedback.textContent = '';
@@ -2308,6 +2723,20 @@ function initializePracticeSession(words, mode) {
     }
   }
   
+  // Number keys grade the revealed flashcard while this session is on screen
+  if (practiceKeyHandler) {
+    document.removeEventListener('keydown', practiceKeyHandler);
+  }
+  practiceKeyHandler = (event) => {
+    if (mode !== 'flashcard' || !isRevealed || practiceSession.offsetParent === null) return;
+    if (event.target.matches('input, textarea, select')) return;
+    if (event.key >= '1' && event.key <= '4' && currentWordIndex < words.length) {
+      event.preventDefault();
+      gradeFlashcard(parseInt(event.key));
+    }
+  };
+  document.addEventListener('keydown', practiceKeyHandler);
+  
   // Start the session
   showCurrentWord();
 }
@@ -2347,7 +2776,14 @@ function showPracticeError(message) {
 function initializeSettings() {
   initializeCollapsibleSections();
   initializeProviders();
+  initializeProviderDiagnostics();
   initializeToggles();
+  initializeCacheSettings();
+  initializeSchedulerSettings();
+  initializePauseSettings();
+  initializeLookupTriggers();
+  loadVocabularyHighlights();
+  initializePromptTemplates();
   setupSaveSettings();
 }
 
@@ -2374,109 +2810,1224 @@ function initializeCollapsibleSections() {
   });
 }
 
+// Provider adapter metadata from the background registry
+let providerAdapters = [];
+
+// Find adapter metadata for a configured provider (type wins over name)
+function findProviderAdapter(name, config = {}) {
+  return providerAdapters.find(adapter => adapter.id === config.type) ||
+         providerAdapters.find(adapter => !adapter.custom && adapter.id === name) ||
+         null;
+}
+
 // Initialize provider selection functionality
-function initializeProviders() {
-  const providerCards = document.querySelectorAll('.provider-card');
+async function initializeProviders() {
+  const providerSelector = document.querySelector('.provider-selector');
+  if (!providerSelector) return;
+
+  // Delegate clicks so generated cards don't need their own listeners
+  providerSelector.addEventListener('click', (e) => {
+    const card = e.target.closest('.provider-card');
+    if (!card) return;
+
+    if (card.classList.contains('add-provider-card')) {
+      addCustomProvider(card.getAttribute('data-adapter'));
+    } else {
+      selectProviderCard(card);
+    }
+  });
+
+  const removeButton = document.getElementById('removeCustomProviderBtn');
+  if (removeButton) {
+    removeButton.addEventListener('click', removeCustomProvider);
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getProviderAdapters' });
+    if (response && response.success) {
+      providerAdapters = response.adapters;
+    } else {
+      throw new Error(response?.error || 'No provider adapters returned');
+    }
+  } catch (error) {
+    console.error('Error loading provider adapters:', error);
+  }
+
+  await renderProviderCards();
+}
+
+// Select a provider card and show its configuration
+function selectProviderCard(card) {
   const apiConfigPanel = document.getElementById('apiConfigPanel');
-  
-  let selectedProvider = null;
-  
-  // Provider card selection
-  providerCards.forEach(card => {
-    card.addEventListener('click', () => {
-      // Remove selected class from all cards
-      providerCards.forEach(c => c.classList.remove('selected'));
-      
-      // Add selected class to clicked card
-      card.classList.add('selected');
 
-      // Get provider info
-      const provider = card.getAttribute('data-provider');
-      selectedProvider = provider;
-      
-      // Show config panel
-      if (apiConfigPanel) {
-        apiConfigPanel.classList.add('show');
-        loadProviderConfig(provider);
-        // Update current provider display immediately
-        browser.storage.local.get(['providers']).then(storage => {
-          updateCurrentProviderDisplay({
-            selectedProvider: provider,
-            providers: storage.providers || {}
-          });
-        });
-      }
+  // Remove selected class from all cards
+  document.querySelectorAll('.provider-card').forEach(c => c.classList.remove('selected'));
+
+  // Add selected class to clicked card
+  card.classList.add('selected');
+
+  // Get provider info
+  const provider = card.getAttribute('data-provider');
+
+  // Show config panel
+  if (apiConfigPanel) {
+    apiConfigPanel.classList.add('show');
+    loadProviderConfig(provider);
+    // Update current provider display immediately
+    browser.storage.local.get(['providers']).then(storage => {
+      updateCurrentProviderDisplay({
+        selectedProvider: provider,
+        providers: storage.providers || {}
+      });
     });
-  });
+  }
 }
 
-// Load provider configuration
-async function loadProviderConfig(provider) {
+// Build a single provider card
+function createProviderCard(icon, name, description) {
+  const card = document.createElement('div');
+  card.className = 'provider-card';
+
+  const logo = document.createElement('span');
+  logo.className = 'provider-logo';
+  logo.textContent = icon;
+
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'provider-name';
+  nameDiv.textContent = name;
+
+  const descDiv = document.createElement('div');
+  descDiv.className = 'provider-desc';
+  descDiv.textContent = description;
+
+  card.appendChild(logo);
+  card.appendChild(nameDiv);
+  card.appendChild(descDiv);
+  return card;
+}
+
+// Render provider cards: built-in adapters, configured custom endpoints, then "add" cards
+async function renderProviderCards() {
+  const providerSelector = document.querySelector('.provider-selector');
+  if (!providerSelector) return;
+
   try {
-    const storage = await browser.storage.local.get(['providers']);
+    const storage = await browser.storage.local.get(['providers', 'selectedProvider']);
     const providers = storage.providers || {};
-    const config = providers[provider] || {};
-    
-    const baseUrlInput = document.getElementById('configBaseUrl');
-    const modelInput = document.getElementById('configModel');
-    const apiKeyInput = document.getElementById('configApiKey');
-    const enabledCheckbox = document.getElementById('configProviderEnabled');
+    const selectedName = document.querySelector('.provider-card.selected')?.getAttribute('data-provider');
 
-    if (baseUrlInput) baseUrlInput.value = config.baseUrl || '';
-    if (modelInput) modelInput.value = config.model || '';
-    if (apiKeyInput) apiKeyInput.value = config.apiKey || '';
+    providerSelector.textContent = '';
 
-    if (enabledCheckbox) {
-      enabledCheckbox.checked = !!config.enabled;
-      const updateState = () => {
-        const hasKey = apiKeyInput && apiKeyInput.value.trim() !== '';
-        enabledCheckbox.disabled = !hasKey;
-        if (!hasKey) enabledCheckbox.checked = false;
-      };
-      updateState();
-      if (apiKeyInput) {
-        apiKeyInput.addEventListener('input', updateState);
-      }
+    providerAdapters.filter(adapter => !adapter.custom).forEach(adapter => {
+      const card = createProviderCard(adapter.icon, adapter.label, adapter.description);
+      card.setAttribute('data-provider', adapter.id);
+      providerSelector.appendChild(card);
+    });
+
+    Object.entries(providers).forEach(([name, config]) => {
+      const adapter = findProviderAdapter(name, config);
+      if (!adapter || !adapter.custom) return;
+
+      const card = createProviderCard(adapter.icon, name, config.baseUrl || adapter.description);
+      card.classList.add('custom-provider-card');
+      card.setAttribute('data-provider', name);
+      providerSelector.appendChild(card);
+    });
+
+    providerAdapters.filter(adapter => adapter.custom).forEach(adapter => {
+      const card = createProviderCard('➕', adapter.label, adapter.description);
+      card.classList.add('add-provider-card');
+      card.setAttribute('data-adapter', adapter.id);
+      providerSelector.appendChild(card);
+    });
+
+    if (selectedName) {
+      const card = providerSelector.querySelector(`.provider-card[data-provider="${CSS.escape(selectedName)}"]`);
+      if (card) card.classList.add('selected');
     }
 
-    // Refresh provider display with loaded configuration
+    // Icons depend on adapter metadata, so refresh once it is loaded
     updateCurrentProviderDisplay({
-      selectedProvider: provider,
+      selectedProvider: storage.selectedProvider,
       providers
     });
   } catch (error) {
-    console.error('Error loading provider config:', error);
+    console.error('Error rendering providers:', error);
   }
 }
 
-// Initialize toggle switches
-function initializeToggles() {
-  const toggleElements = document.querySelectorAll('.toggle');
-  
-  toggleElements.forEach(toggle => {
-    toggle.addEventListener('click', () => {
-      toggle.classList.toggle('active');
-    });
-  });
-}
+// Add a new endpoint for a custom adapter type
+async function addCustomProvider(adapterId) {
+  const adapter = providerAdapters.find(a => a.id === adapterId);
+  if (!adapter) return;
+
+
+  const name = prompt('Enter a name for the endpoint (e.g. Ollama, LM Studio):');
+  if (!name || !name.trim()) return;
+
+  const trimmedName = name.trim();
 
-// Load all settings from storage
-async function loadAllSettings() {
   try {
-    const storage = await browser.storage.local.get([
-      'selectedProvider', 
-      'prompt', 
-      'providers', 
-      'learningSettings'
-    ]);
+    const storage = await browser.storage.local.get(['providers']);
+    const providers = storage.providers || {};
+
+    if (providers[trimmedName]) {
+      alert('A provider with this name already exists!');
+      return;
+    }
+
+    providers[trimmedName] = {
+      type: adapter.id,
+      baseUrl: adapter.defaults.baseUrl || '',
+      model: adapter.defaults.model || '',
+      apiKey: '',
+      headers: {},
+      enabled: false
+    };
+    await browser.storage.local.set({ providers });
+
+    await renderProviderCards();
+    const card = document.querySelector(`.provider-card[data-provider="${CSS.escape(trimmedName)}"]`);
+    if (card) selectProviderCard(card);
+  } catch (error) {
+    console.error('Error adding custom provider:', error);
+    alert('Failed to add endpoint');
+  }
+}
+
+// Remove the selected OpenAI-compatible endpoint
+async function removeCustomProvider() {
+  const selectedCard = document.querySelector('.provider-card.selected');
+  if (!selectedCard) return;
+
+  const name = selectedCard.getAttribute('data-provider');
+  if (!confirm(`Remove endpoint "${name}"?`)) return;
+
+  try {
+    const storage = await browser.storage.local.get(['providers', 'selectedProvider']);
+    const providers = storage.providers || {};
+    const adapter = findProviderAdapter(name, providers[name]);
+    if (!adapter || !adapter.custom) return;
+
+    delete providers[name];
+    const updates = { providers };
+    if (storage.selectedProvider === name) {
+      updates.selectedProvider = 'Together';
+    }
+    await browser.storage.local.set(updates);
+
+    const apiConfigPanel = document.getElementById('apiConfigPanel');
+    if (apiConfigPanel) {
+      apiConfigPanel.classList.remove('show', 'custom-provider');
+    }
+
+    await renderProviderCards();
+    updateCurrentProviderDisplay({
+      selectedProvider: updates.selectedProvider || storage.selectedProvider,
+      providers
+    });
+  } catch (error) {
+    console.error('Error removing custom provider:', error);
+    alert('Failed to remove endpoint');
+  }
+}
+
+// Parse the extra headers textarea; returns null if it isn't a JSON object of strings
+function parseExtraHeaders(text) {
+  if (!text || text.trim() === '') return {};
+
+  try {
+    const headers = JSON.parse(text);
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) return null;
+    const allStrings = Object.values(headers).every(value => typeof value === 'string');
+    return allStrings ? headers : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the provider config panel into a provider config object
+function readProviderConfigPanel(existingConfig = {}) {
+  const baseUrlInput = document.getElementById('configBaseUrl');
+  const modelInput = document.getElementById('configModel');
+  const apiKeyInput = document.getElementById('configApiKey');
+  const headersInput = document.getElementById('configHeaders');
+  const timeoutInput = document.getElementById('configTimeout');
+  const enabledCheckbox = document.getElementById('configProviderEnabled');
+
+  const config = {
+    baseUrl: baseUrlInput ? baseUrlInput.value.trim() : '',
+    model: modelInput ? modelInput.value.trim() : '',
+    apiKey: apiKeyInput ? apiKeyInput.value.trim() : '',
+    enabled: enabledCheckbox ? enabledCheckbox.checked : false
+  };
+
+  // Empty timeout means "use the provider default"
+  const timeoutSeconds = timeoutInput ? parseInt(timeoutInput.value) : NaN;
+  if (timeoutSeconds > 0) {
+    config.timeoutSeconds = timeoutSeconds;
+  }
+
+  if (existingConfig.type) {
+    config.type = existingConfig.type;
+    // Null marks invalid JSON so validateSettings can reject it
+    config.headers = parseExtraHeaders(headersInput ? headersInput.value : '');
+  }
+  return config;
+}
+
+// Load provider configuration
+async function loadProviderConfig(provider) {
+  try {
+    const storage = await browser.storage.local.get(['providers']);
+    const providers = storage.providers || {};
+    const config = providers[provider] || {};
+    const adapter = findProviderAdapter(provider, config);
+    const isCustom = !!(adapter && adapter.custom);
+    const requiresApiKey = !adapter || adapter.requiresApiKey;
+    
+    const apiConfigPanel = document.getElementById('apiConfigPanel');
+    const baseUrlInput = document.getElementById('configBaseUrl');
+    const modelInput = document.getElementById('configModel');
+    const apiKeyInput = document.getElementById('configApiKey');
+    const headersInput = document.getElementById('configHeaders');
+    const timeoutInput = document.getElementById('configTimeout');
+    const enabledCheckbox = document.getElementById('configProviderEnabled');
+
+    if (apiConfigPanel) apiConfigPanel.classList.toggle('custom-provider', isCustom);
+    if (baseUrlInput) {
+      baseUrlInput.value = config.baseUrl || '';
+      baseUrlInput.placeholder = adapter?.defaults?.baseUrl || 'API base URL';
+    }
+    if (modelInput) {
+      modelInput.value = config.model || '';
+      if (adapter?.defaults?.model) modelInput.placeholder = adapter.defaults.model;
+    }
+    if (apiKeyInput) apiKeyInput.value = config.apiKey || '';
+    if (timeoutInput) {
+      timeoutInput.value = config.timeoutSeconds || '';
+      timeoutInput.placeholder = adapter ? String(adapter.timeoutMs / 1000) : '30';
+    }
+    if (headersInput) {
+      const headers = config.headers || {};
+      headersInput.value = Object.keys(headers).length > 0 ? JSON.stringify(headers, null, 2) : '';
+    }
+
+    if (enabledCheckbox) {
+      enabledCheckbox.checked = !!config.enabled;
+      // Adapters that don't require a key only need a base URL
+      const updateState = () => {
+        const canEnable = requiresApiKey ?
+          apiKeyInput && apiKeyInput.value.trim() !== '' :
+          baseUrlInput && baseUrlInput.value.trim() !== '';
+        enabledCheckbox.disabled = !canEnable;
+        if (!canEnable) enabledCheckbox.checked = false;
+      };
+      updateState();
+      // Assign rather than add so handlers don't pile up when switching providers
+      if (apiKeyInput) apiKeyInput.oninput = updateState;
+      if (baseUrlInput) baseUrlInput.oninput = updateState;
+    }
+
+    await loadProviderDiagnostics(provider, config);
+
+    // Refresh provider display with loaded configuration
+    updateCurrentProviderDisplay({
+      selectedProvider: provider,
+      providers
+    });
+  } catch (error) {
+    console.error('Error loading provider config:', error);
+  }
+}
+
+// ===== PROVIDER DIAGNOSTICS =====
+
+// Latest connection test per provider, tied to the exact config that was tested
+const providerTestResults = {};
+
+function getProviderConfigSignature(config) {
+  return JSON.stringify([config.baseUrl || '', config.model || '', config.apiKey || '', config.headers || null]);
+}
+
+function getSelectedProviderName() {
+  const selectedCard = document.querySelector('.provider-card.selected');
+  return selectedCard ? selectedCard.getAttribute('data-provider') : null;
+}
+
+// Test result for this exact config, or null if it hasn't been tested
+function getProviderTestResult(name, config) {
+  const entry = providerTestResults[name];
+  return entry && entry.signature === getProviderConfigSignature(config) ? entry.result : null;
+}
+
+// Human-readable explanation of a failed test
+function describeProviderDiagnostic(error) {
+  const status = error.status ? ` (HTTP ${error.status})` : '';
+  switch (error.code) {
+    case 'auth':
+      return `Authentication failed${status}: check the API key.`;
+    case 'quota':
+      return `Out of credits or quota${status}: ${error.message}`;
+    case 'rate_limit':
+      return `Rate limited${status}: wait a moment and test again.`;
+    case 'bad_model':
+      return `${error.message}. Fetch models to pick one that exists.`;
+    case 'not_found':
+      return `Endpoint not found${status}: check the base URL.`;
+    case 'network':
+      return 'Could not reach the server: check the base URL and that the server is running.';
+    case 'timeout':
+      return 'The server did not respond in time.';
+    case 'config':
+      return error.message;
+    default:
+      return `${error.message}${status}`;
+  }
+}
+
+function formatLatencyMs(latencyMs) {
+  return latencyMs < 1000 ? `${latencyMs} ms` : `${(latencyMs / 1000).toFixed(1)} s`;
+}
+
+function renderProviderTestResult(result) {
+  const container = document.getElementById('providerTestResult');
+  if (!container) return;
+
+  container.className = 'provider-test-result';
+  container.textContent = '';
+  if (!result) return;
+
+  const lines = [];
+  if (result.ok) {
+    container.classList.add('success');
+    lines.push(`✅ Connected in ${formatLatencyMs(result.latencyMs)}`);
+    if (result.models) {
+      lines.push(`📋 ${result.models.length} models available${result.modelFound ? ', configured model found' : ''}`);
+    }
+  } else {
+    container.classList.add('error');
+    lines.push(`❌ ${describeProviderDiagnostic(result.error)}`);
+    if (result.latencyMs !== null) lines.push(`⏱️ Failed after ${formatLatencyMs(result.latencyMs)}`);
+  }
+
+  if (result.quota) {
+    const { usage, limit, remaining } = result.quota;
+    if (limit !== null) {
+      lines.push(`💳 Credits: ${remaining !== null ? remaining.toFixed(2) : '?'} of ${limit.toFixed(2)} remaining`);
+    } else if (usage !== null) {
+      lines.push(`💳 Usage so far: ${usage.toFixed(2)} (no credit limit on this key)`);
+    }
+  }
+
+  lines.forEach(line => {
+    const div = document.createElement('div');
+    div.textContent = line;
+    container.appendChild(div);
+  });
+}
+
+// Fill the model dropdown; the text input stays the source of truth
+function renderModelOptions(models, fetchedAt, cached) {
+  const modelSelect = document.getElementById('configModelSelect');
+  const modelInput = document.getElementById('configModel');
+  const status = document.getElementById('configModelStatus');
+  if (!modelSelect || !modelInput) return;
+
+  modelSelect.textContent = '';
+  if (!models || models.length === 0) {
+    modelSelect.style.display = 'none';
+    if (status) status.textContent = models ? 'The provider returned no models.' : '';
+    return;
+  }
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = `Choose from ${models.length} models...`;
+  modelSelect.appendChild(placeholder);
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    modelSelect.appendChild(option);
+  });
+  modelSelect.value = models.includes(modelInput.value.trim()) ? modelInput.value.trim() : '';
+  modelSelect.style.display = '';
+
+  if (status) {
+    const minutes = Math.round((Date.now() - fetchedAt) / 60000);
+    status.textContent = cached ?
+      `Model list cached ${minutes < 1 ? 'just now' : `${minutes} min ago`}. Fetch again to refresh.` :
+      'Model list updated.';
+  }
+}
+
+// Show the cached model list and last test result when a provider is opened
+async function loadProviderDiagnostics(provider, config) {
+  renderProviderTestResult(getProviderTestResult(provider, config));
+
+  const storage = await browser.storage.local.get(['providerModels']);
+  const entry = (storage.providerModels || {})[provider];
+  if (entry && entry.baseUrl === config.baseUrl) {
+    renderModelOptions(entry.models, entry.fetchedAt, true);
+  } else {
+    renderModelOptions(null);
+  }
+}
+
+async function fetchSelectedProviderModels() {
+  const provider = getSelectedProviderName();
+  const status = document.getElementById('configModelStatus');
+  const fetchButton = document.getElementById('fetchModelsBtn');
+  if (!provider) return;
+
+  const storage = await browser.storage.local.get(['providers']);
+  const config = readProviderConfigPanel((storage.providers || {})[provider] || {});
+
+  if (fetchButton) fetchButton.disabled = true;
+  if (status) status.textContent = 'Fetching models...';
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getProviderModels', provider, config, refresh: true });
+    if (!response || !response.success) {
+      renderModelOptions(null);
+      if (status) status.textContent = `❌ ${describeProviderDiagnostic(response?.error || { message: 'No response' })}`;
+      return;
+    }
+    renderModelOptions(response.models, response.fetchedAt, response.cached);
+  } catch (error) {
+    console.error('Error fetching models:', error);
+    if (status) status.textContent = `❌ ${error.message}`;
+  } finally {
+    if (fetchButton) fetchButton.disabled = false;
+  }
+}
+
+// Test a provider config through the background and remember the result
+async function runProviderConnectionTest(provider, config) {
+  const response = await browser.runtime.sendMessage({ command: 'testProviderConnection', provider, config });
+  const result = response && response.success ? response.result : {
+    ok: false,
+    latencyMs: null,
+    error: { message: response?.error || 'No response from background', code: 'unknown' }
+  };
+  providerTestResults[provider] = { signature: getProviderConfigSignature(config), result };
+  return result;
+}
+
+async function testSelectedProviderConnection() {
+  const provider = getSelectedProviderName();
+  const testButton = document.getElementById('testConnectionBtn');
+  const container = document.getElementById('providerTestResult');
+  if (!provider) return;
+
+  const storage = await browser.storage.local.get(['providers']);
+  const config = readProviderConfigPanel((storage.providers || {})[provider] || {});
+
+  if (testButton) testButton.disabled = true;
+  if (container) {
+    container.className = 'provider-test-result';
+    container.textContent = '⏳ Testing connection...';
+  }
+  try {
+    const result = await runProviderConnectionTest(provider, config);
+    renderProviderTestResult(result);
+    if (result.models) renderModelOptions(result.models, Date.now(), false);
+  } catch (error) {
+    console.error('Error testing provider:', error);
+    renderProviderTestResult({ ok: false, latencyMs: null, error: { message: error.message, code: 'unknown' } });
+  } finally {
+    if (testButton) testButton.disabled = false;
+  }
+}
+
+// Test the provider being edited before saving if it is enabled and this config is untested
+async function ensureProviderTested(settings) {
+  const provider = getSelectedProviderName();
+  const config = provider && settings.providers ? settings.providers[provider] : null;
+  if (!config || !config.enabled || config.headers === null) return;
+  if (getProviderTestResult(provider, config)) return;
+
+  const result = await runProviderConnectionTest(provider, config);
+  renderProviderTestResult(result);
+}
+
+function initializeProviderDiagnostics() {
+  document.getElementById('fetchModelsBtn')?.addEventListener('click', fetchSelectedProviderModels);
+  document.getElementById('testConnectionBtn')?.addEventListener('click', testSelectedProviderConnection);
+
+  const modelSelect = document.getElementById('configModelSelect');
+  modelSelect?.addEventListener('change', () => {
+    const modelInput = document.getElementById('configModel');
+    if (modelInput && modelSelect.value) modelInput.value = modelSelect.value;
+  });
+}
+
+// Initialize toggle switches
+function initializeToggles() {
+  const toggleElements = document.querySelectorAll('.toggle');
+  
+  toggleElements.forEach(toggle => {
+    toggle.addEventListener('click', () => {
+      toggle.classList.toggle('active');
+    });
+  });
+}
+
+// Initialize definition cache panel
+function initializeCacheSettings() {
+  const clearButton = document.getElementById('clearCacheBtn');
+  if (clearButton) {
+    clearButton.addEventListener('click', async () => {
+      if (!confirm('Clear all cached explanations and lookups?')) return;
+
+      try {
+        await browser.runtime.sendMessage({ command: 'clearCache' });
+        await loadCacheSettings();
+      } catch (error) {
+        console.error('Error clearing cache:', error);
+        alert('Failed to clear cache');
+      }
+    });
+  }
+
+  loadCacheSettings();
+}
+
+// Load cache settings and statistics from the background
+async function loadCacheSettings() {
+  const statsContainer = document.getElementById('cacheStats');
+
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getCacheStats' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No cache statistics returned');
+    }
+
+    const { stats, settings } = response;
+
+    document.getElementById('cacheEnabledToggle')?.classList.toggle('active', settings.enabled);
+    document.getElementById('cacheByContextToggle')?.classList.toggle('active', settings.keyByContext);
+    const ttlInput = document.getElementById('cacheTtlDays');
+    if (ttlInput) ttlInput.value = settings.ttlDays.llm;
+    const maxEntriesInput = document.getElementById('cacheMaxEntries');
+    if (maxEntriesInput) maxEntriesInput.value = settings.maxEntries;
+
+    if (statsContainer) {
+      const kindLabels = { llm: 'AI explanations', dictionary: 'Dictionary lookups', morphology: 'Word form lookups' };
+      statsContainer.textContent = '';
+
+      const summary = document.createElement('div');
+      summary.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+      summary.textContent = `${stats.total} cached entries · ~${Math.ceil(stats.approximateBytes / 1024)} KB · ${stats.hits} cache hits`;
+      statsContainer.appendChild(summary);
+
+      Object.entries(kindLabels).forEach(([kind, label]) => {
+        const kindStats = stats.byKind[kind] || { count: 0, hits: 0 };
+        const line = document.createElement('div');
+        line.className = 'help-text';
+        line.textContent = `${label}: ${kindStats.count} entries, ${kindStats.hits} hits`;
+        statsContainer.appendChild(line);
+      });
+    }
+  } catch (error) {
+    console.error('Error loading cache settings:', error);
+    if (statsContainer) {
+      statsContainer.textContent = 'Cache statistics unavailable';
+    }
+  }
+}
+
+function initializeLookupTriggers() {
+  document.getElementById('changeShortcutBtn')?.addEventListener('click', () => {
+    browser.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  loadLookupTriggers();
+}
+
+async function loadLookupTriggers() {
+  const storage = await browser.storage.local.get(['lookupTriggers', 'lookupDisplay']);
+  const triggers = storage.lookupTriggers || {};
+
+  const displaySelect = document.getElementById('lookupDisplay');
+  if (displaySelect) {
+    displaySelect.value = storage.lookupDisplay || 'modal';
+  }
+
+  document.getElementById('doubleClickLookupToggle')?.classList.toggle('active', !!triggers.doubleClick);
+  document.getElementById('modifierClickLookupToggle')?.classList.toggle('active', !!triggers.modifierClick);
+  const modifierSelect = document.getElementById('lookupModifierKey');
+  if (modifierSelect) {
+    modifierSelect.value = triggers.modifierKey || 'alt';
+  }
+
+  const shortcut = document.getElementById('lookupShortcut');
+  if (shortcut) {
+    try {
+      const commands = await browser.commands.getAll();
+      const command = commands.find(item => item.name === 'define-selection');
+      shortcut.textContent = command && command.shortcut
+        ? `Current shortcut: ${command.shortcut}`
+        : 'No shortcut set';
+    } catch (error) {
+      console.error('Error loading keyboard shortcut:', error);
+      shortcut.textContent = 'Shortcut unavailable';
+    }
+  }
+
+  renderDisabledSites(triggers.disabledSites || []);
+}
+
+function renderDisabledSites(sites) {
+  renderSiteList('disabledSitesList', sites, 'Click lookups work on every site',
+    site => `Turn click lookups back on for ${site}`, enableLookupsOnSite);
+}
+
+// Sites are added from the popup; removing one here saves straight away
+function renderSiteList(listId, sites, emptyText, removeTitle, onRemove) {
+  const list = document.getElementById(listId);
+  if (!list) return;
+
+  list.textContent = '';
+  if (sites.length === 0) {
+    list.textContent = emptyText;
+    return;
+  }
+
+  sites.forEach(site => {
+    const item = document.createElement('div');
+    item.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 4px 0;';
+    const name = document.createElement('span');
+    name.textContent = site;
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-secondary';
+    removeButton.style.cssText = 'padding: 2px 8px; font-size: 12px;';
+    removeButton.textContent = '✕';
+    removeButton.title = removeTitle(site);
+    removeButton.addEventListener('click', () => onRemove(site));
+    item.appendChild(name);
+    item.appendChild(removeButton);
+    list.appendChild(item);
+  });
+}
+
+async function enableLookupsOnSite(site) {
+  const storage = await browser.storage.local.get(['lookupTriggers']);
+  const triggers = storage.lookupTriggers || {};
+  const disabledSites = (triggers.disabledSites || []).filter(item => item !== site);
+  await browser.storage.local.set({ lookupTriggers: { ...triggers, disabledSites } });
+  renderDisabledSites(disabledSites);
+}
+
+async function loadVocabularyHighlights() {
+  const storage = await browser.storage.local.get(['vocabularyHighlights']);
+  const highlights = storage.vocabularyHighlights || {};
+  document.getElementById('highlightSavedWordsToggle')?.classList.toggle('active', !!highlights.enabled);
+  renderHighlightDisabledSites(highlights.disabledSites || []);
+}
+
+function renderHighlightDisabledSites(sites) {
+  renderSiteList('highlightDisabledSitesList', sites, 'Saved words are highlighted on every site',
+    site => `Turn highlights back on for ${site}`, enableHighlightsOnSite);
+}
+
+async function enableHighlightsOnSite(site) {
+  const storage = await browser.storage.local.get(['vocabularyHighlights']);
+  const highlights = storage.vocabularyHighlights || {};
+  const disabledSites = (highlights.disabledSites || []).filter(item => item !== site);
+  await browser.storage.local.set({ vocabularyHighlights: { ...highlights, disabledSites } });
+  renderHighlightDisabledSites(disabledSites);
+}
+
+// Target retention only applies to FSRS
+function initializeSchedulerSettings() {
+  const algorithmSelect = document.getElementById('schedulerAlgorithm');
+  if (algorithmSelect) {
+    algorithmSelect.addEventListener('change', updateSchedulerSettingsVisibility);
+  }
+
+  const rebuildButton = document.getElementById('rebuildSchedulesBtn');
+  if (rebuildButton) {
+    rebuildButton.addEventListener('click', rebuildSchedulesFromLog);
+  }
+
+  document.getElementById('optimizeSchedulerBtn')?.addEventListener('click', fitSchedulerParameters);
+  document.getElementById('applySchedulerParamsBtn')?.addEventListener('click', () =>
+    changeSchedulerParameters('applySchedulerParameters'));
+  document.getElementById('revertSchedulerParamsBtn')?.addEventListener('click', () =>
+    changeSchedulerParameters('revertSchedulerParameters'));
+
+  loadReviewLogSummary();
+  loadSchedulerOptimization();
+}
+
+function initializePauseSettings() {
+  document.getElementById('pauseLearningBtn')?.addEventListener('click', togglePauseLearning);
+  document.getElementById('rescheduleBacklogBtn')?.addEventListener('click', rescheduleOverdueBacklog);
+  loadPauseStatus();
+}
+
+async function loadPauseStatus() {
+  const status = document.getElementById('pauseStatus');
+  const pauseButton = document.getElementById('pauseLearningBtn');
+  const backlogSummary = document.getElementById('backlogSummary');
+  if (!status || !pauseButton) return;
+
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getPauseStatus' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    status.textContent = response.pausedAt
+      ? `Paused since ${new Date(response.pausedAt).toLocaleDateString()}`
+      : 'Learning is active';
+    pauseButton.dataset.paused = response.pausedAt ? 'true' : 'false';
+    pauseButton.textContent = response.pausedAt ? '▶️ Resume learning' : '⏸️ Pause learning';
+    if (backlogSummary) {
+      backlogSummary.textContent = response.overdue === 0
+        ? 'No words are overdue'
+        : `${response.overdue} words are due or overdue`;
+    }
+  } catch (error) {
+    console.error('Error loading pause status:', error);
+    status.textContent = 'Pause status unavailable';
+  }
+}
+
+async function togglePauseLearning() {
+  const pauseButton = document.getElementById('pauseLearningBtn');
+  const resuming = pauseButton.dataset.paused === 'true';
+  pauseButton.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ command: resuming ? 'resumeLearning' : 'pauseLearning' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    if (resuming && response.days > 0) {
+      alert(`Welcome back! ${response.shifted} reviews were moved ${response.days} days later.`);
+    }
+    await loadPauseStatus();
+  } catch (error) {
+    console.error('Error changing pause:', error);
+    alert(`Could not ${resuming ? 'resume' : 'pause'} learning: ${error.message}`);
+  } finally {
+    pauseButton.disabled = false;
+  }
+}
+
+async function rescheduleOverdueBacklog() {
+  const days = parseInt(document.getElementById('backlogDays')?.value);
+  if (!(days >= 1 && days <= 365)) {
+    alert('Enter a number of days between 1 and 365.');
+    return;
+  }
+  if (!confirm(`Spread all overdue words over the next ${days} days?`)) return;
+
+  const rescheduleButton = document.getElementById('rescheduleBacklogBtn');
+  rescheduleButton.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'rescheduleBacklog', days });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    alert(`Rescheduled ${response.rescheduled} overdue words over ${days} days.`);
+    await loadPauseStatus();
+    await refreshWordList();
+  } catch (error) {
+    console.error('Error rescheduling backlog:', error);
+    alert(`Failed to reschedule the backlog: ${error.message}`);
+  } finally {
+    rescheduleButton.disabled = false;
+  }
+}
+
+async function loadReviewLogSummary() {
+  const summary = document.getElementById('reviewLogSummary');
+  if (!summary) return;
+
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getReviewLogSummary' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No review log summary returned');
+    }
+    summary.textContent = response.total === 0
+      ? 'No reviews logged yet'
+      : `${response.total} reviews of ${response.words} words logged since ${new Date(response.firstReviewAt).toLocaleDateString()}`;
+  } catch (error) {
+    console.error('Error loading review log summary:', error);
+    summary.textContent = 'Review log unavailable';
+  }
+}
+
+async function loadSchedulerOptimization() {
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'getSchedulerOptimization' });
+    renderSchedulerOptimization(response && response.optimization, response && response.scheduler);
+  } catch (error) {
+    console.error('Error loading scheduler optimization:', error);
+  }
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+// Fit results: how much better the fitted weights predict recall, and whether they're in use.
+// scheduler is the saved algorithm; SM-2 ignores the fitted weights, so Apply needs FSRS.
+function renderSchedulerOptimization(optimization, scheduler) {
+  const container = document.getElementById('schedulerOptimization');
+  const applyButton = document.getElementById('applySchedulerParamsBtn');
+  const revertButton = document.getElementById('revertSchedulerParamsBtn');
+  if (!container) return;
+
+  const usesFsrs = scheduler === 'fsrs';
+  container.textContent = '';
+  if (applyButton) applyButton.disabled = !optimization || optimization.applied || !usesFsrs;
+  if (revertButton) revertButton.disabled = !optimization || !optimization.applied;
+  if (!usesFsrs) {
+    const warning = document.createElement('div');
+    warning.style.cssText = 'color: #c62828; font-weight: 600;';
+    warning.textContent = '⚠️ Your review scheduler is SM-2, which doesn\'t use fitted parameters. Select FSRS and save settings to apply them.';
+    container.appendChild(warning);
+  }
+  if (!optimization) return;
+
+  const { before, after } = optimization;
+  const improvement = before.rmse > 0 ? (before.rmse - after.rmse) / before.rmse : 0;
+  const lines = [
+    `Fitted on ${after.samples} reviews of ${optimization.words} words (${new Date(optimization.fittedAt).toLocaleString()}).`,
+    `Prediction error ${before.rmse.toFixed(3)} → ${after.rmse.toFixed(3)} (${formatPercent(Math.max(0, improvement))} better).`,
+    `You recalled ${formatPercent(after.observedRetention)} of reviews; the current parameters predicted ${formatPercent(before.predictedRetention)}, the fitted ones predict ${formatPercent(after.predictedRetention)}.`,
+    !optimization.applied
+      ? 'Not applied yet.'
+      : usesFsrs
+        ? 'Applied: the FSRS scheduler uses these parameters.'
+        : 'Saved for FSRS, but not in use while SM-2 schedules your reviews.'
+  ];
+  lines.forEach(text => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    container.appendChild(line);
+  });
+}
+
+async function fitSchedulerParameters() {
+  const fitButton = document.getElementById('optimizeSchedulerBtn');
+  const container = document.getElementById('schedulerOptimization');
+  fitButton.disabled = true;
+  if (container) container.textContent = 'Fitting parameters to your review history...';
+
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'optimizeScheduler' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    renderSchedulerOptimization(response.optimization, response.scheduler);
+  } catch (error) {
+    console.error('Error fitting scheduler parameters:', error);
+    if (container) container.textContent = error.message;
+  } finally {
+    fitButton.disabled = false;
+  }
+}
+
+// command is applySchedulerParameters or revertSchedulerParameters
+async function changeSchedulerParameters(command) {
+  try {
+    const response = await browser.runtime.sendMessage({ command });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    renderSchedulerOptimization(response.optimization, response.scheduler);
+  } catch (error) {
+    console.error(`Error running ${command}:`, error);
+    alert(`Could not update scheduler parameters: ${error.message}`);
+  }
+}
+
+// Replay the review log through the saved scheduler setting
+async function rebuildSchedulesFromLog() {
+  if (!confirm('Recalculate the schedule of every reviewed word from its review history?')) return;
+
+  const rebuildButton = document.getElementById('rebuildSchedulesBtn');
+  rebuildButton.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ command: 'rebuildSchedules' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    alert(`Rebuilt ${response.words} word schedules from ${response.reviews} reviews.`);
+    await refreshWordList();
+  } catch (error) {
+    console.error('Error rebuilding schedules:', error);
+    alert(`Failed to rebuild schedules: ${error.message}`);
+  } finally {
+    rebuildButton.disabled = false;
+  }
+}
+
+function updateSchedulerSettingsVisibility() {
+  const algorithmSelect = document.getElementById('schedulerAlgorithm');
+  const retentionGroup = document.getElementById('targetRetentionGroup');
+  if (algorithmSelect && retentionGroup) {
+    retentionGroup.style.display = algorithmSelect.value === 'fsrs' ? 'block' : 'none';
+  }
+}
+
+// ===== PROMPT TEMPLATES =====
+
+// The user's own templates (built-ins come from prompt-templates.js) and the default one
+let customPromptTemplates = [];
+let activePromptTemplateId = DEFAULT_PROMPT_TEMPLATE_ID;
+
+function getAllPromptTemplates() {
+  return getPromptTemplates(customPromptTemplates);
+}
+
+function getEditedPromptTemplate() {
+  return findPromptTemplate(getAllPromptTemplates(), activePromptTemplateId);
+}
+
+// Initialize the prompt template library in the Advanced section
+function initializePromptTemplates() {
+  const select = document.getElementById('promptTemplateSelect');
+  const nameInput = document.getElementById('promptTemplateName');
+  const promptTextarea = document.getElementById('prompt');
+  if (!select || !nameInput || !promptTextarea) return;
+
+  const levelSelect = document.getElementById('learnerLevel');
+  if (levelSelect) {
+    LEARNER_LEVELS.forEach(level => {
+      const option = document.createElement('option');
+      option.value = level;
+      option.textContent = level;
+      levelSelect.appendChild(option);
+    });
+  }
+
+  const placeholderList = document.getElementById('promptPlaceholderList');
+  if (placeholderList) {
+    PROMPT_PLACEHOLDERS.forEach(({ token, description }) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'placeholder-chip';
+      chip.textContent = token;
+      chip.title = `${description} - click to insert`;
+      chip.addEventListener('click', () => insertPromptPlaceholder(token));
+      placeholderList.appendChild(chip);
+    });
+  }
+
+  select.addEventListener('change', () => {
+    activePromptTemplateId = select.value;
+    renderPromptTemplateEditor();
+  });
+
+  nameInput.addEventListener('input', () => {
+    const template = customPromptTemplates.find(t => t.id === activePromptTemplateId);
+    if (!template) return;
+    template.name = nameInput.value;
+    const option = select.querySelector(`option[value="${template.id}"]`);
+    if (option) option.textContent = template.name || 'Untitled';
+  });
+
+  promptTextarea.addEventListener('input', () => {
+    const template = customPromptTemplates.find(t => t.id === activePromptTemplateId);
+    if (template) template.prompt = promptTextarea.value;
+    updatePromptPreview();
+  });
+
+  document.getElementById('newTemplateBtn')?.addEventListener('click', () => {
+    addCustomPromptTemplate('New template', findPromptTemplate(BUILT_IN_PROMPT_TEMPLATES, DEFAULT_PROMPT_TEMPLATE_ID).prompt);
+  });
+
+  document.getElementById('duplicateTemplateBtn')?.addEventListener('click', () => {
+    const template = getEditedPromptTemplate();
+    if (template) addCustomPromptTemplate(`${template.name} (copy)`, template.prompt);
+  });
+
+  document.getElementById('deleteTemplateBtn')?.addEventListener('click', () => {
+    const template = customPromptTemplates.find(t => t.id === activePromptTemplateId);
+    if (!template || !confirm(`Delete the "${template.name}" template?`)) return;
+    customPromptTemplates = customPromptTemplates.filter(t => t.id !== template.id);
+    activePromptTemplateId = DEFAULT_PROMPT_TEMPLATE_ID;
+    renderPromptTemplateOptions();
+    renderPromptTemplateEditor();
+  });
+
+  ['learnerLevel', 'nativeLanguage', 'promptPreviewWord'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.addEventListener('input', updatePromptPreview);
+  });
+
+  document.getElementById('exportTemplatesBtn')?.addEventListener('click', exportCustomPromptTemplates);
+
+  const importInput = document.getElementById('importTemplatesFile');
+  document.getElementById('importTemplatesBtn')?.addEventListener('click', () => importInput?.click());
+  importInput?.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) await importCustomPromptTemplates(file);
+  });
+}
+
+// Load templates and the learner profile from storage into the editor
+function loadPromptTemplates(storage) {
+  customPromptTemplates = (storage.promptTemplates || []).map(template => ({ ...template }));
+  activePromptTemplateId = storage.activePromptTemplate || DEFAULT_PROMPT_TEMPLATE_ID;
+
+  if (!getEditedPromptTemplate()) {
+    activePromptTemplateId = DEFAULT_PROMPT_TEMPLATE_ID;
+  }
+
+  const profile = { ...DEFAULT_LEARNER_PROFILE, ...(storage.learnerProfile || {}) };
+  const levelSelect = document.getElementById('learnerLevel');
+  if (levelSelect) levelSelect.value = profile.level;
+  const nativeLanguageInput = document.getElementById('nativeLanguage');
+  if (nativeLanguageInput) nativeLanguageInput.value = profile.nativeLanguage;
+
+  renderPromptTemplateOptions();
+  renderPromptTemplateEditor();
+}
+
+function renderPromptTemplateOptions() {
+  const select = document.getElementById('promptTemplateSelect');
+  if (!select) return;
+
+  select.textContent = '';
+  getAllPromptTemplates().forEach(template => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+    select.appendChild(option);
+  });
+  select.value = activePromptTemplateId;
+}
+
+// Show the selected template; built-ins are read-only
+function renderPromptTemplateEditor() {
+  const template = getEditedPromptTemplate();
+  const nameInput = document.getElementById('promptTemplateName');
+  const promptTextarea = document.getElementById('prompt');
+  const deleteButton = document.getElementById('deleteTemplateBtn');
+  if (!template || !nameInput || !promptTextarea) return;
+
+  nameInput.value = template.name;
+  promptTextarea.value = template.prompt;
+  nameInput.readOnly = template.builtIn;
+  promptTextarea.readOnly = template.builtIn;
+  if (deleteButton) deleteButton.disabled = template.builtIn;
+
+  updatePromptPreview();
+}
+
+function addCustomPromptTemplate(name, prompt) {
+  const template = { id: createPromptTemplateId(), name, prompt };
+  customPromptTemplates.push(template);
+  activePromptTemplateId = template.id;
+  renderPromptTemplateOptions();
+  renderPromptTemplateEditor();
+  document.getElementById('promptTemplateName')?.focus();
+}
+
+function insertPromptPlaceholder(token) {
+  const promptTextarea = document.getElementById('prompt');
+  if (!promptTextarea || promptTextarea.readOnly) return;
+
+  const { selectionStart, selectionEnd, value } = promptTextarea;
+  promptTextarea.value = value.slice(0, selectionStart) + token + value.slice(selectionEnd);
+  promptTextarea.selectionStart = promptTextarea.selectionEnd = selectionStart + token.length;
+  promptTextarea.focus();
+  promptTextarea.dispatchEvent(new Event('input'));
+}
+
+function collectLearnerProfile() {
+  return {
+    level: document.getElementById('learnerLevel')?.value || DEFAULT_LEARNER_PROFILE.level,
+    nativeLanguage: document.getElementById('nativeLanguage')?.value.trim() || ''
+  };
+}
+
+// Render the edited template against the sample word with a made-up page context
+function updatePromptPreview() {
+  const preview = document.getElementById('promptPreview');
+  const promptTextarea = document.getElementById('prompt');
+  if (!preview || !promptTextarea) return;
+
+  const word = document.getElementById('promptPreviewWord')?.value.trim() || 'encompassing';
+  const context = {
+    fullSentence: `The report gives an ${word} overview of the project.`,
+    pageTitle: 'Quarterly Project Report'
+  };
+  preview.textContent = renderPromptTemplate(promptTextarea.value,
+    buildPromptValues(word, context, collectLearnerProfile()));
+}
+
+function exportCustomPromptTemplates() {
+  if (customPromptTemplates.length === 0) {
+    alert('There are no custom templates to export. Duplicate or create a template first.');
+    return;
+  }
+
+  const blob = new Blob([exportPromptTemplates(customPromptTemplates)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'smartdefine-prompt-templates.json';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+async function importCustomPromptTemplates(file) {
+  try {
+    const { templates, errors } = importPromptTemplates(await file.text());
+    if (templates.length === 0) {
+      alert(`No templates imported.\n${errors.join('\n')}`);
+      return;
+    }
+
+    customPromptTemplates.push(...templates);
+    activePromptTemplateId = templates[0].id;
+    renderPromptTemplateOptions();
+    renderPromptTemplateEditor();
+
+    let message = `Imported ${templates.length} template${templates.length === 1 ? '' : 's'}. Save settings to keep them.`;
+    if (errors.length > 0) {
+      message += `\n\nSkipped:\n${errors.join('\n')}`;
+    }
+    alert(message);
+  } catch (error) {
+    console.error('Error importing prompt templates:', error);
+    alert('Failed to import templates');
+  }
+}
+
+// Load all settings from storage
+async function loadAllSettings() {
+  try {
+    const storage = await browser.storage.local.get([
+      'selectedProvider', 
+      'prompt', 
+      'providers', 
+      'learningSettings',
+      'definitionMode',
+      'promptTemplates',
+      'activePromptTemplate',
+      'learnerProfile'
+    ]);
     
     // Load current provider display
     updateCurrentProviderDisplay(storage);
     
-    // Load prompt
-    const promptTextarea = document.getElementById('prompt');
-    if (promptTextarea && storage.prompt) {
-      promptTextarea.value = storage.prompt;
+    // Load prompt templates
+    loadPromptTemplates(storage);
+    
+    // Structured definition mode toggle
+    const structuredToggle = document.getElementById('structuredModeToggle');
+    if (structuredToggle && storage.definitionMode === 'structured') {
+      structuredToggle.classList.add('active');
     }
     
     // Load learning settings and update toggles
@@ -2488,6 +4039,16 @@ async function loadAllSettings() {
       contextToggle.classList.add('active');
     }
     
+    const phraseToggle = document.getElementById('phraseDetectionToggle');
+    if (phraseToggle && learningSettings.phraseDetection !== false) {
+      phraseToggle.classList.add('active');
+    }
+    
+    const phraseCheckToggle = document.getElementById('phraseLLMCheckToggle');
+    if (phraseCheckToggle && learningSettings.phraseLLMCheck) {
+      phraseCheckToggle.classList.add('active');
+    }
+    
     // Auto-save toggle
     const autoSaveToggle = document.getElementById('saveToWordListToggle');
     if (autoSaveToggle && learningSettings.saveToWordList !== false) {
@@ -2506,11 +4067,47 @@ async function loadAllSettings() {
       reviewToggle.classList.add('active');
     }
     
+    const loadBalancingToggle = document.getElementById('loadBalancingToggle');
+    if (loadBalancingToggle && learningSettings.loadBalancing !== false) {
+      loadBalancingToggle.classList.add('active');
+    }
+    
     // Daily goal
     const dailyGoalInput = document.getElementById('dailyGoal');
     if (dailyGoalInput && learningSettings.dailyGoal) {
       dailyGoalInput.value = learningSettings.dailyGoal;
     }
+
+    // Review scheduler
+    const algorithmSelect = document.getElementById('schedulerAlgorithm');
+    if (algorithmSelect) {
+      algorithmSelect.value = learningSettings.scheduler === 'fsrs' ? 'fsrs' : 'sm2';
+    }
+    const retentionInput = document.getElementById('targetRetention');
+    if (retentionInput) {
+      retentionInput.value = Math.round((learningSettings.targetRetention || 0.9) * 100);
+    }
+    const newCardsInput = document.getElementById('newCardsPerDay');
+    if (newCardsInput) {
+      newCardsInput.value = learningSettings.newCardsPerDay ?? 20;
+    }
+    const reviewsInput = document.getElementById('reviewsPerDay');
+    if (reviewsInput) {
+      reviewsInput.value = learningSettings.reviewsPerDay ?? 200;
+    }
+    const queueOrderSelect = document.getElementById('queueOrder');
+    if (queueOrderSelect) {
+      queueOrderSelect.value = learningSettings.queueOrder || 'priority';
+    }
+    const leechThresholdInput = document.getElementById('leechThreshold');
+    if (leechThresholdInput) {
+      leechThresholdInput.value = learningSettings.leechThreshold || 8;
+    }
+    const leechActionSelect = document.getElementById('leechAction');
+    if (leechActionSelect) {
+      leechActionSelect.value = learningSettings.leechAction === 'suspend' ? 'suspend' : 'tag';
+    }
+    updateSchedulerSettingsVisibility();
   } catch (error) {
     console.error('Error loading settings:', error);
   }
@@ -2530,13 +4127,18 @@ function updateCurrentProviderDisplay(storage) {
     currentProviderName.textContent = selectedProvider;
   }
   
+  const adapter = findProviderAdapter(selectedProvider, providerConfig);
+  const requiresApiKey = !adapter || adapter.requiresApiKey;
+
   if (currentProviderIcon) {
-    currentProviderIcon.textContent = selectedProvider === 'Together' ? '🔥' : 
-                                      selectedProvider === 'OpenRouter' ? '🌐' : '🤖';
+    currentProviderIcon.textContent = adapter ? adapter.icon : '🤖';
   }
   
   if (currentProviderStatus) {
-    if (!providerConfig.apiKey) {
+    if (!requiresApiKey && !providerConfig.baseUrl) {
+      currentProviderStatus.textContent = 'No base URL set';
+      currentProviderStatus.style.color = 'var(--text-muted)';
+    } else if (requiresApiKey && !providerConfig.apiKey) {
       currentProviderStatus.textContent = 'No API key set';
       currentProviderStatus.style.color = 'var(--text-muted)';
     } else if (providerConfig.enabled) {
@@ -2571,6 +4173,9 @@ function setupSaveSettings() {
       // Collect all settings
       const settings = await collectAllSettings();
       
+      // A connection test decides whether the edited provider can be saved as enabled
+      await ensureProviderTested(settings);
+      
       // Validate settings
       const validation = validateSettings(settings);
       if (!validation.valid) {
@@ -2589,6 +4194,9 @@ function setupSaveSettings() {
       
       showStatus('Settings saved successfully!', 'success');
       
+      // Apply depends on the saved scheduler
+      loadSchedulerOptimization();
+      
     } catch (error) {
       console.error('Error saving settings:', error);
       showStatus('Failed to save settings', 'error');
@@ -2618,13 +4226,22 @@ function setupSaveSettings() {
   }
 }
 
+// Daily limits may be 0, so only a blank or invalid field falls back to the default
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? fallback : Math.max(0, parsed);
+}
+
 // Collect all settings from the UI
 async function collectAllSettings() {
   // Get current storage to preserve existing data
   const currentStorage = await browser.storage.local.get([
     'selectedProvider', 
     'providers', 
-    'learningSettings'
+    'learningSettings',
+    'cacheSettings',
+    'lookupTriggers',
+    'vocabularyHighlights'
   ]);
   
   // Determine selected provider
@@ -2633,9 +4250,9 @@ async function collectAllSettings() {
     selectedProviderCard.getAttribute('data-provider') : 
     currentStorage.selectedProvider || 'Together';
   
-  // Get prompt
-  const promptTextarea = document.getElementById('prompt');
-  const prompt = promptTextarea ? promptTextarea.value.trim() : currentStorage.prompt;
+  // The default template's text is also kept in `prompt` for older readers
+  const activeTemplate = getEditedPromptTemplate();
+  const prompt = activeTemplate ? activeTemplate.prompt.trim() : currentStorage.prompt;
   
   // Collect provider configurations
   const providers = currentStorage.providers || {};
@@ -2643,34 +4260,73 @@ async function collectAllSettings() {
   // Update config for currently selected provider if config panel is visible
   const apiConfigPanel = document.getElementById('apiConfigPanel');
   if (apiConfigPanel && apiConfigPanel.classList.contains('show') && selectedProviderCard) {
-    const baseUrlInput = document.getElementById('configBaseUrl');
-    const modelInput = document.getElementById('configModel');
-    const apiKeyInput = document.getElementById('configApiKey');
-    const enabledCheckbox = document.getElementById('configProviderEnabled');
-
-    providers[selectedProvider] = {
-      baseUrl: baseUrlInput ? baseUrlInput.value.trim() : '',
-      model: modelInput ? modelInput.value.trim() : '',
-      apiKey: apiKeyInput ? apiKeyInput.value.trim() : '',
-      enabled: enabledCheckbox ? enabledCheckbox.checked : false
-    };
+    providers[selectedProvider] = readProviderConfigPanel(providers[selectedProvider] || {});
   }
   
   // Collect learning settings
   const learningSettings = {
     ...currentStorage.learningSettings,
     contextAwareDefinitions: document.getElementById('contextAwareToggle')?.classList.contains('active') ?? true,
+    phraseDetection: document.getElementById('phraseDetectionToggle')?.classList.contains('active') ?? true,
+    phraseLLMCheck: document.getElementById('phraseLLMCheckToggle')?.classList.contains('active') ?? false,
     saveToWordList: document.getElementById('saveToWordListToggle')?.classList.contains('active') ?? true,
     showSaveButton: document.getElementById('showSaveButtonToggle')?.classList.contains('active') ?? true,
     reviewReminders: document.getElementById('reviewRemindersToggle')?.classList.contains('active') ?? true,
-    dailyGoal: parseInt(document.getElementById('dailyGoal')?.value) || 10
+    dailyGoal: parseInt(document.getElementById('dailyGoal')?.value) || 10,
+    newCardsPerDay: parseLimit(document.getElementById('newCardsPerDay')?.value, 20),
+    reviewsPerDay: parseLimit(document.getElementById('reviewsPerDay')?.value, 200),
+    queueOrder: document.getElementById('queueOrder')?.value || 'priority',
+    loadBalancing: document.getElementById('loadBalancingToggle')?.classList.contains('active') ?? true,
+    scheduler: document.getElementById('schedulerAlgorithm')?.value || 'sm2',
+    targetRetention: (parseInt(document.getElementById('targetRetention')?.value) || 90) / 100,
+    leechThreshold: parseInt(document.getElementById('leechThreshold')?.value) || 8,
+    leechAction: document.getElementById('leechAction')?.value || 'tag'
+  };
+  
+  // Collect cache settings
+  const currentCacheSettings = currentStorage.cacheSettings || {};
+  const cacheSettings = {
+    ...currentCacheSettings,
+    enabled: document.getElementById('cacheEnabledToggle')?.classList.contains('active') ?? true,
+    keyByContext: document.getElementById('cacheByContextToggle')?.classList.contains('active') ?? true,
+    maxEntries: parseInt(document.getElementById('cacheMaxEntries')?.value) || 1000,
+    ttlDays: {
+      ...currentCacheSettings.ttlDays,
+      llm: parseInt(document.getElementById('cacheTtlDays')?.value) || 30
+    }
+  };
+  
+  const definitionMode = document.getElementById('structuredModeToggle')?.classList.contains('active') ?
+    'structured' : 'markdown';
+  
+  // The popup edits disabledSites, so keep whatever it saved
+  const lookupTriggers = {
+    disabledSites: [],
+    ...currentStorage.lookupTriggers,
+    doubleClick: document.getElementById('doubleClickLookupToggle')?.classList.contains('active') ?? false,
+    modifierClick: document.getElementById('modifierClickLookupToggle')?.classList.contains('active') ?? false,
+    modifierKey: document.getElementById('lookupModifierKey')?.value || 'alt'
+  };
+
+  const vocabularyHighlights = {
+    disabledSites: [],
+    ...currentStorage.vocabularyHighlights,
+    enabled: document.getElementById('highlightSavedWordsToggle')?.classList.contains('active') ?? false
   };
   
   return {
     selectedProvider,
     prompt,
     providers,
-    learningSettings
+    learningSettings,
+    cacheSettings,
+    lookupTriggers,
+    vocabularyHighlights,
+    lookupDisplay: document.getElementById('lookupDisplay')?.value || 'modal',
+    definitionMode,
+    promptTemplates: customPromptTemplates.map(({ id, name, prompt }) => ({ id, name: name.trim(), prompt })),
+    activePromptTemplate: activePromptTemplateId,
+    learnerProfile: collectLearnerProfile()
   };
 }
 
@@ -2683,6 +4339,63 @@ function validateSettings(settings) {
       message: "Prompt must include 'X_WORD_X' placeholder"
     };
   }
+
+  // Validate review scheduler settings
+  const retention = settings.learningSettings && settings.learningSettings.targetRetention;
+  if (retention !== undefined && (retention < 0.7 || retention > 0.99)) {
+    return {
+      valid: false,
+      message: 'Target retention must be between 70% and 99%'
+    };
+  }
+
+  const leechThreshold = settings.learningSettings && settings.learningSettings.leechThreshold;
+  if (leechThreshold !== undefined && (leechThreshold < 2 || leechThreshold > 50)) {
+    return {
+      valid: false,
+      message: 'Leech threshold must be between 2 and 50 lapses'
+    };
+  }
+
+  // Validate custom prompt templates
+  for (const template of settings.promptTemplates || []) {
+    const errors = validatePromptTemplate(template);
+    if (errors.length > 0) {
+      return { valid: false, message: errors[0] };
+    }
+  }
+
+  // Validate custom endpoints
+  for (const [name, config] of Object.entries(settings.providers || {})) {
+    const adapter = findProviderAdapter(name, config);
+    if (!adapter || !adapter.custom) continue;
+
+    if (!config.baseUrl || !/^https?:\/\//i.test(config.baseUrl)) {
+      return {
+        valid: false,
+        message: `${name}: base URL must start with http:// or https://`
+      };
+    }
+
+    if (config.headers === null) {
+      return {
+        valid: false,
+        message: `${name}: extra headers must be a JSON object of strings`
+      };
+    }
+  }
+
+  // Don't save an enabled provider that just failed its connection test
+  for (const [name, config] of Object.entries(settings.providers || {})) {
+    if (!config.enabled) continue;
+    const testResult = getProviderTestResult(name, config);
+    if (testResult && !testResult.ok) {
+      return {
+        valid: false,
+        message: `${name}: connection test failed. ${describeProviderDiagnostic(testResult.error)} Fix it or disable the provider.`
+      };
+    }
+  }
   
   return { valid: true };
 }
@@ -3,6 +3,8 @@
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize navigation buttons
   initializeNavigation();
+  initializeSiteLookupsToggle();
+  initializeSiteHighlightsToggle();
   
   console.log('SmartDefine Popup initialized');
 });
@@ -33,6 +35,84 @@ function initializeNavigation() {
   }
 }
 
+// Hostname of the active tab, or null when it isn't a web page
+async function getActiveSite() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  const url = tab && tab.url ? new URL(tab.url) : null;
+  return url && ['http:', 'https:'].includes(url.protocol) ? url.hostname : null;
+}
+
+// Double-click and modifier+click lookups can be turned off per site (by hostname)
+async function initializeSiteLookupsToggle() {
+  const button = document.getElementById('toggleSiteLookups');
+  const label = document.getElementById('siteLookupsText');
+  if (!button || !label) return;
+
+  try {
+    const site = await getActiveSite();
+    if (!site) return;
+
+    const render = (disabledSites) => {
+      label.textContent = disabledSites.includes(site)
+        ? `Click lookups off on ${site}`
+        : `Click lookups on for ${site}`;
+    };
+
+    // Only worth showing when a click trigger is turned on in Settings
+    const storage = await browser.storage.local.get(['lookupTriggers']);
+    const triggers = storage.lookupTriggers || {};
+    if (!triggers.doubleClick && !triggers.modifierClick) return;
+    render(triggers.disabledSites || []);
+    button.style.display = '';
+
+    button.addEventListener('click', async () => {
+      const current = await browser.storage.local.get(['lookupTriggers']);
+      const triggers = current.lookupTriggers || {};
+      const sites = triggers.disabledSites || [];
+      const disabledSites = sites.includes(site) ? sites.filter(item => item !== site) : [...sites, site];
+      await browser.storage.local.set({ lookupTriggers: { ...triggers, disabledSites } });
+      render(disabledSites);
+    });
+  } catch (error) {
+    console.error('Error loading site lookup setting:', error);
+  }
+}
+
+// Saved word highlights can be turned off per site the same way
+async function initializeSiteHighlightsToggle() {
+  const button = document.getElementById('toggleSiteHighlights');
+  const label = document.getElementById('siteHighlightsText');
+  if (!button || !label) return;
+
+  try {
+    const site = await getActiveSite();
+    if (!site) return;
+
+    const render = (disabledSites) => {
+      label.textContent = disabledSites.includes(site)
+        ? `Highlights off on ${site}`
+        : `Highlights on for ${site}`;
+    };
+
+    const storage = await browser.storage.local.get(['vocabularyHighlights']);
+    const highlights = storage.vocabularyHighlights || {};
+    if (!highlights.enabled) return;
+    render(highlights.disabledSites || []);
+    button.style.display = '';
+
+    button.addEventListener('click', async () => {
+      const current = await browser.storage.local.get(['vocabularyHighlights']);
+      const highlights = current.vocabularyHighlights || {};
+      const sites = highlights.disabledSites || [];
+      const disabledSites = sites.includes(site) ? sites.filter(item => item !== site) : [...sites, site];
+      await browser.storage.local.set({ vocabularyHighlights: { ...highlights, disabledSites } });
+      render(disabledSites);
+    });
+  } catch (error) {
+    console.error('Error loading site highlight setting:', error);
+  }
+}
+
 function openExtensionPage(tab = 'wordlist') {
   try {
     // Create the URL with tab parameter
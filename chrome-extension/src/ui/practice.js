@@ -1,6 +1,9 @@
 // src/ui/practice.js
 // Practice Mode Implementation with Multiple Quiz Types
 
+// Labels for the ratings the background grades answers with
+const GRADE_LABELS = { 1: 'Again', 2: 'Hard', 3: 'Good', 4: 'Easy' };
+
 class PracticeSession {
   constructor() {
     this.currentMode = null;
@@ -56,23 +59,24 @@ class PracticeSession {
         limit: 20
       });
 
-      if (response.success && response.words.length > 0) {
+      if (response.success && response.paused) {
+        this.showError("Learning is paused, so no words are due. Resume learning in Settings → Learning to practice again.");
+      } else if (response.success && response.words.length > 0) {
+        // Already in the review order chosen in Settings
         this.words = response.words;
-        this.shuffleArray(this.words); // Randomize order
         this.startTime = Date.now();
         this.resetStats();
         this.showPracticeSession();
         this.displayCurrentWord();
       } else {
         // Check if user has saved words at all
-        const storage = await browser.storage.local.get(['wordLists']);
-        const wordLists = storage.wordLists || {};
-        const totalWords = Object.values(wordLists).reduce((total, category) => total + category.length, 0);
+        const countResponse = await browser.runtime.sendMessage({ command: 'getWordCount' });
+        const totalWords = (countResponse && countResponse.count) || 0;
         
         if (totalWords === 0) {
           this.showError("No saved words found. Start by saving some words using the SmartDefine extension, then come back to practice!");
         } else {
-          this.showError(`You have ${totalWords} saved words, but none are due for review right now. Practice sessions use spaced repetition - words become available for review based on your learning progress. Try again later, or save more words to practice!`);
+          this.showError(`You have ${totalWords} saved words, but none are due for review right now. Practice sessions use spaced repetition - words become available for review based on your learning progress, up to your daily limits for new words and reviews. Try again later, or save more words to practice!`);
         }
       }
     } catch (error) {
@@ -107,13 +111,12 @@ class PracticeSession {
     const optionsContainer = document.getElementById('optionsContainer');
     const typingContainer = document.getElementById('typingContainer');
     const flashcardContainer = document.getElementById('flashcardContainer');
-    const confidenceSlider = document.getElementById('confidenceSlider');
 
     // Hide all mode-specific elements
     optionsContainer.style.display = 'none';
     typingContainer.style.display = 'none';
     flashcardContainer.style.display = 'none';
-    confidenceSlider.style.display = 'none';
+    document.getElementById('gradeButtons').classList.remove('show');
 
     // Show relevant elements based on mode
     switch (this.currentMode) {
@@ -125,7 +128,6 @@ class PracticeSession {
         break;
       case 'flashcard':
         flashcardContainer.style.display = 'block';
-        confidenceSlider.style.display = 'block';
         break;
     }
   }
@@ -148,8 +150,10 @@ class PracticeSession {
     this.updateProgress();
     this.updateStats();
 
-    // Hide explanation and next button
+    // Hide explanation, grade and next button
     document.getElementById('explanation').classList.remove('show');
+    document.getElementById('gradeLabel').textContent = '';
+    document.getElementById('gradeButtons').classList.remove('show');
     document.getElementById('nextBtn').style.display = 'none';
     document.getElementById('submitBtn').style.display = 'inline-block';
 
@@ -174,14 +178,14 @@ class PracticeSession {
   setupQuizMode(word) {
     document.getElementById('questionText').textContent = `What does "${word.word}" mean?`;
     
-    const correctDefinition = this.extractMeaning(word.explanation);
+    const correctDefinition = this.extractMeaning(word);
     const options = [correctDefinition];
 
     // Generate 3 distractors from other words
     const otherWords = this.words.filter(w => w.word !== word.word);
     while (options.length < 4 && otherWords.length > 0) {
       const randomWord = otherWords[Math.floor(Math.random() * otherWords.length)];
-      const distractor = this.extractMeaning(randomWord.explanation);
+      const distractor = this.extractMeaning(randomWord);
       
       if (!options.includes(distractor)) {
         options.push(distractor);
@@ -228,7 +232,7 @@ class PracticeSession {
     document.getElementById('questionText').textContent = `Type the definition of "${word.word}":`;
     document.getElementById('typingInput').value = '';
     document.getElementById('typingInput').focus();
-    this.correctAnswer = this.extractMeaning(word.explanation);
+    this.correctAnswer = this.extractMeaning(word);
   }
 
   setupFlashcardMode(word) {
@@ -260,13 +264,14 @@ class PracticeSession {
     this.selectedAnswer = option;
   }
 
+  // Flashcards are graded by the learner: Again, Hard, Good or Easy (keys 1-4)
   showFlashcardAnswer() {
     document.getElementById('showAnswerBtn').style.display = 'none';
-    document.getElementById('submitBtn').style.display = 'inline-block';
-    document.getElementById('submitBtn').textContent = 'Continue';
+    document.getElementById('gradeButtons').classList.add('show');
   }
 
-  async submitAnswer() {
+  // rating is only passed for flashcards; quiz and typing answers are graded by the background
+  async submitAnswer(rating = null) {
     if (this.isAnswered) return;
 
     const word = this.words[this.currentIndex];
@@ -296,9 +301,8 @@ class PracticeSession {
         break;
 
       case 'flashcard':
-        // For flashcards, we rely on user confidence
-        const confidence = document.getElementById('confidenceRange').value / 100;
-        isCorrect = confidence >= 0.7; // Consider high confidence as correct
+        if (!rating) return;
+        isCorrect = rating > 1; // Anything but "Again" counts as remembered
         this.showFlashcardResult();
         break;
     }
@@ -310,9 +314,7 @@ class PracticeSession {
       word: word.word,
       correct: isCorrect,
       responseTime: responseTime,
-      confidence: this.currentMode === 'flashcard' ? 
-        document.getElementById('confidenceRange').value / 100 : 
-        (isCorrect ? 0.8 : 0.3),
+      rating: rating,
       userAnswer: userAnswer
     };
 
@@ -356,7 +358,7 @@ class PracticeSession {
   }
 
   showFlashcardResult() {
-    // Flashcard result is based on confidence, no visual changes needed
+    document.getElementById('gradeButtons').classList.remove('show');
   }
 
   checkTypingAnswer(userAnswer, correctAnswer) {
@@ -398,22 +400,40 @@ class PracticeSession {
     document.getElementById('explanation').classList.add('show');
   }
 
+  // Save the result on the stored word and pick up its new schedule
   async processWordReview(wordData, result) {
     try {
-      await browser.runtime.sendMessage({
-        command: "processWordReview",
-        wordData: wordData,
+      const response = await browser.runtime.sendMessage({
+        command: "recordReview",
+        wordId: wordData.id,
         reviewResult: {
+          rating: result.rating,
           isCorrect: result.correct,
           responseTime: result.responseTime,
-          confidenceLevel: result.confidence
+          mode: this.currentMode
         }
       });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'No response from background');
+      }
+      Object.assign(wordData, response.word);
+      result.rating = response.schedule.rating;
+      // A skipped word's answer arrives after the next word is already shown
+      if (this.words[this.currentIndex] === wordData) {
+        this.showGrade(response.schedule);
+      }
     } catch (error) {
       console.error('Error processing word review:', error);
     }
   }
 
+  showGrade(schedule) {
+    const label = document.getElementById('gradeLabel');
+    if (!label || !schedule) return;
+    const days = schedule.interval === 1 ? '1 day' : `${schedule.interval} days`;
+    label.textContent = `Graded: ${GRADE_LABELS[schedule.rating]} · next review in ${days}`;
+  }
+
   nextWord() {
     this.currentIndex++;
     
@@ -421,7 +441,6 @@ class PracticeSession {
     document.getElementById('typingInput').readOnly = false;
     document.getElementById('typingInput').style.borderColor = '#e0e0e0';
     document.getElementById('typingInput').style.backgroundColor = 'white';
-    document.getElementById('confidenceRange').value = '50';
     this.selectedAnswer = null;
 
     this.displayCurrentWord();
@@ -434,12 +453,13 @@ class PracticeSession {
       word: word.word,
       correct: false,
       responseTime: Date.now() - this.currentWordStartTime,
-      confidence: 0.1,
+      rating: 1,
       userAnswer: 'Skipped'
     };
 
     this.sessionResults.push(result);
     this.incorrectAnswers++;
+    this.processWordReview(word, result);
     this.nextWord();
   }
 
@@ -477,9 +497,14 @@ class PracticeSession {
     document.getElementById('finalTime').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
   }
 
-  extractMeaning(explanation) {
+  extractMeaning(word) {
+    // Structured (JSON mode) definitions store the meaning directly
+    if (word.structured && word.structured.meaning) {
+      return word.structured.meaning;
+    }
+
     // Extract the meaning from the full explanation
-    const lines = explanation.split('\n');
+    const lines = (word.explanation || '').split('\n');
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
       if (line.toLowerCase().includes('meaning') && i + 1 < lines.length) {
@@ -561,9 +586,23 @@ document.addEventListener('DOMContentLoaded', () => {
   practiceSession = new PracticeSession();
   practiceSession.init();
 
+  // Flashcard grade buttons
+  document.querySelectorAll('#gradeButtons .grade-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      practiceSession.submitAnswer(parseInt(button.getAttribute('data-rating')));
+    });
+  });
+
   // Add keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     if (practiceSession.currentMode && !practiceSession.isAnswered) {
+      // Number keys grade a revealed flashcard
+      if (practiceSession.currentMode === 'flashcard' && e.key >= '1' && e.key <= '4' &&
+          document.getElementById('gradeButtons').classList.contains('show')) {
+        practiceSession.submitAnswer(parseInt(e.key));
+        return;
+      }
+
       // Number keys for quiz mode
       if (practiceSession.currentMode === 'quiz' && e.key >= '1' && e.key <= '4') {
         const optionIndex = parseInt(e.key) - 1;